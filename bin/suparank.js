@@ -5,11 +5,14 @@
  *
  * Usage:
  *   npx suparank              - Run MCP (or setup if first time)
+ *   npx suparank serve --http - Run MCP over Streamable HTTP (shared server)
  *   npx suparank setup        - Run setup wizard
  *   npx suparank secrets      - Configure API keys (fal, WordPress, etc.)
  *   npx suparank test         - Test API connection
  *   npx suparank session      - View current session state
  *   npx suparank clear        - Clear session state
+ *   npx suparank audit        - Show the tool call audit log
+ *   npx suparank content search <query> - Search saved content
  */
 
 import * as fs from 'fs'
@@ -19,6 +22,9 @@ import * as readline from 'readline'
 import { spawn, execSync, exec } from 'child_process'
 import { fileURLToPath } from 'url'
 import { runSecrets } from './secrets-wizard.js'
+import { readAuditLog } from '../mcp-client/services/audit.js'
+import { searchContent } from '../mcp-client/services/search-index.js'
+import { countWords } from '../mcp-client/analysis/word-count.js'
 
 const SUPARANK_DIR = path.join(os.homedir(), '.suparank')
 const VERSION_CACHE_FILE = path.join(SUPARANK_DIR, '.version-check')
@@ -102,7 +108,7 @@ const colors = {
 }
 
 // Check if running in MCP mode (no command argument = MCP server)
-const isMCPMode = !process.argv[2] || !['setup', 'test', 'session', 'clear', 'update', 'secrets', 'version', '-v', '--version', 'help', '--help', '-h'].includes(process.argv[2])
+const isMCPMode = !process.argv[2] || !['setup', 'test', 'session', 'clear', 'audit', 'content', 'update', 'secrets', 'version', '-v', '--version', 'help', '--help', '-h'].includes(process.argv[2])
 
 function log(message, color = 'reset') {
   // In MCP mode, use stderr to avoid breaking JSON protocol
@@ -541,7 +547,7 @@ function viewSession() {
 
       if (session.title) {
         log(`Title: ${session.title}`, 'green')
-        log(`Words: ${session.article?.split(/\s+/).length || 0}`, 'dim')
+        log(`Words: ${countWords(session.article).total}`, 'dim')
       }
 
       if (session.imageUrl) {
@@ -565,6 +571,120 @@ function viewSession() {
   }
 }
 
+function viewAudit(args) {
+  const getFlag = (flag) => {
+    const index = args.indexOf(flag)
+    return index !== -1 ? args[index + 1] : undefined
+  }
+
+  const filters = {
+    since: getFlag('--since'),
+    until: getFlag('--until'),
+    tool: getFlag('--tool'),
+    article: getFlag('--article')
+  }
+  const limit = parseInt(getFlag('--limit') || '50', 10)
+
+  for (const flag of ['since', 'until']) {
+    if (filters[flag] && isNaN(new Date(filters[flag]).getTime())) {
+      log(`Invalid --${flag} date: ${filters[flag]} (use YYYY-MM-DD)`, 'red')
+      process.exit(1)
+    }
+  }
+
+  const entries = readAuditLog(filters).slice(-limit)
+
+  if (args.includes('--json')) {
+    for (const entry of entries) {
+      console.log(JSON.stringify(entry))
+    }
+    return
+  }
+
+  logHeader('Audit Log')
+
+  if (entries.length === 0) {
+    log('No matching tool calls', 'dim')
+    return
+  }
+
+  const outcomeColors = { success: 'green', error: 'red', cancelled: 'yellow' }
+  for (const entry of entries) {
+    const time = entry.timestamp.replace('T', ' ').slice(0, 19)
+    const outcome = entry.error_code ? `${entry.outcome} [${entry.error_code}]` : entry.outcome
+    log(`${time}  ${entry.tool.padEnd(18)} ${outcome} (${entry.duration_ms}ms)`, outcomeColors[entry.outcome] || 'reset')
+
+    if (entry.articles?.length) {
+      log(`  Article: ${entry.articles.join(', ')}`, 'dim')
+    }
+    for (const post of entry.posts || []) {
+      log(`  ${post.platform} #${post.id}: ${post.url || ''}`, 'cyan')
+    }
+  }
+
+  console.log()
+  log(`${entries.length} call(s) shown`, 'dim')
+}
+
+function runContent(args) {
+  const [subcommand, ...rest] = args
+  if (subcommand !== 'search') {
+    log('Usage: npx suparank content search <query> [--project <slug>] [--since <date>] [--until <date>] [--keyword <text>] [--published | --unpublished] [--limit <n>] [--json]', 'dim')
+    process.exit(subcommand ? 1 : 0)
+  }
+
+  const valueFlags = ['--project', '--since', '--until', '--keyword', '--limit']
+  const getFlag = (flag) => {
+    const index = rest.indexOf(flag)
+    return index !== -1 ? rest[index + 1] : undefined
+  }
+  const query = rest
+    .filter((arg, i) => !arg.startsWith('--') && !valueFlags.includes(rest[i - 1]))
+    .join(' ')
+
+  let search
+  try {
+    search = searchContent(query, {
+      project: getFlag('--project'),
+      since: getFlag('--since'),
+      until: getFlag('--until'),
+      keyword: getFlag('--keyword'),
+      published: rest.includes('--published') ? true : rest.includes('--unpublished') ? false : undefined,
+      limit: parseInt(getFlag('--limit') || '10', 10)
+    })
+  } catch (e) {
+    log(e.message, 'red')
+    process.exit(1)
+  }
+
+  if (rest.includes('--json')) {
+    for (const result of search.results) {
+      console.log(JSON.stringify(result))
+    }
+    return
+  }
+
+  logHeader(query ? `Search: ${query}` : 'Saved Content')
+
+  if (search.results.length === 0) {
+    log(`No matching articles (${search.indexed} indexed)`, 'dim')
+    return
+  }
+
+  for (const result of search.results) {
+    const status = result.published ? `published${result.publishedTo.length ? ` to ${result.publishedTo.join(', ')}` : ''}` : 'unpublished'
+    log(result.title, 'bright')
+    log(`  ${result.createdAt.split('T')[0]}  ${result.project || '-'}  ${result.wordCount || '?'} words  ${status}${result.score !== null ? `  score ${result.score}` : ''}`, 'dim')
+    log(`  ${result.path}`, 'cyan')
+    if (result.snippet) {
+      log(`  ${result.snippet.replace(/\*\*(.+?)\*\*/g, `${colors.yellow}$1${colors.reset}`)}`)
+    }
+    console.log()
+  }
+
+  log(`${search.results.length} of ${search.total} match(es) shown, ${search.indexed} article(s) indexed`, 'dim')
+}
+
 function clearSession() {
   logHeader('Clear Session')
 
@@ -580,7 +700,7 @@ function clearSession() {
   }
 }
 
-async function runMCP() {
+async function runMCP(extraArgs = []) {
   // Check for updates in background (non-blocking)
   checkForUpdates()
 
@@ -617,7 +737,7 @@ async function runMCP() {
   // Launch MCP client with config
   // Use 'pipe' for stdin/stdout to properly handle MCP protocol
   // stderr is inherited for logging
-  const child = spawn('node', [mcpClientPath, config.project_slug, config.api_key], {
+  const child = spawn('node', [mcpClientPath, config.project_slug, config.api_key, ...extraArgs], {
     stdio: ['inherit', 'inherit', 'inherit'],
     env: {
       ...process.env,
@@ -654,6 +774,16 @@ switch (command) {
   case 'clear':
     clearSession()
     break
+  case 'audit':
+    viewAudit(process.argv.slice(3))
+    break
+  case 'content':
+    runContent(process.argv.slice(3))
+    break
+  case 'serve':
+    // Pass server flags through (--http, --port, --host, --token, --refresh-interval)
+    runMCP(process.argv.slice(3))
+    break
   case 'update':
     logHeader('Updating Suparank')
     log('Clearing npx cache and fetching latest version...', 'yellow')
@@ -683,11 +813,14 @@ switch (command) {
     console.log()
     log('Commands:', 'bright')
     log('  (none)     Run MCP server (default)', 'dim')
+    log('  serve      Run MCP server; add --http [--port 3333] to share it over HTTP', 'dim')
     log('  setup      Run setup wizard', 'dim')
     log('  secrets    Configure API keys (fal, WordPress, etc.)', 'dim')
     log('  test       Test API connection', 'dim')
     log('  session    View current session state', 'dim')
     log('  clear      Clear session state', 'dim')
+    log('  audit      Show tool call history (--since, --until, --tool, --article, --limit, --json)', 'dim')
+    log('  content    Search saved content: content search <query> (--project, --since, --until, --keyword, --published, --unpublished, --limit, --json)', 'dim')
     log('  update     Clear cache and update to latest', 'dim')
     log('  version    Show current version', 'dim')
     log('  help       Show this help message', 'dim')
@@ -0,0 +1,184 @@
+/**
+ * Suparank MCP - Duplicate Detector
+ *
+ * Flags articles that say nearly the same thing (MinHash estimate of word
+ * shingle overlap) or compete for the same search queries (keyword
+ * cannibalization: the same primary keyword, or mostly the same keywords)
+ */
+
+import { splitWords, toPlainText } from './word-count.js'
+
+// Words per shingle; short enough to catch reworded copies of the same article
+const SHINGLE_SIZE = 3
+
+// MinHash signature length (estimate error is about 1/sqrt(128) ≈ 0.09)
+const NUM_HASHES = 128
+
+// Estimated shingle overlap at which two articles count as near-duplicates
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.4
+
+// Share of keywords two articles must have in common to compete
+const KEYWORD_OVERLAP_THRESHOLD = 0.5
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => fmix32(i + 1))
+
+/**
+ * MinHash signature of an article's text
+ * @param {string} markdown - Article content
+ * @returns {number[]|null} Signature, or null when the text is too short to shingle
+ */
+export function minhashSignature(markdown) {
+  const words = splitWords(toPlainText(markdown).toLowerCase())
+  if (words.length < SHINGLE_SIZE) return null
+
+  const signature = new Array(NUM_HASHES).fill(0xffffffff)
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    const hash = fnv1a(words.slice(i, i + SHINGLE_SIZE).join(' '))
+    for (let j = 0; j < NUM_HASHES; j++) {
+      const value = fmix32(hash ^ SEEDS[j])
+      if (value < signature[j]) signature[j] = value
+    }
+  }
+  return signature
+}
+
+/**
+ * Estimate the shingle overlap (Jaccard similarity) of two articles
+ * @param {number[]|null} a - Signature from minhashSignature
+ * @param {number[]|null} b - Signature from minhashSignature
+ * @returns {number} Similarity from 0 to 1
+ */
+export function estimateSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0
+  let equal = 0
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++
+  }
+  return equal / a.length
+}
+
+/**
+ * Compare two articles for duplication and keyword cannibalization
+ * @param {{ minhash: number[]|null, keywords?: string[] }} a - First article
+ * @param {{ minhash: number[]|null, keywords?: string[] }} b - Second article
+ * @param {object} [options] - Options
+ * @param {number} [options.threshold] - Similarity at which articles are near-duplicates
+ * @returns {{ similarity: number, nearDuplicate: boolean, samePrimaryKeyword: string|null, sharedKeywords: string[] }|null}
+ *   Conflict, or null when the articles do not overlap
+ */
+export function compareArticles(a, b, { threshold = DEFAULT_SIMILARITY_THRESHOLD } = {}) {
+  const similarity = Math.round(estimateSimilarity(a.minhash, b.minhash) * 100) / 100
+  const keywordsA = normalizeKeywords(a.keywords)
+  const keywordsB = normalizeKeywords(b.keywords)
+
+  const sharedKeywords = keywordsA.filter(k => keywordsB.includes(k))
+  const samePrimaryKeyword = keywordsA.length > 0 && keywordsA[0] === keywordsB[0] ? keywordsA[0] : null
+  const keywordOverlap = sharedKeywords.length / (new Set([...keywordsA, ...keywordsB]).size || 1)
+
+  const nearDuplicate = similarity >= threshold
+  if (!nearDuplicate && !samePrimaryKeyword && !(sharedKeywords.length >= 2 && keywordOverlap >= KEYWORD_OVERLAP_THRESHOLD)) {
+    return null
+  }
+
+  return { similarity, nearDuplicate, samePrimaryKeyword, sharedKeywords }
+}
+
+/**
+ * Find library articles that overlap a new article
+ * @param {{ minhash: number[]|null, keywords?: string[] }} article - Article to check
+ * @param {Array<{ folder: string, title: string, minhash: number[]|null, keywords: string[], published: boolean }>} library - Saved articles to compare against
+ * @param {object} [options] - Options passed to compareArticles
+ * @returns {Array<object>} Conflicts with the library article's folder, title and published status, most similar first
+ */
+export function findConflicts(article, library, options) {
+  return library
+    .map(doc => {
+      const conflict = compareArticles(article, doc, options)
+      return conflict && { folder: doc.folder, title: doc.title, published: doc.published, ...conflict }
+    })
+    .filter(Boolean)
+    .sort(bySeverity)
+}
+
+/**
+ * Find every overlapping pair of articles in a library
+ * @param {Array<object>} library - Saved articles (see findConflicts)
+ * @param {object} [options] - Options passed to compareArticles
+ * @returns {Array<{ a: object, b: object, similarity: number, nearDuplicate: boolean, samePrimaryKeyword: string|null, sharedKeywords: string[] }>}
+ *   Pairs, most similar first
+ */
+export function findDuplicatePairs(library, options) {
+  const pairs = []
+  for (let i = 0; i < library.length; i++) {
+    for (let j = i + 1; j < library.length; j++) {
+      const conflict = compareArticles(library[i], library[j], options)
+      if (conflict) pairs.push({ a: library[i], b: library[j], ...conflict })
+    }
+  }
+  return pairs.sort(bySeverity)
+}
+
+/**
+ * Describe why two articles conflict, e.g. "72% similar, same primary keyword"
+ * @param {object} conflict - Conflict from compareArticles
+ * @returns {string} Reasons
+ */
+export function describeConflict(conflict) {
+  return [
+    conflict.nearDuplicate ? `${Math.round(conflict.similarity * 100)}% similar text` : null,
+    conflict.samePrimaryKeyword ? `same primary keyword "${conflict.samePrimaryKeyword}"` : null,
+    !conflict.samePrimaryKeyword && conflict.sharedKeywords.length > 0 ? `shared keywords: ${conflict.sharedKeywords.join(', ')}` : null
+  ].filter(Boolean).join(', ')
+}
+
+/**
+ * Format conflicts with a new article as a markdown section
+ * @param {Array<object>} conflicts - Conflicts from findConflicts
+ * @returns {string} Markdown (empty when there are none)
+ */
+export function formatConflicts(conflicts) {
+  if (conflicts.length === 0) return ''
+
+  return `## ⚠️ Overlaps With Saved Content (${conflicts.length})
+
+${conflicts.map(c => `- \`${c.folder}\` - "${c.title}"${c.published ? ' (published)' : ''}: ${describeConflict(c)}`).join('\n')}
+
+Articles that repeat each other or target the same keyword compete in search. Before publishing, rewrite this one with a different angle or keyword, or merge it into the existing article.`
+}
+
+// Near-duplicates first, then same-keyword conflicts, then by similarity
+function bySeverity(a, b) {
+  return (b.nearDuplicate - a.nearDuplicate) ||
+    (Boolean(b.samePrimaryKeyword) - Boolean(a.samePrimaryKeyword)) ||
+    (b.similarity - a.similarity)
+}
+
+// Lowercased keywords without plural endings, primary keyword first
+function normalizeKeywords(keywords = []) {
+  return [...new Set(keywords
+    .map(k => splitWords(String(k).toLowerCase())
+      .map(word => word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word)
+      .join(' '))
+    .filter(Boolean))]
+}
+
+// 32-bit FNV-1a hash of a string
+function fnv1a(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// MurmurHash3 finalizer: spreads each seed's bits into an independent hash
+function fmix32(value) {
+  let h = value >>> 0
+  h ^= h >>> 16
+  h = Math.imul(h, 0x85ebca6b)
+  h ^= h >>> 13
+  h = Math.imul(h, 0xc2b2ae35)
+  h ^= h >>> 16
+  return h >>> 0
+}
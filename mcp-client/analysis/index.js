@@ -0,0 +1,19 @@
+/**
+ * Suparank MCP - Analysis Module
+ *
+ * Re-exports local content analyzers
+ */
+
+export { analyzeSeo, formatSeoReport } from './seo.js'
+export { analyzeReadability, formatReadabilityReport } from './readability.js'
+export { countWords, formatWordCount, splitWords, toPlainText, FAQ_HEADING, IMAGE_PLACEHOLDER } from './word-count.js'
+export {
+  minhashSignature,
+  estimateSimilarity,
+  compareArticles,
+  findConflicts,
+  findDuplicatePairs,
+  describeConflict,
+  formatConflicts,
+  DEFAULT_SIMILARITY_THRESHOLD
+} from './duplicates.js'
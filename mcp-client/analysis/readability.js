@@ -0,0 +1,181 @@
+/**
+ * Suparank MCP - Readability Analyzer
+ *
+ * Measures markdown content against the project's reading level:
+ * Flesch-Kincaid grade, average sentence length, passive voice and long
+ * paragraphs, overall and per H2 section, so over-target sections can be
+ * pointed out instead of the whole article
+ */
+
+import { marked } from 'marked'
+import { toPlainText } from './word-count.js'
+
+// Grades above target + tolerance are flagged
+const GRADE_TOLERANCE = 1
+
+// Sections shorter than this are too small to grade reliably
+const MIN_SECTION_WORDS = 40
+
+// Paragraphs longer than this are hard to read on screen
+const LONG_PARAGRAPH_WORDS = 150
+
+// Form of "to be" followed by a past participle (regular or common irregular)
+const PASSIVE_VOICE = /\b(am|is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?(\w+ed|known|given|taken|written|made|done|seen|shown|built|found|held|kept|left|paid|sent|told|brought|bought|thought|caught|taught|chosen|driven|eaten|fallen|forgotten|hidden|spoken|stolen|worn|born|drawn|grown|thrown|begun|sold|won|set|put|cut|led|met)\b/i
+
+/**
+ * Analyze the readability of markdown content
+ * @param {string} content - Markdown content
+ * @param {object} [options] - Analyzer options
+ * @param {number|string|null} [options.targetGrade] - Project reading level (US grade); null disables flagging
+ * @returns {{ grade: number, words: number, sentences: number, avgSentenceLength: number, passiveRatio: number,
+ *   longParagraphs: number, targetGrade: number|null, overTarget: boolean,
+ *   sections: Array<{ heading: string, words: number, grade: number|null, avgSentenceLength: number, passiveRatio: number, longParagraphs: number, overTarget: boolean }> }}
+ *   Report; ratios are percentages
+ */
+export function analyzeReadability(content, { targetGrade = null } = {}) {
+  const target = Number(targetGrade) || null
+  const sections = splitSections(marked.lexer(content))
+
+  const sectionReports = sections.map(section => {
+    const summary = summarize(measure(section.blocks))
+    const graded = summary.words >= MIN_SECTION_WORDS
+    return {
+      heading: section.heading,
+      ...summary,
+      grade: graded ? summary.grade : null,
+      overTarget: Boolean(target && graded && summary.grade > target + GRADE_TOLERANCE)
+    }
+  })
+
+  const overall = summarize(measure(sections.flatMap(s => s.blocks)))
+  return {
+    ...overall,
+    targetGrade: target,
+    overTarget: Boolean(target && overall.grade > target + GRADE_TOLERANCE),
+    sections: sectionReports
+  }
+}
+
+/**
+ * Format a readability report as a markdown section
+ * @param {object} report - Report from analyzeReadability
+ * @returns {string} Markdown
+ */
+export function formatReadabilityReport(report) {
+  const flagged = report.sections.filter(s => s.overTarget)
+  const target = report.targetGrade ? ` (target: Grade ${report.targetGrade})` : ''
+
+  let text = `## Readability: Grade ${report.grade}${target}${report.overTarget ? ' ⚠️' : ''}
+
+- **Average sentence length:** ${report.avgSentenceLength} words
+- **Passive voice:** ${report.passiveRatio}% of sentences
+- **Long paragraphs (${LONG_PARAGRAPH_WORDS}+ words):** ${report.longParagraphs}`
+
+  if (flagged.length > 0) {
+    text += `
+
+### Sections Above Grade ${report.targetGrade}
+${flagged.map(s => `- **${s.heading}** - Grade ${s.grade}, ${s.avgSentenceLength} words/sentence${s.passiveRatio > 0 ? `, ${s.passiveRatio}% passive` : ''}${s.longParagraphs > 0 ? `, ${s.longParagraphs} long paragraph(s)` : ''}`).join('\n')}
+
+Simplify these sections: shorter sentences, everyday words, active voice.`
+  } else if (report.targetGrade) {
+    text += `\n\nAll sections are within Grade ${report.targetGrade + GRADE_TOLERANCE}.`
+  }
+
+  return text
+}
+
+/**
+ * Split top-level tokens into sections at H1/H2 headings
+ * Text before the first heading is the "Introduction"
+ */
+function splitSections(tokens) {
+  const sections = [{ heading: 'Introduction', blocks: [] }]
+
+  for (const token of tokens) {
+    if (token.type === 'heading' && token.depth <= 2) {
+      sections.push({ heading: token.text.trim(), blocks: [] })
+      continue
+    }
+    sections[sections.length - 1].blocks.push(...textBlocks(token))
+  }
+
+  return sections.filter(s => s.blocks.length > 0)
+}
+
+// Prose blocks of a token: paragraphs, list items and quotes (no code, tables or headings)
+function textBlocks(token) {
+  switch (token.type) {
+    case 'paragraph':
+    case 'text':
+      return [{ text: toPlainText([token]).trim(), isList: false }]
+    case 'list':
+      return token.items.map(item => ({ text: toPlainText(item.tokens).trim(), isList: true }))
+    case 'blockquote':
+      return token.tokens.flatMap(textBlocks)
+    default:
+      return []
+  }
+}
+
+/**
+ * Count words, sentences, syllables, passive sentences and long paragraphs
+ */
+function measure(blocks) {
+  const stats = { words: 0, sentences: 0, syllables: 0, passive: 0, longParagraphs: 0 }
+
+  for (const block of blocks) {
+    // List items are one sentence even without closing punctuation
+    const sentences = block.isList
+      ? [block.text]
+      : block.text.split(/(?<=[.!?])\s+/)
+    let blockWords = 0
+
+    for (const sentence of sentences) {
+      const words = sentence.match(/[\p{L}\p{N}'’]+/gu) || []
+      if (words.length === 0) continue
+      stats.sentences++
+      stats.words += words.length
+      stats.syllables += words.reduce((sum, word) => sum + countSyllables(word), 0)
+      if (PASSIVE_VOICE.test(sentence)) stats.passive++
+      blockWords += words.length
+    }
+
+    if (!block.isList && blockWords > LONG_PARAGRAPH_WORDS) stats.longParagraphs++
+  }
+
+  return stats
+}
+
+function summarize({ words, sentences, syllables, passive, longParagraphs }) {
+  if (words === 0 || sentences === 0) {
+    return { grade: 0, words, sentences, avgSentenceLength: 0, passiveRatio: 0, longParagraphs }
+  }
+
+  const avgSentenceLength = words / sentences
+  const grade = 0.39 * avgSentenceLength + 11.8 * (syllables / words) - 15.59
+  return {
+    grade: round(Math.max(0, grade)),
+    words,
+    sentences,
+    avgSentenceLength: round(avgSentenceLength),
+    passiveRatio: Math.round((passive / sentences) * 100),
+    longParagraphs
+  }
+}
+
+// English syllable estimate: vowel groups, minus silent endings ("made", "baked", "notes")
+function countSyllables(word) {
+  let w = word.toLowerCase().replace(/[^a-z]/g, '')
+  if (w.length <= 3) return 1
+
+  if (/[^td]ed$/.test(w)) w = w.slice(0, -2)
+  else if (/[^laeiouysxzh]es$/.test(w)) w = w.slice(0, -2)
+  else if (/[^laeiouy]e$/.test(w)) w = w.slice(0, -1)
+
+  return Math.max(1, w.replace(/^y/, '').match(/[aeiouy]+/g)?.length || 1)
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10
+}
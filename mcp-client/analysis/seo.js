@@ -0,0 +1,201 @@
+/**
+ * Suparank MCP - On-Page SEO Analyzer
+ *
+ * Deterministic checks run on every save_content, so the basics of the
+ * planner's quality checklist are measured instead of self-graded:
+ * keyword placement and density, heading hierarchy, meta lengths, FAQ
+ * and image placeholders
+ */
+
+import { marked } from 'marked'
+import { slugify } from '../utils/formatting.js'
+import { FAQ_HEADING, IMAGE_PLACEHOLDER, toPlainText, splitWords } from './word-count.js'
+
+// Check statuses and the share of a check's weight they earn
+const STATUS_SCORES = { pass: 1, warn: 0.5, fail: 0 }
+
+// Keyword density bands (% of words)
+const DENSITY_MIN = 0.5
+const DENSITY_MAX = 2.5
+const DENSITY_STUFFING = 3.5
+
+// Words at the start of the body that should contain the keyword
+const INTRO_WORDS = 100
+
+// Minimum FAQ questions for a full pass
+const MIN_FAQ_QUESTIONS = 3
+
+/**
+ * Analyze an article's on-page SEO
+ * @param {object} article - Article fields
+ * @param {string} article.title - Title (used as the H1 when the content has none, and for the slug)
+ * @param {string} article.content - Markdown content
+ * @param {string[]} [article.keywords] - Target keywords; the first is the primary keyword
+ * @param {string} [article.metaTitle] - SEO meta title (defaults to the title)
+ * @param {string} [article.metaDescription] - SEO meta description
+ * @param {object} [options] - Analyzer options
+ * @param {number|null} [options.expectedImages] - Inline image placeholders the plan asks for (null skips the check)
+ * @returns {{ score: number, keyword: string|null, slug: string, density: number, checks: Array<{ id: string, label: string, status: 'pass'|'warn'|'fail', detail: string }>, analyzedAt: string }}
+ *   Report with a 0-100 score
+ */
+export function analyzeSeo({ title, content, keywords = [], metaTitle, metaDescription = '' }, { expectedImages = null } = {}) {
+  const tokens = marked.lexer(content)
+  const headings = tokens.filter(t => t.type === 'heading').map(t => ({ depth: t.depth, text: t.text.trim() }))
+  const h1 = headings.find(h => h.depth === 1)?.text
+  const body = toPlainText(tokens.filter(t => !(t.type === 'heading' && t.depth === 1)))
+  const words = splitWords(body)
+  const keyword = keywords.find(k => k?.trim())?.trim() || null
+  const slug = slugify(title)
+  const checks = []
+  let density = 0
+
+  // Keyword placement and density
+  if (keyword) {
+    const occurrences = countPhrase(body, keyword)
+    density = words.length > 0 ? (occurrences / words.length) * 100 : 0
+
+    checks.push(check('keyword_h1', 'Keyword in H1',
+      containsPhrase(h1 || title, keyword) ? 'pass' : 'fail',
+      h1 ? `H1: "${h1}"` : `Title (no H1 in content): "${title}"`))
+    checks.push(check('keyword_intro', `Keyword in first ${INTRO_WORDS} words`,
+      containsPhrase(words.slice(0, INTRO_WORDS).join(' '), keyword) ? 'pass' : 'fail',
+      `"${keyword}"`))
+    checks.push(check('keyword_slug', 'Keyword in slug',
+      slug.includes(slugify(keyword)) ? 'pass' : 'fail',
+      `/${slug}/`))
+    checks.push(check('keyword_density', 'Keyword density',
+      densityStatus(density),
+      `${density.toFixed(2)}% (${occurrences} use(s) in ${words.length} words; aim for ${DENSITY_MIN}-${DENSITY_MAX}%)`))
+  } else {
+    checks.push(check('keyword', 'Target keyword', 'fail', 'No keywords given - pass keywords to save_content'))
+  }
+
+  // Structure and meta
+  const seoTitle = metaTitle || title
+  checks.push(headingCheck(headings))
+  checks.push(check('meta_title', 'Meta title length',
+    lengthStatus(seoTitle.length, 50, 60, 10),
+    `${seoTitle.length} chars (aim for 50-60)`))
+  checks.push(check('meta_description', 'Meta description length',
+    metaDescription ? lengthStatus(metaDescription.length, 150, 160, 30) : 'fail',
+    metaDescription ? `${metaDescription.length} chars (aim for 150-160)` : 'Missing'))
+  checks.push(faqCheck(content, headings))
+
+  // Image placeholders versus the plan
+  const placeholders = content.match(IMAGE_PLACEHOLDER)?.length || 0
+  if (expectedImages !== null && (expectedImages > 0 || placeholders > 0)) {
+    let status = 'pass'
+    if (expectedImages === 0 || (placeholders > 0 && placeholders < expectedImages)) status = 'warn'
+    else if (placeholders === 0) status = 'fail'
+    checks.push(check('image_placeholders', 'Image placeholders', status,
+      expectedImages === 0
+        ? `${placeholders} placeholder(s), but images are disabled`
+        : `${placeholders} of ${expectedImages} [IMAGE: ...] placeholder(s)`))
+  }
+
+  const earned = checks.reduce((sum, c) => sum + STATUS_SCORES[c.status], 0)
+  return {
+    score: Math.round((earned / checks.length) * 100),
+    keyword,
+    slug,
+    density: Number(density.toFixed(2)),
+    checks,
+    analyzedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Format a report as a markdown section
+ * @param {object} report - Report from analyzeSeo
+ * @returns {string} Markdown
+ */
+export function formatSeoReport(report) {
+  const icons = { pass: '✅', warn: '⚠️', fail: '❌' }
+  const issues = report.checks.filter(c => c.status !== 'pass').length
+
+  return `## SEO Analysis: ${report.score}/100
+
+${report.checks.map(c => `- ${icons[c.status]} **${c.label}:** ${c.detail}`).join('\n')}
+${issues > 0 ? `\n${issues} issue(s) found. Fix them before publishing.` : '\nAll checks passed.'}`
+}
+
+function check(id, label, status, detail) {
+  return { id, label, status, detail }
+}
+
+function headingCheck(headings) {
+  const problems = []
+  const h1Count = headings.filter(h => h.depth === 1).length
+  const h2Count = headings.filter(h => h.depth === 2).length
+
+  if (h1Count > 1) problems.push(`${h1Count} H1s (use one)`)
+
+  let previous = 1
+  for (const heading of headings) {
+    if (heading.depth > previous + 1) {
+      problems.push(`H${heading.depth} "${heading.text}" follows H${previous}`)
+      break
+    }
+    previous = heading.depth
+  }
+
+  const structure = `${h1Count} H1, ${h2Count} H2, ${headings.filter(h => h.depth === 3).length} H3`
+  if (problems.length > 0) {
+    return check('headings', 'Heading hierarchy', 'fail', `${problems.join('; ')} (${structure})`)
+  }
+  if (h2Count < 2) {
+    return check('headings', 'Heading hierarchy', 'warn', `Only ${h2Count} H2 section(s) (${structure})`)
+  }
+  return check('headings', 'Heading hierarchy', 'pass', structure)
+}
+
+function faqCheck(content, headings) {
+  const faq = headings.find(h => h.depth > 1 && FAQ_HEADING.test(h.text))
+  if (!faq) {
+    return check('faq', 'FAQ section', 'fail', 'No FAQ heading found')
+  }
+
+  // Questions are lines ending in "?" (headings or bold) after the FAQ heading
+  const lines = content.split('\n')
+  const start = lines.findIndex(line => /^#{2,6}\s/.test(line) && FAQ_HEADING.test(line))
+  let questions = 0
+  for (const line of lines.slice(start + 1)) {
+    const level = line.match(/^(#{1,6})\s/)?.[1].length
+    if (level && level <= faq.depth) break
+    if (/\?\s*(\*\*|__)?\s*$/.test(line)) questions++
+  }
+
+  return check('faq', 'FAQ section', questions >= MIN_FAQ_QUESTIONS ? 'pass' : 'warn',
+    `"${faq.text}" with ${questions} question(s)`)
+}
+
+function densityStatus(density) {
+  if (density === 0 || density > DENSITY_STUFFING) return 'fail'
+  if (density < DENSITY_MIN || density > DENSITY_MAX) return 'warn'
+  return 'pass'
+}
+
+function lengthStatus(length, min, max, tolerance) {
+  if (length >= min && length <= max) return 'pass'
+  if (length >= min - tolerance && length <= max + tolerance) return 'warn'
+  return 'fail'
+}
+
+// Lowercase words separated by single spaces, for phrase matching
+function normalize(text) {
+  return ` ${text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `
+}
+
+function containsPhrase(text, phrase) {
+  return normalize(text).includes(normalize(phrase))
+}
+
+function countPhrase(text, phrase) {
+  const haystack = normalize(text)
+  const needle = normalize(phrase)
+  let count = 0
+  for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + needle.length - 1)) {
+    count++
+  }
+  return count
+}
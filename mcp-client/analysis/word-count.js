@@ -0,0 +1,117 @@
+/**
+ * Suparank MCP - Word Counter
+ *
+ * Counts the words a reader sees in markdown: prose in paragraphs, lists
+ * and quotes. Markdown syntax, URLs, images, [IMAGE: ...] placeholders,
+ * tables, code blocks and HTML are left out. The same readable text backs
+ * the other analyzers and the content search index.
+ */
+
+import { marked } from 'marked'
+
+// Headings that start an FAQ section
+export const FAQ_HEADING = /\b(faq|faqs|frequently asked questions)\b/i
+
+// Inline image slots left for generate_image, e.g. [IMAGE: hero shot]
+export const IMAGE_PLACEHOLDER = /\[IMAGE:[^\]]*\]/gi
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu
+
+/**
+ * Count prose words in markdown
+ * The FAQ section runs from an FAQ heading to the next heading of the same
+ * or higher level; its question headings count as FAQ words
+ * @param {string} markdown - Markdown content
+ * @returns {{ total: number, body: number, faq: number, headings: number }} Word counts
+ */
+export function countWords(markdown) {
+  const counts = { total: 0, body: 0, faq: 0, headings: 0 }
+  let faqDepth = null
+
+  for (const token of marked.lexer(markdown || '')) {
+    if (token.type === 'heading') {
+      if (faqDepth !== null && token.depth <= faqDepth) faqDepth = null
+
+      const words = countText(inlineText(token.tokens))
+      if (faqDepth !== null) {
+        counts.faq += words
+      } else {
+        counts.headings += words
+        if (FAQ_HEADING.test(token.text)) faqDepth = token.depth
+      }
+      continue
+    }
+
+    counts[faqDepth !== null ? 'faq' : 'body'] += countText(blockText(token))
+  }
+
+  counts.total = counts.body + counts.faq + counts.headings
+  return counts
+}
+
+/**
+ * Split plain text into words the way countWords counts them
+ * @param {string} text - Text, e.g. from toPlainText
+ * @returns {string[]} Words (contractions and hyphenated words count once)
+ */
+export function splitWords(text) {
+  return text.replace(IMAGE_PLACEHOLDER, ' ').match(WORD) || []
+}
+
+/**
+ * Format counts for display, e.g. "1,520 words (body 1,320, FAQ 160, headings 40)"
+ * @param {object} counts - Counts from countWords
+ * @returns {string} Summary
+ */
+export function formatWordCount(counts) {
+  return `${counts.total.toLocaleString()} words (body ${counts.body.toLocaleString()}, FAQ ${counts.faq.toLocaleString()}, headings ${counts.headings.toLocaleString()})`
+}
+
+/**
+ * Readable text of markdown: headings and prose, without markdown syntax,
+ * link URLs, images, placeholders, tables, code blocks or HTML
+ * @param {string|Array<object>} markdown - Markdown, or tokens already lexed with marked
+ * @returns {string} Text with one block per paragraph
+ */
+export function toPlainText(markdown) {
+  const tokens = Array.isArray(markdown) ? markdown : marked.lexer(markdown || '')
+  return tokens
+    .map(token => token.type === 'heading' ? inlineText(token.tokens) : blockText(token))
+    .filter(text => text.trim())
+    .join('\n\n')
+    .replace(IMAGE_PLACEHOLDER, ' ')
+}
+
+// Readable text of a block token (tables, code, HTML and rules have none)
+function blockText(token) {
+  switch (token.type) {
+    case 'paragraph':
+    case 'text':
+      return token.tokens ? inlineText(token.tokens) : token.text
+    case 'list':
+      return token.items.map(item => item.tokens.map(blockText).join(' ')).join(' ')
+    case 'blockquote':
+      return token.tokens.map(blockText).join(' ')
+    default:
+      return ''
+  }
+}
+
+// Readable text of inline tokens: link text but not URLs, no images or HTML
+function inlineText(tokens = []) {
+  return tokens.map(token => {
+    switch (token.type) {
+      case 'image':
+      case 'html':
+        return ' '
+      case 'codespan':
+      case 'escape':
+        return token.text
+      default:
+        return token.tokens ? inlineText(token.tokens) : (token.text ?? '')
+    }
+  }).join('')
+}
+
+function countText(text) {
+  return splitWords(text).length
+}
@@ -5,10 +5,43 @@
  */
 
 // Parse command line arguments
-export const projectSlug = process.argv[2]
-export const apiKey = process.argv[3]
+// The project passed on the command line is the default project; switch_project
+// changes the active one (ES module bindings are live, so importers see updates)
+export const defaultProjectSlug = process.argv[2]
+export const defaultApiKey = process.argv[3]
+export let projectSlug = process.argv[2]
+export let apiKey = process.argv[3]
 export const apiUrl = process.env.SUPARANK_API_URL || 'https://api.suparank.io'
 
+/**
+ * Make another project active for this process
+ * @param {string} slug - Project slug
+ * @param {string} key - API key for the project
+ */
+export function setActiveProject(slug, key) {
+  projectSlug = slug
+  apiKey = key
+}
+
+/**
+ * Read the value following a command line flag (e.g. --port 3333)
+ * @param {string} flag - Flag name including dashes
+ * @returns {string|undefined} Flag value or undefined
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag)
+  return index !== -1 ? process.argv[index + 1] : undefined
+}
+
+// Transport: stdio (default) or Streamable HTTP (`suparank serve --http`)
+export const transportMode = process.argv.includes('--http') ? 'http' : 'stdio'
+export const httpPort = parseInt(getArgValue('--port') || process.env.SUPARANK_HTTP_PORT || '3333', 10)
+export const httpHost = getArgValue('--host') || process.env.SUPARANK_HTTP_HOST || '127.0.0.1'
+export const httpToken = getArgValue('--token') || process.env.SUPARANK_HTTP_TOKEN || null
+
+// Periodic project config refresh in minutes (0 = only via refresh_project)
+export const projectRefreshMinutes = parseFloat(getArgValue('--refresh-interval') || process.env.SUPARANK_REFRESH_INTERVAL || '0') || 0
+
 // External API endpoints - configurable via environment variables
 export const API_ENDPOINTS = {
   fal: process.env.FAL_API_URL || 'https://fal.run/fal-ai/nano-banana-pro',
@@ -20,7 +53,7 @@ export const API_ENDPOINTS = {
 // Session expiration (24 hours)
 export const SESSION_EXPIRY_MS = 24 * 60 * 60 * 1000
 
-// Tools that are visible in the MCP tool list (ALL 23 tools)
+// Tools that are visible in the MCP tool list (ALL 31 tools)
 export const VISIBLE_TOOLS = [
   // Prompt Tools (11) - Backend API calls
   'keyword_research', 'seo_strategy', 'topical_map', 'content_calendar',
@@ -28,9 +61,12 @@ export const VISIBLE_TOOLS = [
   'geo_optimize', 'quality_check', 'full_pipeline',
   // Action Tools (4) - Local execution
   'generate_image', 'publish_wordpress', 'publish_ghost', 'send_webhook',
-  // Orchestrator Tools (8) - Session management
+  // Orchestrator Tools (16) - Session management
   'create_content', 'save_content', 'publish_content', 'get_session',
-  'remove_article', 'clear_session', 'list_content', 'load_content'
+  'complete_step', 'next_step',
+  'remove_article', 'clear_session', 'list_content', 'search_content',
+  'find_duplicates', 'load_content', 'resume_workflow',
+  'refresh_project', 'list_projects', 'switch_project'
 ]
 
 // Default stats object
@@ -10,24 +10,27 @@ import {
   executeGhostPublish,
   executeSendWebhook
 } from '../publishers/index.js'
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
 
 /**
  * Execute an action tool locally using credentials
  * @param {string} toolName - Name of the action tool
  * @param {object} args - Tool arguments
+ * @param {object} [options] - Execution options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
  * @returns {Promise<object>} MCP response
  */
-export async function executeActionTool(toolName, args) {
+export async function executeActionTool(toolName, args, options = {}) {
   switch (toolName) {
     case 'generate_image':
-      return await executeImageGeneration(args)
+      return await executeImageGeneration(args, options)
     case 'publish_wordpress':
-      return await executeWordPressPublish(args)
+      return await executeWordPressPublish(args, options)
     case 'publish_ghost':
-      return await executeGhostPublish(args)
+      return await executeGhostPublish(args, options)
     case 'send_webhook':
-      return await executeSendWebhook(args)
+      return await executeSendWebhook(args, options)
     default:
-      throw new Error(`Unknown action tool: ${toolName}`)
+      throw new SuparankError(ERROR_CODES.UNKNOWN_TOOL, `Unknown action tool: ${toolName}`)
   }
 }
@@ -5,15 +5,20 @@
  */
 
 import { log } from '../utils/logging.js'
+import { platformError } from '../utils/errors.js'
+import { throwIfCancelled } from '../services/api.js'
 import { apiUrl, apiKey, projectSlug } from '../config.js'
 
 /**
  * Call a tool on the Suparank backend API
  * @param {string} toolName - Name of the tool to execute
  * @param {object} args - Tool arguments
+ * @param {object} [options] - Execution options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
  * @returns {Promise<object>} Tool result from backend
+ * @throws {SuparankError} PLATFORM_AUTH, PLATFORM_NOT_FOUND, RATE_LIMITED or PLATFORM_ERROR
  */
-export async function callBackendTool(toolName, args) {
+export async function callBackendTool(toolName, args, { signal } = {}) {
   try {
     const response = await fetch(`${apiUrl}/tools/${projectSlug}/${toolName}`, {
       method: 'POST',
@@ -21,23 +26,25 @@ export async function callBackendTool(toolName, args) {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ arguments: args })
+      body: JSON.stringify({ arguments: args }),
+      signal
     })
 
     if (!response.ok) {
       const error = await response.text()
 
       if (response.status === 401) {
-        throw new Error(`Invalid or expired API key. Please create a new one in the dashboard.`)
+        throw platformError('suparank', 401, `Invalid or expired API key. Please create a new one in the dashboard.`)
       }
 
-      throw new Error(`Tool execution failed: ${error}`)
+      throw platformError('suparank', response.status, `Tool execution failed: ${error}`)
     }
 
     const result = await response.json()
     return result
   } catch (error) {
     log('Error calling tool:', error.message)
+    throwIfCancelled(signal)
     throw error
   }
 }
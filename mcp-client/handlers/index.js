@@ -1,9 +1,19 @@
 /**
  * Suparank MCP - Handlers Module
  *
- * Re-exports all tool handlers
+ * Re-exports all tool, resource and prompt handlers
  */
 
 export { callBackendTool } from './backend.js'
 export { executeActionTool } from './action.js'
 export { executeOrchestratorTool } from './orchestrator.js'
+export { executePluginTool } from './plugin.js'
+export {
+  listResources,
+  readResource,
+  watchResourceChanges,
+  getContentResourceUri,
+  RESOURCE_TEMPLATES,
+  SESSION_RESOURCE_URI
+} from './resources.js'
+export { listPrompts, getPrompt } from './prompts.js'
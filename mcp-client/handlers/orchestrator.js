@@ -9,18 +9,57 @@ import * as path from 'path'
 import { log, progress } from '../utils/logging.js'
 import {
   getContentDir,
-  getContentFolderSafe
+  getContentFolderSafe,
+  getWorkspaceDir
 } from '../utils/paths.js'
-import { saveContentToFolder, injectImagesIntoContent } from '../utils/content.js'
+import { saveContentToFolder, saveWorkflowToFolder, createWorkflowFolder, removeWorkflowOnlyFolder, markFolderPublished, injectImagesIntoContent } from '../utils/content.js'
+import { formatAge } from '../utils/formatting.js'
 import {
   sessionState,
   saveSession,
   resetSession,
-  generateArticleId
+  restoreSession,
+  generateArticleId,
+  getArticlesToPublish,
+  getArticleFolder,
+  withSessionLock
 } from '../services/session-state.js'
 import { incrementStat } from '../services/stats.js'
 import { hasCredential } from '../services/credentials.js'
-import { buildWorkflowPlan } from '../workflow/planner.js'
+import {
+  getProject,
+  getOfflineState,
+  refreshProject,
+  listProjects,
+  switchProject
+} from '../services/project.js'
+import { buildWorkflowPlan, extractPlanSettings, diffPlanSettings } from '../workflow/planner.js'
+import { runAutonomousWorkflow } from '../workflow/autonomous.js'
+import { loadWorkflowTemplate, applyWorkflowTemplate } from '../workflow/templates.js'
+import {
+  getStep,
+  getNextStep,
+  getLastCompletedStep,
+  inferStepProgress,
+  completeStep,
+  completeNextStepOfType,
+  formatStepInstruction,
+  formatStepProgress
+} from '../workflow/steps.js'
+import { canSample } from '../services/sampling.js'
+import { getRequestContext } from '../services/request-context.js'
+import { searchContent, listIndexedContent, findContentConflicts } from '../services/search-index.js'
+import { analyzeSeo, formatSeoReport } from '../analysis/seo.js'
+import { analyzeReadability, formatReadabilityReport } from '../analysis/readability.js'
+import { countWords, formatWordCount } from '../analysis/word-count.js'
+import {
+  findDuplicatePairs,
+  describeConflict,
+  formatConflicts,
+  DEFAULT_SIMILARITY_THRESHOLD
+} from '../analysis/duplicates.js'
+import { SuparankError, ERROR_CODES, getErrorCode } from '../utils/errors.js'
+import { projectSlug } from '../config.js'
 import {
   executeGhostPublish,
   executeWordPressPublish,
@@ -32,22 +71,30 @@ import {
  * @param {string} toolName - Name of the orchestrator tool
  * @param {object} args - Tool arguments
  * @param {object} project - Project configuration from database
+ * @param {object} [options] - Execution options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
  * @returns {Promise<object>} MCP response
  */
-export async function executeOrchestratorTool(toolName, args, project) {
+export async function executeOrchestratorTool(toolName, args, project, options = {}) {
   switch (toolName) {
     case 'create_content':
-      return handleCreateContent(args, project)
+      return handleCreateContent(args, project, options)
 
     case 'save_content':
-      return handleSaveContent(args)
+      return handleSaveContent(args, project)
 
     case 'publish_content':
-      return handlePublishContent(args)
+      return handlePublishContent(args, options)
 
     case 'get_session':
       return handleGetSession()
 
+    case 'complete_step':
+      return handleCompleteStep(args)
+
+    case 'next_step':
+      return handleNextStep(args)
+
     case 'remove_article':
       return handleRemoveArticle(args)
 
@@ -57,11 +104,29 @@ export async function executeOrchestratorTool(toolName, args, project) {
     case 'list_content':
       return handleListContent(args)
 
+    case 'search_content':
+      return handleSearchContent(args)
+
+    case 'find_duplicates':
+      return handleFindDuplicates(args)
+
     case 'load_content':
       return handleLoadContent(args)
 
+    case 'resume_workflow':
+      return handleResumeWorkflow(args)
+
+    case 'refresh_project':
+      return handleRefreshProject()
+
+    case 'list_projects':
+      return handleListProjects()
+
+    case 'switch_project':
+      return handleSwitchProject(args)
+
     default:
-      throw new Error(`Unknown orchestrator tool: ${toolName}`)
+      throw new SuparankError(ERROR_CODES.UNKNOWN_TOOL, `Unknown orchestrator tool: ${toolName}`)
   }
 }
 
@@ -69,27 +134,52 @@ export async function executeOrchestratorTool(toolName, args, project) {
 // Individual Tool Handlers
 // ============================================================================
 
-async function handleCreateContent(args, project) {
-  resetSession()
-  const { request = '', count = 1, publish_to = [], with_images = true } = args
+async function handleCreateContent(args, project, { signal } = {}) {
+  const { request = '', count = 1, publish_to = [], with_images = true, mode = 'guided', template, content_type } = args
 
-  const plan = buildWorkflowPlan(
+  let plan = buildWorkflowPlan(
     request || `content about ${project?.niche || 'the project topic'}`,
     count,
     publish_to,
     with_images,
-    project
+    project,
+    content_type
   )
 
-  sessionState.currentWorkflow = plan
-  saveSession()
+  // Load the template before resetting, so a broken template keeps the current session
+  if (template) {
+    plan = applyWorkflowTemplate(loadWorkflowTemplate(template), plan)
+    log(`Using workflow template "${plan.template}" (${plan.total_steps} steps)`)
+  }
+
+  const startWorkflow = () => {
+    // Drop the previous workflow's folder if it never got an article
+    removeWorkflowOnlyFolder(sessionState.contentFolder)
+    resetSession()
+    sessionState.currentWorkflow = plan
+    createWorkflowFolder()
+    saveSession()
+  }
+
+  let modeNote = ''
+  if (mode === 'autonomous') {
+    // Called without the session lock (see handleToolCall in server.js)
+    await withSessionLock(startWorkflow)
+    if (canSample()) {
+      return runAutonomousContent(plan, signal)
+    }
+    log('Autonomous mode requested but the client does not support sampling - using guided mode')
+    modeNote = '> **Autonomous mode unavailable:** this client does not support MCP sampling, so the workflow runs in guided mode. Follow the steps below.\n\n'
+  } else {
+    startWorkflow()
+  }
 
   // Build response with clear instructions
   const mcpList = plan.available_integrations.external_mcps.length > 0
     ? plan.available_integrations.external_mcps.join(', ')
     : 'None configured'
 
-  let response = `# Content Creation Workflow Started
+  let response = `${modeNote}# Content Creation Workflow Started
 
 ## PROJECT REQUIREMENTS (from Supabase database)
 - Word Count: ${plan.settings.target_word_count} words (MINIMUM - strictly enforced!)
@@ -107,6 +197,7 @@ async function handleCreateContent(args, project) {
 | Setting | Value |
 |---------|-------|
 | **Word Count** | ${plan.settings.target_word_count} words |
+| **Content Type** | ${plan.settings.content_type || 'Not set (chosen in the SEO strategy step)'} |
 | **Reading Level** | ${plan.settings.reading_level_display} |
 | **Brand Voice** | ${plan.settings.brand_voice} |
 | **Target Audience** | ${plan.settings.target_audience || 'Not specified'} |
@@ -116,19 +207,7 @@ async function handleCreateContent(args, project) {
 | **Include Images** | ${plan.settings.include_images ? 'Yes' : 'No'} |
 | **Images Required** | ${plan.settings.total_images} (1 cover + ${plan.settings.content_images} inline) |
 
-## Workflow Plan (4 Phases)
-
-### RESEARCH PHASE
-${plan.steps.filter(s => ['keyword_research', 'seo_strategy', 'topical_map', 'content_calendar'].includes(s.action)).map(s => `${s.step}. **${s.action}**`).join('\n')}
-
-### CREATION PHASE
-${plan.steps.filter(s => ['content_planning', 'content_write'].includes(s.action)).map(s => `${s.step}. **${s.action}**`).join('\n')}
-
-### OPTIMIZATION PHASE
-${plan.steps.filter(s => ['quality_check', 'geo_optimize'].includes(s.action)).map(s => `${s.step}. **${s.action}**`).join('\n')}
-
-### PUBLISHING PHASE
-${plan.steps.filter(s => ['generate_images', 'publish'].includes(s.action)).map(s => `${s.step}. **${s.action}**`).join('\n')}
+${plan.template ? formatTemplateSteps(plan) : formatPhases(plan)}
 
 ## Available Integrations (from ~/.suparank/credentials.json)
 - External MCPs: ${mcpList}
@@ -144,7 +223,7 @@ ${plan.steps[0].instruction}
 
 ---
 
-**When you complete this step, move to Step 2.**
+**When you complete this step, call \`complete_step\` with your output.** It records the result and returns Step 2 with your earlier results filled in.
 `
 
   return {
@@ -155,9 +234,116 @@ ${plan.steps[0].instruction}
   }
 }
 
-async function handleSaveContent(args) {
+/**
+ * Format the built-in plan's steps grouped into phases
+ * @param {object} plan - Workflow plan
+ * @returns {string} Markdown section
+ */
+function formatPhases(plan) {
+  const phase = (actions) => plan.steps
+    .filter(s => actions.includes(s.action))
+    .map(s => `${s.step}. **${s.action}**`)
+    .join('\n')
+
+  return `## Workflow Plan (4 Phases)
+
+### RESEARCH PHASE
+${phase(['keyword_research', 'seo_strategy', 'topical_map', 'content_calendar'])}
+
+### CREATION PHASE
+${phase(['content_planning', 'content_write'])}
+
+### OPTIMIZATION PHASE
+${phase(['quality_check', 'geo_optimize'])}
+
+### PUBLISHING PHASE
+${phase(['generate_images', 'publish'])}`
+}
+
+/**
+ * Format a template plan's steps as a numbered list
+ * @param {object} plan - Workflow plan built from a template
+ * @returns {string} Markdown section
+ */
+function formatTemplateSteps(plan) {
+  return `## Workflow Plan (template: ${plan.template})
+
+${plan.steps.map(s => `${s.step}. **${s.action}**${s.store ? ` → \`${s.store}\`` : ''}`).join('\n')}`
+}
+
+/**
+ * Run a planned workflow via sampling and report what is left for the client
+ * @param {object} plan - Workflow plan (already stored in the session)
+ * @param {AbortSignal} [signal] - Cancellation signal for the current request
+ * @returns {Promise<object>} MCP response
+ */
+async function runAutonomousContent(plan, signal) {
+  log(`Running workflow ${plan.workflow_id} autonomously via sampling`)
+
+  const { completed, failed, remaining } = await runAutonomousWorkflow(plan, {
+    saveContent: handleSaveContent,
+    signal
+  })
+
+  const { savedSection, reports } = await withSessionLock(() => ({
+    savedSection: sessionState.articles.length > 0
+      ? sessionState.articles.map((a, i) => `${i + 1}. **${a.title}** (${a.wordCount} words)`).join('\n')
+      : 'None',
+    reports: ['quality_report', 'geo_report']
+      .filter(key => sessionState.stepResults[key])
+      .map(key => `## ${key === 'quality_report' ? 'Quality Report' : 'GEO Report'}\n\n${sessionState.stepResults[key]}`)
+      .join('\n\n')
+  }))
+
+  let next
+  if (failed) {
+    const stopped = getErrorCode(failed.error) === ERROR_CODES.CANCELLED ? 'was cancelled' : `failed [${getErrorCode(failed.error)}]: ${failed.error.message}`
+    next = `## Autonomous Mode Stopped - Continue in Guided Mode
+
+Step ${failed.step.step} (${failed.step.action}) ${stopped}
+
+Outputs of completed steps are saved in the session. Continue from here:
+
+## Step ${failed.step.step} of ${plan.total_steps}: ${failed.step.action.toUpperCase()}
+
+${failed.step.instruction}`
+  } else if (remaining.length > 0) {
+    next = `## Remaining Steps (need tool calls)
+
+${remaining.map(s => `### Step ${s.step} of ${plan.total_steps}: ${s.action.toUpperCase()}\n\n${s.instruction}`).join('\n\n')}`
+  } else {
+    next = '## Done\n\nAll steps are complete. Call `get_session` to review the saved articles.'
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: `# Content Workflow ${failed ? 'Partially Completed' : 'Completed'} (Autonomous Mode)
+
+**Request:** "${plan.request}"
+**Steps run via sampling:** ${completed.length > 0 ? completed.map(s => `${s.step}. ${s.action}`).join(', ') : 'none'}
+
+## Saved Articles
+${savedSection}
+
+${reports ? `${reports}\n\n` : ''}---
+
+${next}`
+    }]
+  }
+}
+
+async function handleSaveContent(args, project) {
   const { title, content, keywords = [], meta_description = '' } = args
-  const wordCount = content.split(/\s+/).length
+  const wordCounts = countWords(content)
+  const wordCount = wordCounts.total
+  const seo = analyzeSeo(
+    { title, content, keywords, metaDescription: meta_description },
+    { expectedImages: sessionState.currentWorkflow?.settings?.content_images ?? null }
+  )
+  const readability = analyzeReadability(content, {
+    targetGrade: sessionState.currentWorkflow?.settings?.reading_level ?? project?.config?.content?.reading_level
+  })
 
   // Create article object with unique ID
   const articleId = generateArticleId()
@@ -173,7 +359,10 @@ async function handleSaveContent(args) {
     savedAt: new Date().toISOString(),
     published: false,
     publishedTo: [],
-    wordCount
+    wordCount,
+    wordCounts,
+    seo,
+    readability
   }
 
   // Add to articles array
@@ -190,11 +379,22 @@ async function handleSaveContent(args) {
   sessionState.metaDescription = meta_description
   sessionState.metadata = { meta_description }
 
-  // Persist session and save to folder
-  saveSession()
+  // Tick off the matching content_write step of the active workflow
+  const writeStep = sessionState.currentWorkflow
+    ? completeNextStepOfType(
+      sessionState.currentWorkflow,
+      'content_write',
+      `Saved as article #${sessionState.articles.length}: "${title}" (${wordCount} words, id ${articleId})`
+    )
+    : null
+
+  // Save to folder and persist session (the folder is kept to record publishing later)
   const contentFolder = saveContentToFolder()
+  newArticle.contentFolder = contentFolder
+  newArticle.duplicates = findContentConflicts(newArticle, contentFolder)
+  saveSession()
 
-  progress('Content', `Saved "${title}" (${wordCount} words) as article #${sessionState.articles.length}${contentFolder ? ` → ${contentFolder}` : ''}`)
+  progress('Content', `Saved "${title}" (${wordCount} words, SEO ${seo.score}/100${newArticle.duplicates.length > 0 ? `, ${newArticle.duplicates.length} overlap(s)` : ''}) as article #${sessionState.articles.length}${contentFolder ? ` → ${contentFolder}` : ''}`)
 
   // Clear current working images for next article
   sessionState.imageUrl = null
@@ -256,11 +456,11 @@ Use \`publish_content\` to publish all unpublished articles, or \`get_session\`
 
 **Title:** ${title}
 **Article ID:** ${articleId}
-**Word Count:** ${wordCount} words ${targetWordCount ? (wordCountOk ? '(ok)' : `(target: ${targetWordCount})`) : '(no target set)'}
+**Word Count:** ${formatWordCount(wordCounts)} ${targetWordCount ? (wordCountOk ? '(ok)' : `(target: ${targetWordCount})`) : '(no target set)'}
 **Meta Description:** ${meta_description ? `${meta_description.length} chars` : 'Missing!'}
 **Keywords:** ${keywords.join(', ') || 'none specified'}
 **Images:** ${newArticle.imageUrl ? '1 cover' : 'no cover'}${newArticle.inlineImages.length > 0 ? ` + ${newArticle.inlineImages.length} inline` : ''}
-
+${writeStep ? `**Workflow:** Step ${writeStep.step} (${writeStep.action}) complete - call \`next_step\` for the next step\n` : ''}
 ${targetWordCount && !wordCountOk ? `
 **WORD COUNT NOT MET - ${shortfall} WORDS SHORT!**
 Target: ${targetWordCount} words | Actual: ${wordCount} words
@@ -269,7 +469,10 @@ The article does not meet the project's word count requirement.
 Please EXPAND the content before publishing.
 ` : ''}
 ${!meta_description ? '**Warning:** Meta description is missing. Add it for better SEO.\n' : ''}
-${articlesListSection}${categoriesSection}
+${formatSeoReport(seo)}
+
+${formatReadabilityReport(readability)}
+${newArticle.duplicates.length > 0 ? `\n${formatConflicts(newArticle.duplicates)}\n` : ''}${articlesListSection}${categoriesSection}
 ${isMultiArticle && remaining > 0 ? `## ⚠️ MULTI-ARTICLE WORKFLOW: ${remaining} Article(s) Remaining
 
 **Progress:** ${savedCount} of ${totalExpected} articles saved.
@@ -296,42 +499,21 @@ Call \`generate_image\` ${totalImages} times with prompts based on your article
   }
 }
 
-async function handlePublishContent(args) {
+async function handlePublishContent(args, { signal } = {}) {
   const { platforms = ['all'], status = 'draft', category = '', article_numbers = [] } = args
 
-  // Determine which articles to publish
-  let articlesToPublish = []
+  // Determine which articles to publish (falls back to the current working article)
+  const articlesToPublish = getArticlesToPublish(article_numbers)
 
-  if (article_numbers && article_numbers.length > 0) {
-    articlesToPublish = article_numbers
-      .map(num => sessionState.articles[num - 1])
-      .filter(art => art && !art.published)
-
-    if (articlesToPublish.length === 0) {
-      return {
-        content: [{
-          type: 'text',
-          text: `No valid unpublished articles found for numbers: ${article_numbers.join(', ')}
+  if (article_numbers.length > 0 && articlesToPublish.length === 0) {
+    return {
+      content: [{
+        type: 'text',
+        text: `No valid unpublished articles found for numbers: ${article_numbers.join(', ')}
 
 Use \`get_session\` to see available articles and their numbers.`
-        }]
-      }
+      }]
     }
-  } else {
-    articlesToPublish = sessionState.articles.filter(art => !art.published)
-  }
-
-  // Fallback: Check if there's a current working article not yet saved
-  if (articlesToPublish.length === 0 && sessionState.article && sessionState.title) {
-    articlesToPublish = [{
-      id: 'current',
-      title: sessionState.title,
-      content: sessionState.article,
-      keywords: sessionState.keywords || [],
-      metaDescription: sessionState.metaDescription || '',
-      imageUrl: sessionState.imageUrl,
-      inlineImages: sessionState.inlineImages
-    }]
   }
 
   if (articlesToPublish.length === 0) {
@@ -351,12 +533,31 @@ Or use \`get_session\` to see current session state.`
   const shouldPublishGhost = hasGhost && (platforms.includes('all') || platforms.includes('ghost'))
   const shouldPublishWordPress = hasWordPress && (platforms.includes('all') || platforms.includes('wordpress'))
 
+  // Re-check overlaps before anything goes out: content saved after an article's
+  // save_content (or in another session) may compete with it now
+  const overlaps = []
+  for (const article of articlesToPublish) {
+    const conflicts = findContentConflicts(article, getArticleFolder(article))
+    const sessionArticle = sessionState.articles.find(a => a.id === article.id)
+    if (sessionArticle) sessionArticle.duplicates = conflicts
+    if (conflicts.length > 0) {
+      overlaps.push({ article: article.title, conflicts })
+      progress('Publishing', `Warning: "${article.title}" overlaps saved content: ${conflicts.map(c => c.folder).join(', ')}`)
+    }
+  }
+
   const allResults = []
   progress('Publishing', `Starting batch publish of ${articlesToPublish.length} article(s)`)
 
   for (let i = 0; i < articlesToPublish.length; i++) {
+    // Stop before starting another article once the client cancels
+    if (signal?.aborted) break
+
     const article = articlesToPublish[i]
-    progress('Publishing', `Article ${i + 1}/${articlesToPublish.length}: "${article.title}"`)
+    progress('Publishing', `Article ${i + 1}/${articlesToPublish.length}: "${article.title}"`, {
+      current: i,
+      total: articlesToPublish.length
+    })
 
     // Inject inline images
     const contentWithImages = injectImagesIntoContent(
@@ -367,7 +568,7 @@ Or use \`get_session\` to see current session state.`
     const articleResults = {
       article: article.title,
       articleId: article.id,
-      wordCount: article.wordCount || contentWithImages.split(/\s+/).length,
+      wordCount: article.wordCount || countWords(contentWithImages).total,
       platforms: []
     }
 
@@ -380,10 +581,10 @@ Or use \`get_session\` to see current session state.`
           status: status,
           tags: article.keywords || [],
           featured_image_url: article.imageUrl
-        })
+        }, { signal })
         articleResults.platforms.push({ platform: 'Ghost', success: true, result: ghostResult })
       } catch (e) {
-        articleResults.platforms.push({ platform: 'Ghost', success: false, error: e.message })
+        articleResults.platforms.push({ platform: 'Ghost', success: false, error: e.message, code: getErrorCode(e) })
       }
     }
 
@@ -398,29 +599,55 @@ Or use \`get_session\` to see current session state.`
           categories: categories,
           tags: article.keywords || [],
           featured_image_url: article.imageUrl
-        })
+        }, { signal })
         articleResults.platforms.push({ platform: 'WordPress', success: true, result: wpResult })
       } catch (e) {
-        articleResults.platforms.push({ platform: 'WordPress', success: false, error: e.message })
+        articleResults.platforms.push({ platform: 'WordPress', success: false, error: e.message, code: getErrorCode(e) })
       }
     }
 
     // Mark article as published
     const hasSuccess = articleResults.platforms.some(p => p.success)
-    if (hasSuccess && article.id !== 'current') {
+    if (hasSuccess) {
+      const publishedTo = articleResults.platforms
+        .filter(p => p.success)
+        .map(p => p.platform.toLowerCase())
+      const publishedAt = new Date().toISOString()
+
       const articleIndex = sessionState.articles.findIndex(a => a.id === article.id)
       if (articleIndex !== -1) {
         sessionState.articles[articleIndex].published = true
-        sessionState.articles[articleIndex].publishedTo = articleResults.platforms
-          .filter(p => p.success)
-          .map(p => p.platform.toLowerCase())
-        sessionState.articles[articleIndex].publishedAt = new Date().toISOString()
+        sessionState.articles[articleIndex].publishedTo = publishedTo
+        sessionState.articles[articleIndex].publishedAt = publishedAt
       }
+
+      // Keep the saved copy's metadata.json in step for list/search
+      markFolderPublished(getArticleFolder(article), { publishedTo, publishedAt })
     }
 
     allResults.push(articleResults)
   }
 
+  // Articles finished before a cancel are already marked published - persist them
+  const cancelled = !!signal?.aborted
+  const notStarted = articlesToPublish.slice(allResults.length)
+
+  if (cancelled) {
+    progress('Publishing', `Cancelled after ${allResults.length}/${articlesToPublish.length} article(s)`)
+  } else {
+    progress('Publishing', `Finished ${allResults.length} article(s)`, {
+      current: allResults.length,
+      total: articlesToPublish.length
+    })
+  }
+
+  // Tick off the workflow's publish step once nothing is left unpublished
+  const workflow = sessionState.currentWorkflow
+  const published = allResults.filter(r => r.platforms.some(p => p.success))
+  if (workflow && published.length > 0 && sessionState.articles.every(a => a.published)) {
+    completeNextStepOfType(workflow, 'publish', `Published ${published.map(r => `"${r.article}"`).join(', ')} (${status})`)
+    saveWorkflowToFolder()
+  }
   saveSession()
 
   // Build response
@@ -428,7 +655,7 @@ Or use \`get_session\` to see current session state.`
   const successfulArticles = allResults.filter(r => r.platforms.some(p => p.success)).length
   const totalWords = allResults.reduce((sum, r) => sum + r.wordCount, 0)
 
-  let response = `# Batch Publishing Results
+  let response = `# Batch Publishing Results${cancelled ? ' (Cancelled)' : ''}
 
 ## Summary
 - **Articles Published:** ${successfulArticles}/${totalArticles}
@@ -441,6 +668,18 @@ ${category ? `- **Category:** ${category}` : ''}
 
 `
 
+  if (overlaps.length > 0) {
+    response += `## ⚠️ Overlaps With Saved Content
+
+${overlaps.map(o => `- **${o.article}**: ${o.conflicts.map(c => `\`${c.folder}\` (${describeConflict(c)})`).join('; ')}`).join('\n')}
+
+These articles compete in search with the saved content above. Review them, then update or unpublish the weaker copy, or merge the two.
+
+---
+
+`
+  }
+
   for (const result of allResults) {
     const hasAnySuccess = result.platforms.some(p => p.success)
     response += `## ${hasAnySuccess ? '[OK]' : '[FAILED]'} ${result.article}\n`
@@ -455,12 +694,20 @@ ${category ? `- **Category:** ${category}` : ''}
           response += `URL: ${urlMatch[0]}\n`
         }
       } else {
-        response += `**${p.platform}:** Failed - ${p.error}\n`
+        response += `**${p.platform}:** Failed [${p.code}] - ${p.error}\n`
       }
     }
     response += '\n'
   }
 
+  if (cancelled) {
+    response += `---\n\n**Publishing was cancelled.** ${allResults.length} of ${articlesToPublish.length} article(s) were processed before the cancel.\n`
+    if (notStarted.length > 0) {
+      response += `Not started:\n${notStarted.map(a => `- ${a.title}`).join('\n')}\n`
+    }
+    response += '\n'
+  }
+
   const remainingUnpublished = sessionState.articles.filter(a => !a.published)
   if (remainingUnpublished.length > 0) {
     response += `---\n\n**${remainingUnpublished.length} article(s) still unpublished** in session.\n`
@@ -468,11 +715,20 @@ ${category ? `- **Category:** ${category}` : ''}
     response += `---\n\n**All ${sessionState.articles.length} articles published!**\n`
   }
 
+  // Remote posts created, for callers (and the audit log) that need IDs
+  const posts = allResults.flatMap(r => r.platforms
+    .filter(p => p.success)
+    .flatMap(p => p.result?.structuredContent?.posts || []))
+
   return {
     content: [{
       type: 'text',
       text: response
-    }]
+    }],
+    structuredContent: {
+      posts,
+      overlaps: overlaps.map(o => ({ article: o.article, folders: o.conflicts.map(c => c.folder) }))
+    }
   }
 }
 
@@ -494,17 +750,24 @@ function handleGetSession() {
   const isMultiArticle = expectedArticles > 1
   const remainingArticles = expectedArticles - totalArticles
 
+  // Unpublished articles that repeat saved content or compete for its keywords
+  const overlapping = unpublishedArticles.filter(a => a.duplicates?.length > 0)
+  const overlapsSection = overlapping.length > 0 ? `
+**Overlaps:** ${overlapping.length} unpublished article(s) overlap saved content - review before publishing:
+${overlapping.map(a => `- **${a.title}**: ${a.duplicates.map(d => `\`${d.folder}\` (${describeConflict(d)})`).join('; ')}`).join('\n')}
+` : ''
+
   const articlesSection = sessionState.articles.length > 0 ? `
 ## Saved Articles (${totalArticles} total)
 
-| # | Title | Words | Images | Status |
-|---|-------|-------|--------|--------|
+| # | Title | Words | Images | SEO | Overlaps | Status |
+|---|-------|-------|--------|-----|----------|--------|
 ${sessionState.articles.map((art, i) => {
   const imgCount = (art.imageUrl ? 1 : 0) + (art.inlineImages?.length || 0)
   const status = art.published ? `${art.publishedTo.join(', ')}` : 'Unpublished'
-  return `| ${i + 1} | ${art.title.substring(0, 40)}${art.title.length > 40 ? '...' : ''} | ${art.wordCount} | ${imgCount} | ${status} |`
+  return `| ${i + 1} | ${art.title.substring(0, 40)}${art.title.length > 40 ? '...' : ''} | ${art.wordCount} | ${imgCount} | ${art.seo ? `${art.seo.score}/100` : '-'} | ${art.duplicates?.length ? `⚠️ ${art.duplicates.length}` : '-'} | ${status} |`
 }).join('\n')}
-
+${overlapsSection}
 **Summary:** ${totalWords.toLocaleString()} total words, ${totalImages} total images
 **Unpublished:** ${unpublishedArticles.length} article(s) ready to publish
 ` : `
@@ -515,7 +778,7 @@ No articles saved yet. Use \`save_content\` after writing an article.
   const currentWorkingSection = sessionState.title && sessionState.article ? `
 ## Current Working Article
 **Title:** ${sessionState.title}
-**Word Count:** ${sessionState.article.split(/\s+/).length} words
+**Word Count:** ${formatWordCount(countWords(sessionState.article))}
 **Meta Description:** ${sessionState.metaDescription || 'Not set'}
 **Cover Image:** ${sessionState.imageUrl ? 'Generated' : 'Not yet'}
 **Inline Images:** ${sessionState.inlineImages.length}
@@ -523,6 +786,19 @@ No articles saved yet. Use \`save_content\` after writing an article.
 *This article is being edited. Call \`save_content\` to add it to the session.*
 ` : ''
 
+  // Project config source (live API or offline cache)
+  const offline = getOfflineState()
+  const projectConfigStatus = offline
+    ? `Offline - cached ${formatAge(offline.cachedAt)} (backend tools unavailable)`
+    : 'Live'
+
+  // Per-step workflow progress
+  const completedSteps = workflow?.steps?.filter(s => s.completed_at).length || 0
+  const stepsSection = workflow?.steps ? `
+## Workflow Steps (${completedSteps}/${workflow.total_steps} complete)
+${formatStepProgress(workflow)}
+${completedSteps < workflow.total_steps ? '\nCall `next_step` for the current step\'s instruction, `complete_step` to record its output.\n' : ''}` : ''
+
   // Multi-article progress section
   const multiArticleProgress = isMultiArticle ? `
 ## 📊 Multi-Article Workflow Progress
@@ -539,11 +815,13 @@ ${remainingArticles > 0 ? `
       type: 'text',
       text: `# Session State
 
-**Workflow:** ${workflow?.workflow_id || 'None active'}
+**Project:** ${projectSlug}
+**Workflow:** ${workflow?.workflow_id || 'None active'}${workflow?.template ? ` (template: ${workflow.template})` : ''}
 **Total Articles:** ${totalArticles}${isMultiArticle ? ` / ${expectedArticles} expected` : ''}
 **Ready to Publish:** ${unpublishedArticles.length}
 **Already Published:** ${publishedArticles.length}
-${multiArticleProgress}${articlesSection}${currentWorkingSection}
+**Project Config:** ${projectConfigStatus}
+${stepsSection}${multiArticleProgress}${articlesSection}${currentWorkingSection}
 ## Current Working Images (${imagesGenerated}/${totalImagesNeeded})
 **Cover Image:** ${sessionState.imageUrl || 'Not generated'}
 **Inline Images:** ${sessionState.inlineImages.length > 0 ? sessionState.inlineImages.map((url, i) => `\n  ${i+1}. ${url.substring(0, 60)}...`).join('') : 'None'}
@@ -566,6 +844,93 @@ ${workflow ? `
   }
 }
 
+function handleCompleteStep(args) {
+  const workflow = sessionState.currentWorkflow
+  if (!workflow) {
+    return noWorkflowResponse()
+  }
+
+  const stepNumber = args.step ?? getNextStep(workflow)?.step
+  if (stepNumber === undefined) {
+    return {
+      content: [{
+        type: 'text',
+        text: `All ${workflow.total_steps} workflow steps are already complete. Call \`get_session\` to review.`
+      }]
+    }
+  }
+
+  const step = completeStep(workflow, stepNumber, args.output)
+  saveSession()
+  saveWorkflowToFolder()
+
+  const completedSteps = workflow.steps.filter(s => s.completed_at).length
+  progress('Workflow', `Step ${step.step}/${workflow.total_steps} complete: ${step.action}`, {
+    current: completedSteps,
+    total: workflow.total_steps
+  })
+
+  const next = getNextStep(workflow)
+  const recorded = `**Step ${step.step} (${step.action}) complete.**${step.store ? ` Output stored as \`${step.store}\`.` : ''} Progress: ${completedSteps}/${workflow.total_steps} steps.`
+
+  return {
+    content: [{
+      type: 'text',
+      text: next
+        ? `${recorded}\n\n---\n\n${formatStepInstruction(workflow, next)}\n\n---\n\n${formatStepFooter(next)}`
+        : `${recorded}\n\n# Workflow Complete\n\nAll ${workflow.total_steps} steps are done. Call \`get_session\` to review.`
+    }]
+  }
+}
+
+function handleNextStep(args) {
+  const workflow = sessionState.currentWorkflow
+  if (!workflow) {
+    return noWorkflowResponse()
+  }
+
+  const step = args.step !== undefined ? getStep(workflow, args.step) : getNextStep(workflow)
+  if (!step) {
+    return {
+      content: [{
+        type: 'text',
+        text: `# Workflow Complete\n\nAll ${workflow.total_steps} steps are done. Call \`get_session\` to review or \`publish_content\` to publish.`
+      }]
+    }
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: `${step.completed_at ? `> Step ${step.step} was already completed ${formatAge(step.completed_at)}.\n\n` : ''}${formatStepInstruction(workflow, step)}\n\n---\n\n${formatStepFooter(step)}`
+    }]
+  }
+}
+
+/**
+ * Tell the model how to finish a step
+ * @param {object} step - Workflow step
+ * @returns {string} Markdown footer
+ */
+function formatStepFooter(step) {
+  if (step.action === 'content_write') {
+    return `**When done, call \`save_content\`** - it completes step ${step.step} automatically.`
+  }
+  if (step.action === 'publish') {
+    return `**Call \`publish_content\`** - it completes step ${step.step} once every article is published.`
+  }
+  return `**When done, call \`complete_step\` with \`step: ${step.step}\` and your output.**`
+}
+
+function noWorkflowResponse() {
+  return {
+    content: [{
+      type: 'text',
+      text: `No active workflow. Call \`create_content\` to start one.`
+    }]
+  }
+}
+
 function handleRemoveArticle(args) {
   const { article_numbers } = args
 
@@ -655,6 +1020,7 @@ To confirm, call \`clear_session\` with \`confirm: true\``
   const articleCount = sessionState.articles.length
   const unpublishedCount = sessionState.articles.filter(a => !a.published).length
 
+  removeWorkflowOnlyFolder(sessionState.contentFolder)
   resetSession()
 
   return {
@@ -708,6 +1074,8 @@ Save articles using \`save_content\` and they will appear here.`
         name: dirent.name,
         path: folderPath,
         metadata,
+        hasArticle: fs.existsSync(path.join(folderPath, 'article.md')),
+        hasWorkflow: fs.existsSync(path.join(folderPath, 'workflow.json')),
         mtime: fs.statSync(folderPath).mtime
       }
     })
@@ -729,17 +1097,20 @@ Save articles using \`save_content\` and they will appear here.`
 
   let response = `# Saved Content (${folders.length} articles)
 
-| # | Date | Title | Words | Project |
-|---|------|-------|-------|---------|
+| # | Date | Title | Words | Project | Workflow |
+|---|------|-------|-------|---------|----------|
 `
   folders.forEach((folder, i) => {
     const date = folder.name.split('-').slice(0, 3).join('-')
     const title = folder.metadata?.title || folder.name.split('-').slice(3).join('-')
-    const words = folder.metadata?.wordCount || '?'
+    const words = folder.hasArticle ? folder.metadata?.wordCount || '?' : '-'
     const project = folder.metadata?.projectSlug || '-'
-    response += `| ${i + 1} | ${date} | ${title.substring(0, 35)}${title.length > 35 ? '...' : ''} | ${words} | ${project} |\n`
+    response += `| ${i + 1} | ${date} | ${title.substring(0, 35)}${title.length > 35 ? '...' : ''} | ${words} | ${project} | ${folder.hasWorkflow ? 'Saved' : '-'} |\n`
   })
 
+  const loadable = folders.find(f => f.hasArticle) || folders[0]
+  const resumable = folders.find(f => f.hasWorkflow)
+
   response += `
 ---
 
@@ -747,7 +1118,7 @@ Save articles using \`save_content\` and they will appear here.`
 
 Call \`load_content\` with the folder name:
 \`\`\`
-load_content({ folder_name: "${folders[0]?.name}" })
+load_content({ folder_name: "${loadable.name}" })
 \`\`\`
 
 Once loaded, you can run optimization tools:
@@ -756,7 +1127,14 @@ Once loaded, you can run optimization tools:
 - \`internal_links\` - Internal linking suggestions
 - \`schema_generate\` - JSON-LD structured data
 - \`save_content\` - Re-save with changes
-- \`publish_content\` - Publish to CMS`
+- \`publish_content\` - Publish to CMS
+${resumable ? `
+## To Resume a Workflow
+
+Folders with a saved workflow can pick up where they stopped:
+\`\`\`
+resume_workflow({ folder_name: "${resumable.name}" })
+\`\`\`` : ''}`
 
   return {
     content: [{
@@ -766,6 +1144,116 @@ Once loaded, you can run optimization tools:
   }
 }
 
+function handleSearchContent(args) {
+  const { query = '', project, since, until, keyword, published, limit = 10 } = args
+  const { total, indexed, results } = searchContent(query, { project, since, until, keyword, published, limit })
+
+  const filters = [
+    project ? `project: ${project}` : null,
+    since ? `since ${since}` : null,
+    until ? `until ${until}` : null,
+    keyword ? `keyword: "${keyword}"` : null,
+    published !== undefined ? (published ? 'published' : 'unpublished') : null
+  ].filter(Boolean)
+  const heading = `# Search Results${query ? `: "${query}"` : ''}
+
+**Matches:** ${total} of ${indexed} saved articles${filters.length > 0 ? ` (${filters.join(', ')})` : ''}`
+
+  if (results.length === 0) {
+    return {
+      content: [{
+        type: 'text',
+        text: `${heading}
+
+No matching articles. Try fewer words or looser filters, or use \`list_content\` to browse recent content.`
+      }]
+    }
+  }
+
+  const entries = results.map((result, i) => {
+    const status = result.published
+      ? `published${result.publishedTo.length > 0 ? ` to ${result.publishedTo.join(', ')}` : ''}`
+      : 'unpublished'
+    const details = [
+      result.createdAt.split('T')[0],
+      result.project || '-',
+      `${result.wordCount || '?'} words`,
+      status,
+      result.score !== null ? `score ${result.score}` : null
+    ].filter(Boolean).join(' · ')
+
+    return `## ${i + 1}. ${result.title}
+\`${result.folder}\` · ${details}${result.keywords.length > 0 ? `\n**Keywords:** ${result.keywords.join(', ')}` : ''}${result.snippet ? `\n> ${result.snippet}` : ''}`
+  }).join('\n\n')
+
+  const otherProjects = results.some(r => r.project && r.project !== projectSlug)
+
+  return {
+    content: [{
+      type: 'text',
+      text: `${heading}${total > results.length ? ` - showing top ${results.length}` : ''}
+
+${entries}
+
+---
+
+Call \`load_content\` with a folder name to work on an article:
+\`\`\`
+load_content({ folder_name: "${results[0].folder}" })
+\`\`\`${otherProjects ? `
+
+Articles from another project load after \`switch_project\` to that project.` : ''}`
+    }]
+  }
+}
+
+function handleFindDuplicates(args) {
+  const { project = projectSlug, threshold = DEFAULT_SIMILARITY_THRESHOLD, limit = 50 } = args
+
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new SuparankError(ERROR_CODES.INVALID_ARGUMENTS, `threshold must be between 0 and 1, got ${threshold}`, { fields: ['threshold'] })
+  }
+
+  const library = listIndexedContent(project)
+  const pairs = findDuplicatePairs(library, { threshold })
+  progress('Content', `Checked ${library.length} article(s) in ${project}: ${pairs.length} conflict(s)`)
+
+  const heading = `# Duplicate Check: ${project}
+
+**Articles Checked:** ${library.length}
+**Similarity Threshold:** ${Math.round(threshold * 100)}%`
+
+  if (pairs.length === 0) {
+    return {
+      content: [{
+        type: 'text',
+        text: `${heading}
+
+No near-duplicates or keyword conflicts found.`
+      }]
+    }
+  }
+
+  const nearDuplicates = pairs.filter(p => p.nearDuplicate).length
+  const label = doc => `\`${doc.folder}\`${doc.published ? ' (published)' : ''}`
+
+  return {
+    content: [{
+      type: 'text',
+      text: `${heading}
+**Conflicts:** ${pairs.length} (${nearDuplicates} near-duplicate, ${pairs.length - nearDuplicates} keyword only)
+
+| # | Article | Conflicts With | Reason |
+|---|---------|----------------|--------|
+${pairs.slice(0, limit).map((pair, i) => `| ${i + 1} | ${label(pair.a)} | ${label(pair.b)} | ${describeConflict(pair)} |`).join('\n')}
+${pairs.length > limit ? `\n*${pairs.length - limit} more not shown - raise \`limit\` to see them.*\n` : ''}
+---
+
+Articles that repeat each other or target the same primary keyword compete in search. For each conflict, merge the two articles, rewrite one with a different angle, or retarget it to another keyword. Fix unpublished articles before publishing: \`load_content\` the folder, revise it and \`save_content\` again.`
+    }]
+  }
+}
+
 function handleLoadContent(args) {
   const { folder_name } = args
 
@@ -783,14 +1271,77 @@ function handleLoadContent(args) {
   try {
     folderPath = getContentFolderSafe(folder_name)
   } catch (error) {
+    throw new SuparankError(ERROR_CODES.INVALID_ARGUMENTS, `Invalid folder name: ${error.message}`, { fields: ['folder_name'] })
+  }
+
+  if (!fs.existsSync(folderPath)) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Folder not found: \`${folder_name}\`
+
+Use \`list_content\` to see available articles.`
+      }]
+    }
+  }
+
+  if (!fs.existsSync(path.join(folderPath, 'article.md'))) {
     return {
       content: [{
         type: 'text',
-        text: `Invalid folder name: ${error.message}`
+        text: `No article.md found in \`${folder_name}\``
       }]
     }
   }
 
+  const wordCount = loadArticleIntoSession(folderPath, folder_name)
+  progress('Content', `Loaded "${sessionState.title}" (${wordCount} words) from ${folder_name}`)
+
+  // Workflow saved with the article (see resume_workflow)
+  const savedWorkflow = readSavedWorkflow(folderPath)
+  const workflowNote = savedWorkflow
+    ? `\n**Saved Workflow:** ${savedWorkflow.workflow.workflow_id} (${savedWorkflow.workflow.steps.filter(s => s.completed_at).length}/${savedWorkflow.workflow.total_steps} steps complete) - call \`resume_workflow\` to continue it`
+    : ''
+
+  return {
+    content: [{
+      type: 'text',
+      text: `# Content Loaded
+
+**Title:** ${sessionState.title}
+**Word Count:** ${wordCount}
+**Keywords:** ${sessionState.keywords.join(', ') || 'None'}
+**Meta Description:** ${sessionState.metaDescription ? `${sessionState.metaDescription.length} chars` : 'None'}
+**Cover Image:** ${sessionState.imageUrl ? 'Yes' : 'No'}
+**Inline Images:** ${sessionState.inlineImages.length}
+**Source:** \`${folderPath}\`${workflowNote}
+
+---
+
+## Now you can run optimization tools:
+
+- **\`quality_check\`** - Pre-publish quality assurance
+- **\`geo_optimize\`** - Optimize for AI search engines (ChatGPT, Perplexity)
+- **\`internal_links\`** - Get internal linking suggestions
+- **\`schema_generate\`** - Generate JSON-LD structured data
+- **\`save_content\`** - Re-save after making changes
+- **\`publish_content\`** - Publish to WordPress/Ghost
+
+Article is now in session (#${sessionState.articles.length}) and ready for further processing.`
+    }]
+  }
+}
+
+function handleResumeWorkflow(args) {
+  const { folder_name } = args
+
+  let folderPath
+  try {
+    folderPath = getContentFolderSafe(folder_name)
+  } catch (error) {
+    throw new SuparankError(ERROR_CODES.INVALID_ARGUMENTS, `Invalid folder name: ${error.message}`, { fields: ['folder_name'] })
+  }
+
   if (!fs.existsSync(folderPath)) {
     return {
       content: [{
@@ -802,19 +1353,104 @@ Use \`list_content\` to see available articles.`
     }
   }
 
-  const articlePath = path.join(folderPath, 'article.md')
-  const metadataPath = path.join(folderPath, 'metadata.json')
-
-  if (!fs.existsSync(articlePath)) {
+  const saved = readSavedWorkflow(folderPath)
+  if (!saved) {
     return {
       content: [{
         type: 'text',
-        text: `No article.md found in \`${folder_name}\``
+        text: `No saved workflow in \`${folder_name}\`. \`create_content\` saves its workflow in a content folder, which moves next to the article on the first \`save_content\`.
+
+Use \`load_content\` to load just the article.`
       }]
     }
   }
 
-  const articleContent = fs.readFileSync(articlePath, 'utf-8')
+  const { workflow } = saved
+  const replaced = sessionState.currentWorkflow && sessionState.currentWorkflow.workflow_id !== workflow.workflow_id
+    ? sessionState.currentWorkflow.workflow_id
+    : null
+  const inferred = inferStepProgress(workflow, saved.savedAt)
+
+  sessionState.currentWorkflow = workflow
+  sessionState.stepResults = saved.stepResults || {}
+
+  let article = null
+  if (fs.existsSync(path.join(folderPath, 'article.md'))) {
+    const wordCount = loadArticleIntoSession(folderPath, folder_name)
+    article = `"${sessionState.title}" (${wordCount} words) loaded into session`
+  } else {
+    sessionState.contentFolder = folderPath
+    saveSession()
+  }
+
+  const last = getLastCompletedStep(workflow)
+  const next = getNextStep(workflow)
+  const completedSteps = workflow.steps.filter(s => s.completed_at).length
+  progress('Workflow', `Resumed ${workflow.workflow_id} at ${next ? `step ${next.step} (${next.action})` : 'completion'}`)
+
+  // Settings the project has changed since the plan was built
+  const changes = diffPlanSettings(workflow.settings, getProject()?.config)
+
+  const notes = [
+    replaced ? `> Replaced the previously active workflow ${replaced}.` : '',
+    inferred ? '> This workflow was saved before step tracking - steps up to the first article are assumed complete.' : '',
+    changes.length > 0 ? `> Project settings changed since this workflow was planned: ${changes.map(c => c.setting).join(', ')}. Call \`create_content\` to re-plan with the new settings.` : ''
+  ].filter(Boolean).join('\n')
+
+  return {
+    content: [{
+      type: 'text',
+      text: `# Workflow Resumed
+
+**Workflow:** ${workflow.workflow_id}${workflow.template ? ` (template: ${workflow.template})` : ''}
+**Request:** "${workflow.request}"
+**Saved:** ${formatAge(saved.savedAt)}
+**Last Completed Step:** ${last ? `${last.step}. ${last.action} (${formatAge(last.completed_at)})` : 'None'}
+**Progress:** ${completedSteps}/${workflow.total_steps} steps
+**Article:** ${article || 'None'}
+${notes ? `\n${notes}\n` : ''}
+## Workflow Steps
+${formatStepProgress(workflow)}
+
+---
+
+${next
+  ? `${formatStepInstruction(workflow, next)}\n\n---\n\n${formatStepFooter(next)}`
+  : '# Workflow Complete\n\nAll steps are done. Call `get_session` to review or `publish_content` to publish.'}`
+    }]
+  }
+}
+
+/**
+ * Read workflow.json from a content folder
+ * @param {string} folderPath - Absolute content folder path
+ * @returns {{ workflow: object, stepResults: object, savedAt: string }|null} Saved workflow, or null if missing/invalid
+ */
+function readSavedWorkflow(folderPath) {
+  const workflowPath = path.join(folderPath, 'workflow.json')
+  if (!fs.existsSync(workflowPath)) {
+    return null
+  }
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(workflowPath, 'utf-8'))
+    return Array.isArray(saved.workflow?.steps) ? saved : null
+  } catch (e) {
+    log(`Warning: Failed to parse workflow.json: ${e.message}`)
+    return null
+  }
+}
+
+/**
+ * Load article.md and metadata.json from a content folder into the session
+ * Adds the article to the session's articles unless one with the same title exists
+ * @param {string} folderPath - Absolute content folder path (already validated)
+ * @param {string} folderName - Folder name, used as a fallback title
+ * @returns {number} Word count of the loaded article
+ */
+function loadArticleIntoSession(folderPath, folderName) {
+  const articleContent = fs.readFileSync(path.join(folderPath, 'article.md'), 'utf-8')
+  const metadataPath = path.join(folderPath, 'metadata.json')
   let metadata = {}
   if (fs.existsSync(metadataPath)) {
     try {
@@ -825,16 +1461,17 @@ Use \`list_content\` to see available articles.`
   }
 
   // Load into session state
-  sessionState.title = metadata.title || folder_name
+  sessionState.title = metadata.title || folderName
   sessionState.article = articleContent
   sessionState.keywords = metadata.keywords || []
   sessionState.metaDescription = metadata.metaDescription || ''
-  sessionState.metaTitle = metadata.metaTitle || metadata.title || folder_name
+  sessionState.metaTitle = metadata.metaTitle || metadata.title || folderName
   sessionState.imageUrl = metadata.imageUrl || null
   sessionState.inlineImages = metadata.inlineImages || []
   sessionState.contentFolder = folderPath
 
   // Add to articles array if not already there
+  const wordCounts = countWords(articleContent)
   const existingIndex = sessionState.articles.findIndex(a => a.title === sessionState.title)
   if (existingIndex === -1) {
     const loadedArticle = {
@@ -849,7 +1486,8 @@ Use \`list_content\` to see available articles.`
       savedAt: metadata.createdAt || new Date().toISOString(),
       published: false,
       publishedTo: [],
-      wordCount: articleContent.split(/\s+/).length,
+      wordCount: wordCounts.total,
+      wordCounts,
       loadedFrom: folderPath
     }
     sessionState.articles.push(loadedArticle)
@@ -857,34 +1495,128 @@ Use \`list_content\` to see available articles.`
 
   saveSession()
 
-  const wordCount = articleContent.split(/\s+/).length
-  progress('Content', `Loaded "${sessionState.title}" (${wordCount} words) from ${folder_name}`)
+  return wordCounts.total
+}
+
+async function handleRefreshProject() {
+  progress('Project', 'Refreshing project config...')
+  const { previous, project, wasOffline } = await refreshProject()
+
+  // Compare against what the active workflow was planned with, else the previous config
+  const workflow = sessionState.currentWorkflow
+  const changes = diffPlanSettings(
+    workflow?.settings || extractPlanSettings(previous?.config),
+    project.config
+  )
+
+  // Top-level config sections that changed (site, brand, seo...)
+  const sections = [...new Set([
+    ...Object.keys(previous?.config || {}),
+    ...Object.keys(project.config || {})
+  ])].filter(key => JSON.stringify(previous?.config?.[key]) !== JSON.stringify(project.config?.[key]))
+
+  progress('Project', `Refreshed ${project.name}: ${changes.length} plan setting(s) changed`)
+
+  const formatValue = (value) => {
+    if (value === undefined || value === null || value === '') return 'Not set'
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'None'
+    return String(value)
+  }
+
+  const changesSection = changes.length > 0 ? `
+## Changed Plan Settings${workflow ? ` (active workflow ${workflow.workflow_id})` : ''}
+
+| Setting | Before | After |
+|---------|--------|-------|
+${changes.map(c => `| ${c.setting} | ${formatValue(c.from)} | ${formatValue(c.to)} |`).join('\n')}
+${workflow ? `
+The active workflow was planned with the previous settings. Call \`create_content\` again to rebuild the plan with the new settings.
+` : ''}` : `
+## Changed Plan Settings
+No workflow settings changed.
+`
 
   return {
     content: [{
       type: 'text',
-      text: `# Content Loaded
+      text: `# Project Refreshed
 
-**Title:** ${sessionState.title}
-**Word Count:** ${wordCount}
-**Keywords:** ${sessionState.keywords.join(', ') || 'None'}
-**Meta Description:** ${sessionState.metaDescription ? `${sessionState.metaDescription.length} chars` : 'None'}
-**Cover Image:** ${sessionState.imageUrl ? 'Yes' : 'No'}
-**Inline Images:** ${sessionState.inlineImages.length}
-**Source:** \`${folderPath}\`
+**Project:** ${project.name}
+**Config sections changed:** ${sections.length > 0 ? sections.join(', ') : 'None'}
+${wasOffline ? '**Connection:** Back online - backend tools are available again\n' : ''}${changesSection}`
+    }]
+  }
+}
 
----
+function handleListProjects() {
+  const projects = listProjects()
 
-## Now you can run optimization tools:
+  return {
+    content: [{
+      type: 'text',
+      text: `# Projects (${projects.length})
 
-- **\`quality_check\`** - Pre-publish quality assurance
-- **\`geo_optimize\`** - Optimize for AI search engines (ChatGPT, Perplexity)
-- **\`internal_links\`** - Get internal linking suggestions
-- **\`schema_generate\`** - Generate JSON-LD structured data
-- **\`save_content\`** - Re-save after making changes
-- **\`publish_content\`** - Publish to WordPress/Ghost
+| Slug | Name | Credentials | Status |
+|------|------|-------------|--------|
+${projects.map(p => `| ${p.slug} | ${p.name || '-'} | ${p.credentialsProfile ? `profile: ${p.credentialsProfile}` : 'default'} | ${p.isActive ? '**Active**' : ''}${p.isDefault ? ' (default)' : ''} |`).join('\n')}
 
-Article is now in session (#${sessionState.articles.length}) and ready for further processing.`
+Use \`switch_project\` with a slug to work on another project.
+${projects.length === 1 ? `
+Add more projects to the \`projects\` array in ~/.suparank/config.json:
+\`{ "project_slug": "client-site", "name": "Client Site", "credentials_profile": "client-site" }\`
+` : ''}`
+    }]
+  }
+}
+
+async function handleSwitchProject(args) {
+  const { project_slug } = args
+
+  const current = listProjects().find(p => p.isActive)
+  if (current?.slug === project_slug) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Project **${project_slug}** is already active.`
+      }]
+    }
+  }
+
+  // Under serve --http every client shares the active project - switching would move the others too
+  const otherClients = getRequestContext()?.otherClients?.() || 0
+  if (otherClients > 0) {
+    throw new SuparankError(
+      ERROR_CODES.CONFLICT,
+      `Cannot switch projects while ${otherClients} other client(s) share this server: their session, content and credentials would switch too. Disconnect them first, or run a separate server per project.`,
+      { otherClients }
+    )
+  }
+
+  // Persist the current project's session before its state is swapped out
+  saveSession()
+
+  const target = await switchProject(project_slug)
+  const project = getProject()
+
+  // Load the target project's own session (or start empty)
+  resetSession()
+  const restored = restoreSession()
+
+  progress('Project', `Switched to ${target.slug} (${sessionState.articles.length} article(s) in session)`)
+
+  const offline = getOfflineState()
+
+  return {
+    content: [{
+      type: 'text',
+      text: `# Switched Project
+
+**Project:** ${project?.name || target.slug} (\`${target.slug}\`)
+**Workspace:** \`${getWorkspaceDir()}\`
+**Credentials:** ${target.credentialsProfile ? `profile "${target.credentialsProfile}"` : 'default'}
+**Session:** ${restored ? `Restored (${sessionState.articles.length} article(s), workflow: ${sessionState.currentWorkflow?.workflow_id || 'none'})` : 'Empty'}
+${offline ? `**Project Config:** Offline - cached ${formatAge(offline.cachedAt)} (backend tools unavailable)\n` : ''}
+Session, saved content and publishing credentials now belong to this project. Call \`get_session\` to review or \`create_content\` to start.`
     }]
   }
 }
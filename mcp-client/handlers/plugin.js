@@ -0,0 +1,58 @@
+/**
+ * Suparank MCP - Plugin Tool Handler
+ *
+ * Runs tools loaded from ~/.suparank/plugins
+ */
+
+import { log, progress } from '../utils/logging.js'
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
+import { sessionState, saveSession } from '../services/session-state.js'
+import { getCredentials } from '../services/credentials.js'
+import { fetchWithRetry } from '../services/api.js'
+import { getPluginTools } from '../tools/plugins.js'
+
+/**
+ * Execute a plugin tool
+ * @param {string} toolName - Name of the plugin tool
+ * @param {object} args - Tool arguments
+ * @param {object} [options] - Execution options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
+ * @returns {Promise<object>} MCP response
+ */
+export async function executePluginTool(toolName, args, { signal } = {}) {
+  const tool = getPluginTools().find(t => t.name === toolName)
+  if (!tool) {
+    throw new SuparankError(ERROR_CODES.UNKNOWN_TOOL, `Unknown plugin tool: ${toolName}`)
+  }
+
+  const context = {
+    sessionState,
+    getCredentials,
+    fetchWithRetry,
+    log,
+    progress,
+    signal
+  }
+
+  // Plugins may change sessionState - persist it even when they fail partway
+  let result
+  try {
+    result = await tool.execute(args, context)
+  } finally {
+    saveSession()
+  }
+
+  // Plugins may return plain text instead of a full MCP result
+  if (typeof result === 'string') {
+    return { content: [{ type: 'text', text: result }] }
+  }
+  if (!Array.isArray(result?.content)) {
+    throw new SuparankError(
+      ERROR_CODES.INTERNAL_ERROR,
+      `Plugin ${tool.plugin} returned an invalid result for ${toolName} (expected a string or { content: [...] })`,
+      { plugin: tool.plugin }
+    )
+  }
+
+  return result
+}
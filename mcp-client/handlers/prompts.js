@@ -0,0 +1,95 @@
+/**
+ * Suparank MCP - Prompt Handlers
+ *
+ * Exposes each workflow phase from buildWorkflowPlan as an MCP prompt,
+ * so users can run a single phase from their client's slash-command menu
+ * without starting (or resetting) a create_content session
+ */
+
+import { buildWorkflowPlan } from '../workflow/planner.js'
+import { CONTENT_TYPES } from '../workflow/content-types.js'
+
+// Workflow phases exposed as prompts (step action -> description)
+const PHASE_PROMPTS = {
+  keyword_research: 'Research primary, secondary and question keywords for a topic',
+  seo_strategy: 'Build an SEO strategy and content brief',
+  topical_map: 'Design a pillar-cluster content architecture',
+  content_planning: 'Create a detailed outline with SEO meta title, description and slug',
+  content_write: 'Write the complete article using project word count, voice and reading level',
+  quality_check: 'Run the pre-publish quality checklist',
+  geo_optimize: 'Optimize the article for AI search engines (GEO)'
+}
+
+const PROMPT_ARGUMENTS = [
+  {
+    name: 'request',
+    description: 'What the content is about (e.g., "beginner guide to email marketing")',
+    required: false
+  },
+  {
+    name: 'count',
+    description: 'Number of articles planned (default: 1)',
+    required: false
+  },
+  {
+    name: 'content_type',
+    description: `Type of content: ${CONTENT_TYPES.join(', ')}`,
+    required: false
+  }
+]
+
+/**
+ * List all workflow phase prompts
+ * @returns {Array} MCP prompt descriptors
+ */
+export function listPrompts() {
+  return Object.entries(PHASE_PROMPTS).map(([name, description]) => ({
+    name,
+    description,
+    arguments: PROMPT_ARGUMENTS
+  }))
+}
+
+/**
+ * Build the prompt for a single workflow phase
+ * Uses the same instructions as create_content, but leaves session state untouched
+ * @param {string} name - Phase name (workflow step action)
+ * @param {object} args - Prompt arguments (all strings)
+ * @param {object} project - Project configuration from database
+ * @returns {{ description: string, messages: Array }} MCP get prompt result
+ * @throws {Error} If the prompt or content type is unknown
+ */
+export function getPrompt(name, args, project) {
+  if (!PHASE_PROMPTS[name]) {
+    throw new Error(`Unknown prompt: ${name}. Available: ${Object.keys(PHASE_PROMPTS).join(', ')}`)
+  }
+
+  const { request = '', count = '1', content_type: contentType } = args
+  if (contentType && !CONTENT_TYPES.includes(contentType)) {
+    throw new Error(`Unknown content_type "${contentType}". Use one of: ${CONTENT_TYPES.join(', ')}`)
+  }
+
+  const articleCount = Math.max(1, parseInt(count, 10) || 1)
+  const plan = buildWorkflowPlan(
+    request || `content about ${project?.config?.site?.niche || 'the project topic'}`,
+    articleCount,
+    [],
+    true,
+    project,
+    contentType
+  )
+
+  const step = plan.steps.find(s => s.action === name)
+  const contentTypeNote = contentType ? `**Content type:** ${contentType}\n\n` : ''
+
+  return {
+    description: PHASE_PROMPTS[name],
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `# ${name.toUpperCase()}\n\n${contentTypeNote}${step.instruction}`
+      }
+    }]
+  }
+}
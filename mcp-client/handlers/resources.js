@@ -0,0 +1,161 @@
+/**
+ * Suparank MCP - Resource Handlers
+ *
+ * Exposes the local content library and live session state as MCP resources:
+ * - suparank://session
+ * - suparank://content/<folder>/article.md | metadata.json | workflow.json
+ */
+
+import * as fs from 'fs'
+import * as path from 'path'
+import { getContentDir, getContentFolderSafe } from '../utils/paths.js'
+import { sessionState } from '../services/session-state.js'
+import { events, CONTENT_SAVED, SESSION_SAVED } from '../services/events.js'
+
+export const SESSION_RESOURCE_URI = 'suparank://session'
+const CONTENT_URI_PREFIX = 'suparank://content/'
+
+// Files exposed from each content folder, with their MIME types
+const CONTENT_FILES = {
+  'article.md': 'text/markdown',
+  'metadata.json': 'application/json',
+  'workflow.json': 'application/json'
+}
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${CONTENT_URI_PREFIX}{folder}/{file}`,
+    name: 'Saved content file',
+    description: 'article.md, metadata.json or workflow.json from a folder in ~/.suparank/content'
+  }
+]
+
+/**
+ * Build the resource URI for a file in a content folder
+ * @param {string} folderName - Content folder name
+ * @param {string} fileName - File within the folder
+ * @returns {string} Resource URI
+ */
+export function getContentResourceUri(folderName, fileName) {
+  return `${CONTENT_URI_PREFIX}${encodeURIComponent(folderName)}/${fileName}`
+}
+
+/**
+ * List all readable resources (session + every saved content file)
+ * @returns {Array} MCP resource descriptors, newest content first
+ */
+export function listResources() {
+  const resources = [{
+    uri: SESSION_RESOURCE_URI,
+    name: 'Current session',
+    description: `Live session state (${sessionState.articles.length} article(s))`,
+    mimeType: 'application/json'
+  }]
+
+  const contentDir = getContentDir()
+  if (!fs.existsSync(contentDir)) {
+    return resources
+  }
+
+  const folders = fs.readdirSync(contentDir, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .map(dirent => ({
+      name: dirent.name,
+      mtime: fs.statSync(path.join(contentDir, dirent.name)).mtime
+    }))
+    .sort((a, b) => b.mtime - a.mtime)
+
+  for (const folder of folders) {
+    for (const [fileName, mimeType] of Object.entries(CONTENT_FILES)) {
+      if (fs.existsSync(path.join(contentDir, folder.name, fileName))) {
+        resources.push({
+          uri: getContentResourceUri(folder.name, fileName),
+          name: `${folder.name}/${fileName}`,
+          mimeType
+        })
+      }
+    }
+  }
+
+  return resources
+}
+
+/**
+ * Read a resource by URI
+ * @param {string} uri - Resource URI
+ * @returns {{ contents: Array }} MCP read resource result
+ * @throws {Error} If the URI is unknown or the file does not exist
+ */
+export function readResource(uri) {
+  if (uri === SESSION_RESOURCE_URI) {
+    return {
+      contents: [{
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(sessionState, null, 2)
+      }]
+    }
+  }
+
+  const { folderName, fileName } = parseContentUri(uri)
+
+  // Sanitize folder name to prevent path traversal
+  const filePath = path.join(getContentFolderSafe(folderName), fileName)
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Resource not found: ${uri}`)
+  }
+
+  return {
+    contents: [{
+      uri,
+      mimeType: CONTENT_FILES[fileName],
+      text: fs.readFileSync(filePath, 'utf-8')
+    }]
+  }
+}
+
+/**
+ * Listen for changes that affect resources
+ * @param {Function} onUpdated - Called with the URI of each changed resource
+ * @param {Function} onListChanged - Called when resources may have been added
+ * @returns {Function} Unsubscribe function
+ */
+export function watchResourceChanges(onUpdated, onListChanged) {
+  const handleContentSaved = ({ folderName }) => {
+    for (const fileName of Object.keys(CONTENT_FILES)) {
+      onUpdated(getContentResourceUri(folderName, fileName))
+    }
+    onListChanged()
+  }
+  const handleSessionSaved = () => onUpdated(SESSION_RESOURCE_URI)
+
+  events.on(CONTENT_SAVED, handleContentSaved)
+  events.on(SESSION_SAVED, handleSessionSaved)
+
+  return () => {
+    events.off(CONTENT_SAVED, handleContentSaved)
+    events.off(SESSION_SAVED, handleSessionSaved)
+  }
+}
+
+/**
+ * Split a content URI into folder and file names
+ * @param {string} uri - suparank://content/<folder>/<file>
+ * @returns {{ folderName: string, fileName: string }}
+ * @throws {Error} If the URI is not a known content resource
+ */
+function parseContentUri(uri) {
+  if (!uri.startsWith(CONTENT_URI_PREFIX)) {
+    throw new Error(`Unknown resource: ${uri}`)
+  }
+
+  const parts = uri.slice(CONTENT_URI_PREFIX.length).split('/')
+  if (parts.length !== 2 || !CONTENT_FILES[parts[1]]) {
+    throw new Error(`Unknown resource: ${uri}`)
+  }
+
+  return {
+    folderName: decodeURIComponent(parts[0]),
+    fileName: parts[1]
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Suparank MCP - HTTP Server
+ *
+ * Streamable HTTP transport so several MCP clients can share one server.
+ * Each client session gets its own MCP server instance (session affinity via
+ * the mcp-session-id header); all instances share the same session state
+ * and active project.
+ */
+
+import * as http from 'http'
+import { randomBytes, randomUUID, timingSafeEqual } from 'crypto'
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js'
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js'
+import { log } from './utils/logging.js'
+
+// MCP endpoint path and request body size limit (articles can be large)
+const MCP_PATH = '/mcp'
+const MAX_BODY_BYTES = 10 * 1024 * 1024
+
+// Sessions idle longer than this no longer count as connected clients
+// (clients can drop without sending DELETE, which leaves their session open)
+const ACTIVE_SESSION_MS = 10 * 60 * 1000
+
+// Active sessions: mcp-session-id -> { transport, server, lastSeenAt }
+const sessions = new Map()
+
+/**
+ * Start the Streamable HTTP server
+ * @param {Function} createServer - Factory returning a new (unconnected) MCP server
+ * @param {object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Host/interface to bind
+ * @param {string|null} options.token - Bearer token required from clients
+ * @returns {Promise<http.Server>} Listening HTTP server
+ */
+export async function startHttpServer(createServer, { port, host, token }) {
+  // Never run unauthenticated - generate a token if none was configured
+  const bearerToken = token || randomBytes(24).toString('hex')
+  if (!token) {
+    log(`No SUPARANK_HTTP_TOKEN set. Generated token for this run: ${bearerToken}`)
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+
+      if (url.pathname === '/health') {
+        return sendJson(res, 200, { status: 'ok', sessions: sessions.size })
+      }
+
+      if (url.pathname !== MCP_PATH) {
+        return sendJson(res, 404, { error: 'Not found' })
+      }
+
+      if (!isAuthorized(req, bearerToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer')
+        return sendJsonRpcError(res, 401, -32001, 'Unauthorized: missing or invalid bearer token')
+      }
+
+      let body
+      if (req.method === 'POST') {
+        try {
+          body = await readJsonBody(req)
+        } catch (error) {
+          return sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`)
+        }
+      }
+
+      // Existing session - route to its transport
+      const sessionId = req.headers['mcp-session-id']
+      if (sessionId) {
+        const session = sessions.get(sessionId)
+        if (!session) {
+          return sendJsonRpcError(res, 404, -32001, 'Session not found')
+        }
+        session.lastSeenAt = Date.now()
+        return await session.transport.handleRequest(req, res, body)
+      }
+
+      // New session - only allowed via an initialize request
+      if (req.method === 'POST' && isInitializeRequest(body)) {
+        const server = createServer()
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => {
+            sessions.set(id, { transport, server, lastSeenAt: Date.now() })
+            log(`HTTP session started: ${id} (${sessions.size} active)`)
+          }
+        })
+
+        transport.onclose = () => {
+          if (transport.sessionId && sessions.delete(transport.sessionId)) {
+            log(`HTTP session closed: ${transport.sessionId} (${sessions.size} active)`)
+          }
+        }
+
+        await server.connect(transport)
+        return await transport.handleRequest(req, res, body)
+      }
+
+      return sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided')
+    } catch (error) {
+      log('HTTP request failed:', error.message)
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error')
+      }
+    }
+  })
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject)
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject)
+      resolve()
+    })
+  })
+
+  log(`MCP server ready and listening on http://${host}:${port}${MCP_PATH}`)
+  return httpServer
+}
+
+/**
+ * List the clients connected over HTTP that made a request recently
+ * @returns {string[]} mcp-session-id of each active session (empty in stdio mode)
+ */
+export function getActiveHttpSessionIds() {
+  const since = Date.now() - ACTIVE_SESSION_MS
+  return [...sessions].filter(([, session]) => session.lastSeenAt >= since).map(([id]) => id)
+}
+
+/**
+ * Check the Authorization header against the expected bearer token
+ * Uses a constant-time comparison to avoid leaking the token via timing
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {string} token - Expected token
+ * @returns {boolean} Whether the request is authorized
+ */
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || ''
+  const match = header.match(/^Bearer\s+(.+)$/i)
+  if (!match) return false
+
+  const provided = Buffer.from(match[1].trim())
+  const expected = Buffer.from(token)
+  return provided.length === expected.length && timingSafeEqual(provided, expected)
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<any>} Parsed body (undefined when empty)
+ */
+async function readJsonBody(req) {
+  const chunks = []
+  let size = 0
+
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > MAX_BODY_BYTES) {
+      throw new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`)
+    }
+    chunks.push(chunk)
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf-8')
+  return raw ? JSON.parse(raw) : undefined
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(data))
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, {
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  })
+}
@@ -8,6 +8,7 @@ import { log, progress } from '../utils/logging.js'
 import { fetchWithRetry } from '../services/api.js'
 import { getCredentials } from '../services/credentials.js'
 import { markdownToHtml } from '../utils/formatting.js'
+import { platformError } from '../utils/errors.js'
 
 /**
  * Create JWT for Ghost Admin API
@@ -43,9 +44,11 @@ async function createGhostJWT(id, secret) {
  * @param {string} [args.status='draft'] - Publication status
  * @param {string[]} [args.tags=[]] - Tag names
  * @param {string} [args.featured_image_url] - Featured image URL
+ * @param {object} [options] - Execution options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
  * @returns {Promise<object>} MCP response
  */
-export async function executeGhostPublish(args) {
+export async function executeGhostPublish(args, { signal } = {}) {
   const credentials = getCredentials()
   const { api_url, admin_api_key } = credentials.ghost
   const { title, content, status = 'draft', tags = [], featured_image_url } = args
@@ -85,12 +88,13 @@ export async function executeGhostPublish(args) {
       'Authorization': `Ghost ${token}`,
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify(postData)
+    body: JSON.stringify(postData),
+    signal
   }, 2, 30000) // 2 retries, 30s timeout
 
   if (!response.ok) {
     const error = await response.text()
-    throw new Error(`Ghost error: ${error}`)
+    throw platformError('ghost', response.status, `Ghost error: ${error}`)
   }
 
   const result = await response.json()
@@ -100,6 +104,9 @@ export async function executeGhostPublish(args) {
     content: [{
       type: 'text',
       text: `Post published to Ghost!\n\n**Title:** ${post.title}\n**Status:** ${post.status}\n**URL:** ${post.url}\n**ID:** ${post.id}\n\n${status === 'draft' ? 'The post is saved as a draft. Edit and publish from Ghost dashboard.' : 'The post is now live!'}`
-    }]
+    }],
+    structuredContent: {
+      posts: [{ platform: 'ghost', id: post.id, url: post.url, status: post.status, title: post.title }]
+    }
   }
 }
@@ -5,11 +5,12 @@
  */
 
 import { log, progress } from '../utils/logging.js'
-import { fetchWithRetry } from '../services/api.js'
+import { fetchWithRetry, fetchWithTimeout, sleep } from '../services/api.js'
 import { getCredentials } from '../services/credentials.js'
-import { sessionState, saveSession } from '../services/session-state.js'
+import { sessionState, saveSession, acquireSessionLock, releaseSessionLock } from '../services/session-state.js'
 import { incrementStat } from '../services/stats.js'
 import { API_ENDPOINTS } from '../config.js'
+import { SuparankError, ERROR_CODES, platformError } from '../utils/errors.js'
 
 /**
  * Generate an AI image using the configured provider
@@ -17,15 +18,21 @@ import { API_ENDPOINTS } from '../config.js'
  * @param {string} args.prompt - Image prompt
  * @param {string} [args.style] - Style guidance
  * @param {string} [args.aspect_ratio='16:9'] - Aspect ratio
+ * @param {object} [options] - Execution options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
  * @returns {Promise<object>} MCP response with image URL
  */
-export async function executeImageGeneration(args) {
+export async function executeImageGeneration(args, { signal } = {}) {
   const credentials = getCredentials()
   const provider = credentials.image_provider
   const config = credentials[provider]
 
   if (!config?.api_key) {
-    throw new Error(`${provider} API key not configured`)
+    throw new SuparankError(
+      ERROR_CODES.CREDENTIAL_MISSING,
+      `${provider} API key not configured`,
+      { credential: provider }
+    )
   }
 
   progress('Image', `Generating with ${provider}...`)
@@ -37,23 +44,27 @@ export async function executeImageGeneration(args) {
 
   switch (provider) {
     case 'fal':
-      return generateWithFal(config, fullPrompt, aspect_ratio)
+      return generateWithFal(config, fullPrompt, aspect_ratio, signal)
 
     case 'gemini':
-      return generateWithGemini(config, fullPrompt, aspect_ratio)
+      return generateWithGemini(config, fullPrompt, aspect_ratio, signal)
 
     case 'wiro':
-      return generateWithWiro(config, fullPrompt, aspect_ratio)
+      return generateWithWiro(config, fullPrompt, aspect_ratio, signal)
 
     default:
-      throw new Error(`Unknown image provider: ${provider}`)
+      throw new SuparankError(
+        ERROR_CODES.CREDENTIAL_MISSING,
+        `Unknown image provider: ${provider}`,
+        { credential: 'image_provider' }
+      )
   }
 }
 
 /**
  * Generate image with fal.ai
  */
-async function generateWithFal(config, fullPrompt, aspect_ratio) {
+async function generateWithFal(config, fullPrompt, aspect_ratio, signal) {
   const response = await fetchWithRetry(API_ENDPOINTS.fal, {
     method: 'POST',
     headers: {
@@ -66,19 +77,20 @@ async function generateWithFal(config, fullPrompt, aspect_ratio) {
       output_format: 'png',
       resolution: '1K',
       num_images: 1
-    })
+    }),
+    signal
   }, 2, 60000) // 2 retries, 60s timeout for image generation
 
   if (!response.ok) {
     const error = await response.text()
-    throw new Error(`fal.ai error: ${error}`)
+    throw platformError('fal', response.status, `fal.ai error: ${error}`)
   }
 
   const result = await response.json()
   const imageUrl = result.images?.[0]?.url
 
   // Store in session for orchestrated workflows
-  storeImageInSession(imageUrl)
+  await storeImageInSession(imageUrl)
 
   // Track stats
   incrementStat('images_generated')
@@ -106,7 +118,7 @@ ${imageNumber < totalImages ? `\n**Next:** Generate ${totalImages - imageNumber}
 /**
  * Generate image with Google Gemini
  */
-async function generateWithGemini(config, fullPrompt, aspect_ratio) {
+async function generateWithGemini(config, fullPrompt, aspect_ratio, signal) {
   const model = config.model || 'gemini-3-pro-image-preview'
   const response = await fetch(
     `${API_ENDPOINTS.gemini}/${model}:generateContent`,
@@ -127,13 +139,14 @@ async function generateWithGemini(config, fullPrompt, aspect_ratio) {
             imageSize: '1K'
           }
         }
-      })
+      }),
+      signal
     }
   )
 
   if (!response.ok) {
     const error = await response.text()
-    throw new Error(`Gemini error: ${error}`)
+    throw platformError('gemini', response.status, `Gemini error: ${error}`)
   }
 
   const result = await response.json()
@@ -142,7 +155,7 @@ async function generateWithGemini(config, fullPrompt, aspect_ratio) {
   const mimeType = imagePart?.inlineData?.mimeType || 'image/png'
 
   if (!imageData) {
-    throw new Error('No image data in Gemini response')
+    throw new SuparankError(ERROR_CODES.PLATFORM_ERROR, 'No image data in Gemini response', { platform: 'gemini' })
   }
 
   // Return base64 data URI
@@ -162,13 +175,17 @@ async function generateWithGemini(config, fullPrompt, aspect_ratio) {
 /**
  * Generate image with Wiro
  */
-async function generateWithWiro(config, fullPrompt, aspect_ratio) {
+async function generateWithWiro(config, fullPrompt, aspect_ratio, signal) {
   const crypto = await import('crypto')
   const apiKey = config.api_key
   const apiSecret = config.api_secret
 
   if (!apiSecret) {
-    throw new Error('Wiro API secret not configured. Add api_secret to wiro config in ~/.suparank/credentials.json')
+    throw new SuparankError(
+      ERROR_CODES.CREDENTIAL_MISSING,
+      'Wiro API secret not configured. Add api_secret to wiro config in ~/.suparank/credentials.json',
+      { credential: 'wiro' }
+    )
   }
 
   // Generate nonce and signature
@@ -182,7 +199,7 @@ async function generateWithWiro(config, fullPrompt, aspect_ratio) {
 
   // Submit task
   log(`Submitting wiro.ai task for model: ${model}`)
-  const submitResponse = await fetch(`${API_ENDPOINTS.wiro}/Run/${model}`, {
+  const submitResponse = await fetchWithTimeout(`${API_ENDPOINTS.wiro}/Run/${model}`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -195,28 +212,33 @@ async function generateWithWiro(config, fullPrompt, aspect_ratio) {
       aspectRatio: aspect_ratio,
       resolution: '1K',
       safetySetting: 'BLOCK_ONLY_HIGH'
-    })
+    }),
+    signal
   })
 
   if (!submitResponse.ok) {
     const error = await submitResponse.text()
-    throw new Error(`wiro.ai submit error: ${error}`)
+    throw platformError('wiro', submitResponse.status, `wiro.ai submit error: ${error}`)
   }
 
   const submitResult = await submitResponse.json()
   if (!submitResult.result || !submitResult.taskid) {
-    throw new Error(`wiro.ai task submission failed: ${JSON.stringify(submitResult.errors)}`)
+    throw new SuparankError(
+      ERROR_CODES.PLATFORM_ERROR,
+      `wiro.ai task submission failed: ${JSON.stringify(submitResult.errors)}`,
+      { platform: 'wiro' }
+    )
   }
 
   const taskId = submitResult.taskid
   log(`wiro.ai task submitted: ${taskId}`)
 
-  // Poll for completion
+  // Poll for completion (stops early if the client cancels)
   const maxAttempts = 60 // 60 seconds max
   const pollInterval = 2000 // 2 seconds
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    await new Promise(resolve => setTimeout(resolve, pollInterval))
+    await sleep(pollInterval, signal)
 
     // Generate new signature for poll request
     const pollNonce = Math.floor(Date.now() / 1000).toString()
@@ -225,7 +247,7 @@ async function generateWithWiro(config, fullPrompt, aspect_ratio) {
       .update(pollSignatureData)
       .digest('hex')
 
-    const pollResponse = await fetch(API_ENDPOINTS.wiroTaskDetail, {
+    const pollResponse = await fetchWithTimeout(API_ENDPOINTS.wiroTaskDetail, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -233,7 +255,8 @@ async function generateWithWiro(config, fullPrompt, aspect_ratio) {
         'x-nonce': pollNonce,
         'x-signature': pollSignature
       },
-      body: JSON.stringify({ taskid: taskId })
+      body: JSON.stringify({ taskid: taskId }),
+      signal
     })
 
     if (!pollResponse.ok) {
@@ -247,17 +270,17 @@ async function generateWithWiro(config, fullPrompt, aspect_ratio) {
     if (!task) continue
 
     const status = task.status
-    log(`wiro.ai task status: ${status}`)
+    progress('Image', `wiro.ai task status: ${status}`, { current: attempt + 1, total: maxAttempts })
 
     // Check for completion
     if (status === 'task_postprocess_end') {
       const imageUrl = task.outputs?.[0]?.url
       if (!imageUrl) {
-        throw new Error('wiro.ai task completed but no output URL')
+        throw new SuparankError(ERROR_CODES.PLATFORM_ERROR, 'wiro.ai task completed but no output URL', { platform: 'wiro', taskId })
       }
 
       // Store in session for orchestrated workflows
-      storeImageInSession(imageUrl)
+      await storeImageInSession(imageUrl)
 
       // Track stats
       incrementStat('images_generated')
@@ -285,22 +308,28 @@ ${imageNumber < totalImages ? `\n**Next:** Generate ${totalImages - imageNumber}
 
     // Check for failure
     if (status === 'task_cancel') {
-      throw new Error('wiro.ai task was cancelled')
+      throw new SuparankError(ERROR_CODES.PLATFORM_ERROR, 'wiro.ai task was cancelled', { platform: 'wiro', taskId })
     }
   }
 
-  throw new Error('wiro.ai task timed out after 60 seconds')
+  throw new SuparankError(ERROR_CODES.TIMEOUT, 'wiro.ai task timed out after 60 seconds', { platform: 'wiro', taskId })
 }
 
 /**
  * Store generated image URL in session
- * First image is cover, subsequent are inline
+ * First image is cover, subsequent are inline. Action tools run outside the
+ * session lock, so it is taken just for this update
  */
-function storeImageInSession(imageUrl) {
-  if (!sessionState.imageUrl) {
-    sessionState.imageUrl = imageUrl
-  } else {
-    sessionState.inlineImages.push(imageUrl)
+async function storeImageInSession(imageUrl) {
+  await acquireSessionLock()
+  try {
+    if (!sessionState.imageUrl) {
+      sessionState.imageUrl = imageUrl
+    } else {
+      sessionState.inlineImages.push(imageUrl)
+    }
+    saveSession()
+  } finally {
+    releaseSessionLock()
   }
-  saveSession()
 }
@@ -7,6 +7,7 @@
 import { log } from '../utils/logging.js'
 import { getCredentials } from '../services/credentials.js'
 import { projectSlug } from '../config.js'
+import { SuparankError, ERROR_CODES, platformError } from '../utils/errors.js'
 
 /**
  * Send data to a webhook
@@ -14,9 +15,11 @@ import { projectSlug } from '../config.js'
  * @param {string} [args.webhook_type='default'] - Webhook type
  * @param {object} [args.payload={}] - Data payload
  * @param {string} [args.message] - Message text (for Slack)
+ * @param {object} [options] - Execution options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
  * @returns {Promise<object>} MCP response
  */
-export async function executeSendWebhook(args) {
+export async function executeSendWebhook(args, { signal } = {}) {
   const credentials = getCredentials()
   const { webhook_type = 'default', payload = {}, message } = args
   const webhooks = credentials.webhooks
@@ -32,7 +35,11 @@ export async function executeSendWebhook(args) {
 
   const url = urlMap[webhook_type]
   if (!url) {
-    throw new Error(`No ${webhook_type} webhook URL configured`)
+    throw new SuparankError(
+      ERROR_CODES.CREDENTIAL_MISSING,
+      `No ${webhook_type} webhook URL configured`,
+      { credential: 'webhooks', webhook_type }
+    )
   }
 
   log(`Sending webhook to ${webhook_type}: ${url}`)
@@ -59,12 +66,13 @@ export async function executeSendWebhook(args) {
   const response = await fetch(url, {
     method: 'POST',
     headers,
-    body
+    body,
+    signal
   })
 
   if (!response.ok) {
     const error = await response.text()
-    throw new Error(`Webhook error (${response.status}): ${error}`)
+    throw platformError(webhook_type, response.status, `Webhook error (${response.status}): ${error}`)
   }
 
   return {
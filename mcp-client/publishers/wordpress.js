@@ -5,10 +5,11 @@
  */
 
 import { log, progress } from '../utils/logging.js'
-import { fetchWithRetry, fetchWithTimeout } from '../services/api.js'
+import { fetchWithRetry, fetchWithTimeout, throwIfCancelled } from '../services/api.js'
 import { getCredentials } from '../services/credentials.js'
 import { sessionState } from '../services/session-state.js'
 import { markdownToHtml } from '../utils/formatting.js'
+import { SuparankError, ERROR_CODES, platformError, getErrorCode } from '../utils/errors.js'
 
 /**
  * Fetch available categories from WordPress
@@ -69,9 +70,11 @@ export async function fetchWordPressCategories() {
  * @param {string[]} [args.categories=[]] - Category names
  * @param {string[]} [args.tags=[]] - Tag names
  * @param {string} [args.featured_image_url] - Featured image URL
+ * @param {object} [options] - Execution options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
  * @returns {Promise<object>} MCP response
  */
-export async function executeWordPressPublish(args) {
+export async function executeWordPressPublish(args, { signal } = {}) {
   const credentials = getCredentials()
   const wpConfig = credentials?.wordpress
   const { title: argTitle, content, status = 'draft', categories = [], tags = [], featured_image_url } = args
@@ -81,21 +84,23 @@ export async function executeWordPressPublish(args) {
 
   // Validate title before making request
   if (!title || title.trim() === '') {
-    throw new Error(
+    throw new SuparankError(ERROR_CODES.INVALID_ARGUMENTS,
       'Title is required for WordPress publishing.\n\n' +
       'Either:\n' +
       '1. Include a title in the publish_wordpress call\n' +
       '2. Use save_content first to set a title in the session\n\n' +
-      'Example: publish_wordpress({ title: "My Article", content: "..." })'
+      'Example: publish_wordpress({ title: "My Article", content: "..." })',
+      { fields: ['title'] }
     )
   }
 
   // Validate WordPress credentials
   if (!wpConfig) {
-    throw new Error(
+    throw new SuparankError(ERROR_CODES.CREDENTIAL_MISSING,
       'WordPress not configured.\n\n' +
       'Run: npx suparank secrets\n' +
-      'Or add WordPress credentials to ~/.suparank/credentials.json'
+      'Or add WordPress credentials to ~/.suparank/credentials.json',
+      { credential: 'wordpress' }
     )
   }
 
@@ -114,7 +119,7 @@ export async function executeWordPressPublish(args) {
       categories,
       tags,
       featured_image_url
-    })
+    }, signal)
   }
 
   // Method 2: Use standard REST API with application password
@@ -125,16 +130,20 @@ export async function executeWordPressPublish(args) {
       status,
       categories,
       tags
-    })
+    }, signal)
   }
 
-  throw new Error('WordPress credentials not configured. Add either secret_key (with plugin) or username + app_password to ~/.suparank/credentials.json')
+  throw new SuparankError(
+    ERROR_CODES.CREDENTIAL_MISSING,
+    'WordPress credentials not configured. Add either secret_key (with plugin) or username + app_password to ~/.suparank/credentials.json',
+    { credential: 'wordpress' }
+  )
 }
 
 /**
  * Publish using Suparank/Writer MCP Connector plugin
  */
-async function publishWithPlugin(wpConfig, { title, htmlContent, status, categories, tags, featured_image_url }) {
+async function publishWithPlugin(wpConfig, { title, htmlContent, status, categories, tags, featured_image_url }, signal) {
   log('Using Suparank/Writer MCP Connector plugin')
 
   // Try new Suparank endpoint first, then fall back to legacy
@@ -155,6 +164,7 @@ async function publishWithPlugin(wpConfig, { title, htmlContent, status, categor
 
   let lastError = null
   let lastStatusCode = null
+  let lastErrorCode = null
 
   for (const endpoint of endpoints) {
     try {
@@ -164,7 +174,8 @@ async function publishWithPlugin(wpConfig, { title, htmlContent, status, categor
           'Content-Type': 'application/json',
           [endpoint.header]: wpConfig.secret_key
         },
-        body: postBody
+        body: postBody,
+        signal
       }, 2, 30000) // 2 retries, 30s timeout
 
       if (response.ok) {
@@ -197,7 +208,10 @@ async function publishWithPlugin(wpConfig, { title, htmlContent, status, categor
         break
       }
     } catch (e) {
+      // Stop trying fallback endpoints once the client has cancelled
+      throwIfCancelled(signal)
       lastError = e.message
+      lastErrorCode = getErrorCode(e)
     }
   }
 
@@ -214,13 +228,17 @@ async function publishWithPlugin(wpConfig, { title, htmlContent, status, categor
     errorMessage += '\n\nWordPress server error. Check WordPress error logs for details.'
   }
 
-  throw new Error(errorMessage)
+  // Classify by HTTP status, or by the request error (timeout, rate limit) if there was no response
+  if (lastStatusCode) {
+    throw platformError('wordpress', lastStatusCode, errorMessage)
+  }
+  throw new SuparankError(lastErrorCode || ERROR_CODES.PLATFORM_ERROR, errorMessage, { platform: 'wordpress' })
 }
 
 /**
  * Publish using standard WordPress REST API
  */
-async function publishWithRestApi(wpConfig, { title, htmlContent, status, categories, tags }) {
+async function publishWithRestApi(wpConfig, { title, htmlContent, status, categories, tags }, signal) {
   log('Using WordPress REST API with application password')
 
   const auth = Buffer.from(`${wpConfig.username}:${wpConfig.app_password}`).toString('base64')
@@ -238,12 +256,13 @@ async function publishWithRestApi(wpConfig, { title, htmlContent, status, catego
       'Authorization': `Basic ${auth}`,
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify(postData)
+    body: JSON.stringify(postData),
+    signal
   })
 
   if (!response.ok) {
     const error = await response.text()
-    throw new Error(`WordPress error: ${error}`)
+    throw platformError('wordpress', response.status, `WordPress error: ${error}`)
   }
 
   const post = await response.json()
@@ -252,7 +271,10 @@ async function publishWithRestApi(wpConfig, { title, htmlContent, status, catego
     content: [{
       type: 'text',
       text: `Post published to WordPress!\n\n**Title:** ${post.title.rendered}\n**Status:** ${post.status}\n**URL:** ${post.link}\n**ID:** ${post.id}\n\n${status === 'draft' ? 'The post is saved as a draft. Edit and publish from WordPress dashboard.' : 'The post is now live!'}`
-    }]
+    }],
+    structuredContent: {
+      posts: [{ platform: 'wordpress', id: post.id, url: post.link, status: post.status, title: post.title.rendered }]
+    }
   }
 }
 
@@ -274,6 +296,9 @@ function formatSuccessResponse(post, status) {
     content: [{
       type: 'text',
       text: `Post published to WordPress!\n\n**Title:** ${post.title}\n**Status:** ${post.status}\n**URL:** ${post.url}\n**Edit:** ${post.edit_url}\n**ID:** ${post.id}${categoriesInfo}${tagsInfo}${imageInfo}\n\n${status === 'draft' ? 'The post is saved as a draft. Edit and publish from WordPress dashboard.' : 'The post is now live!'}`
-    }]
+    }],
+    structuredContent: {
+      posts: [{ platform: 'wordpress', id: post.id, url: post.url, status: post.status, title: post.title }]
+    }
   }
 }
@@ -1,7 +1,7 @@
 /**
  * Suparank MCP - Server Entry Point
  *
- * MCP server setup with stdio transport.
+ * MCP server setup with stdio or Streamable HTTP transport.
  * Handles tool listing and execution.
  */
 
@@ -10,11 +10,28 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
-  InitializeRequestSchema
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
 } from '@modelcontextprotocol/sdk/types.js'
 
 import { log, progress } from './utils/logging.js'
-import { projectSlug, apiUrl } from './config.js'
+import { formatAge } from './utils/formatting.js'
+import {
+  projectSlug,
+  apiUrl,
+  transportMode,
+  httpPort,
+  httpHost,
+  httpToken,
+  projectRefreshMinutes
+} from './config.js'
+import { startHttpServer, getActiveHttpSessionIds } from './http-server.js'
+import { SuparankError, ERROR_CODES, toErrorResult } from './utils/errors.js'
 
 // Services
 import {
@@ -22,26 +39,72 @@ import {
   hasCredential,
   getCredentials,
   getExternalMCPs,
-  getCompositionHints
+  getCompositionHints,
+  setCredentialsProfile,
+  watchCredentials
 } from './services/credentials.js'
-import { restoreSession } from './services/session-state.js'
+import { events, CREDENTIALS_CHANGED, CREDENTIALS_INVALID, PROJECT_CHANGED } from './services/events.js'
+import {
+  sessionState,
+  restoreSession,
+  acquireSessionLock,
+  releaseSessionLock
+} from './services/session-state.js'
 import { incrementStat } from './services/stats.js'
-import { fetchProjectConfig } from './services/project.js'
+import {
+  loadProjectConfig,
+  refreshProject,
+  getProject,
+  getOfflineState,
+  listProjects
+} from './services/project.js'
+import { runWithRequestContext } from './services/request-context.js'
+import { recordToolCall } from './services/audit.js'
+import { checkGuardrails, recordUsage, reserveUsage, releaseUsage } from './services/guardrails.js'
+import { confirmToolCall } from './services/confirmations.js'
 
 // Tools
 import {
   ORCHESTRATOR_TOOLS,
   ACTION_TOOLS,
-  getAvailableTools
+  getAvailableTools,
+  findTool,
+  loadPlugins,
+  validateToolArguments,
+  formatValidationErrors
 } from './tools/index.js'
 
+// Workflow
+import { extractPlanSettings, diffPlanSettings } from './workflow/index.js'
+import { analyzeReadability, formatReadabilityReport } from './analysis/index.js'
+
 // Handlers
 import {
   callBackendTool,
   executeActionTool,
-  executeOrchestratorTool
+  executeOrchestratorTool,
+  executePluginTool,
+  listResources,
+  readResource,
+  watchResourceChanges,
+  RESOURCE_TEMPLATES,
+  listPrompts,
+  getPrompt
 } from './handlers/index.js'
 
+// Capabilities advertised to clients
+const SERVER_CAPABILITIES = {
+  tools: {
+    listChanged: true
+  },
+  resources: {
+    subscribe: true,
+    listChanged: true
+  },
+  prompts: {},
+  logging: {}
+}
+
 /**
  * Main server entry point
  */
@@ -49,7 +112,8 @@ export async function main() {
   log(`Starting MCP client for project: ${projectSlug}`)
   log(`API URL: ${apiUrl}`)
 
-  // Load local credentials
+  // Load local credentials (using the default project's profile, if config.json assigns one)
+  setCredentialsProfile(listProjects().find(p => p.isDefault)?.credentialsProfile)
   const credentials = loadCredentials()
   if (credentials) {
     const configured = []
@@ -71,6 +135,12 @@ export async function main() {
     }
   }
 
+  // Pick up edits to credentials.json (e.g. from `npx suparank secrets`) without a restart
+  watchCredentials()
+
+  // Load custom tools from ~/.suparank/plugins
+  await loadPlugins()
+
   // Restore session state from previous run
   if (restoreSession()) {
     progress('Session', 'Restored previous workflow state')
@@ -80,40 +150,94 @@ export async function main() {
   progress('Init', 'Connecting to platform...')
   let project
   try {
-    project = await fetchProjectConfig()
-    progress('Init', `Connected to project: ${project.name}`)
+    project = await loadProjectConfig()
   } catch (error) {
-    log('Failed to load project config. Exiting.')
+    log('Failed to load project config and no cached config found. Exiting.')
     process.exit(1)
   }
 
-  // Create MCP server
+  const offline = getOfflineState()
+  if (offline) {
+    progress('Init', `Offline mode: using cached config for ${project.name} (cached ${formatAge(offline.cachedAt)})`)
+  } else {
+    progress('Init', `Connected to project: ${project.name}`)
+  }
+
+  if (projectRefreshMinutes > 0) {
+    scheduleProjectRefresh(projectRefreshMinutes)
+  }
+
+  if (transportMode === 'http') {
+    await startHttpServer(createServer, {
+      port: httpPort,
+      host: httpHost,
+      token: httpToken
+    })
+    return
+  }
+
+  // Connect to stdio transport
+  const server = createServer()
+  const transport = new StdioServerTransport()
+  await server.connect(transport)
+
+  log('MCP server ready and listening on stdio')
+}
+
+/**
+ * Periodically re-fetch the project config so dashboard changes apply without a restart
+ * Failures are logged and the current config is kept
+ * @param {number} minutes - Refresh interval in minutes
+ */
+function scheduleProjectRefresh(minutes) {
+  log(`Refreshing project config every ${minutes} minute(s)`)
+
+  const timer = setInterval(async () => {
+    try {
+      const { previous, project, wasOffline } = await refreshProject()
+      const changes = diffPlanSettings(
+        sessionState.currentWorkflow?.settings || extractPlanSettings(previous?.config),
+        project.config
+      )
+
+      if (wasOffline) {
+        progress('Project', 'Back online - backend tools available again')
+      }
+      if (changes.length > 0) {
+        progress('Project', `Settings changed: ${changes.map(c => c.setting).join(', ')}`)
+      }
+    } catch (error) {
+      log(`Scheduled project refresh failed: ${error.message}`)
+    }
+  }, minutes * 60 * 1000)
+
+  // Don't keep the process alive just for refreshes
+  timer.unref()
+}
+
+/**
+ * Create an MCP server instance with all request handlers registered
+ * Each HTTP session gets its own instance; they all share session state
+ * Reads the active project config on every request, so refreshes apply immediately
+ * @returns {Server} Configured MCP server (not yet connected)
+ */
+export function createServer() {
   const server = new Server(
     {
       name: 'suparank',
       version: '1.0.0'
     },
     {
-      capabilities: {
-        tools: {}
-      }
+      capabilities: SERVER_CAPABILITIES
     }
   )
 
-  // Handle initialization
-  server.setRequestHandler(InitializeRequestSchema, async (request) => {
-    log('Received initialize request')
-    return {
-      protocolVersion: '2024-11-05',
-      capabilities: {
-        tools: {}
-      },
-      serverInfo: {
-        name: 'suparank',
-        version: '1.0.0'
-      }
-    }
-  })
+  // The SDK handles initialize itself so protocol version negotiation works and
+  // client capabilities (sampling) are recorded for getClientCapabilities()
+  server.oninitialized = () => {
+    const client = server.getClientVersion()
+    log(`Client initialized: ${client?.name || 'unknown'} ${client?.version || ''}`.trim())
+  }
 
   // Handle tools list
   server.setRequestHandler(ListToolsRequestSchema, async () => {
@@ -124,97 +248,308 @@ export async function main() {
   })
 
   // Handle tool calls
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params
+
+    // Route progress() calls made while handling this request to the client
+    const context = {
+      progressToken: request.params._meta?.progressToken,
+      sendNotification: extra.sendNotification,
+      clientCapabilities: server.getClientCapabilities(),
+      // Server-to-client requests made while handling this call (sampling, confirmations)
+      createMessage: (params, options) => server.createMessage(params, { relatedRequestId: extra.requestId, ...options }),
+      elicitInput: (params, options) => server.elicitInput(params, { relatedRequestId: extra.requestId, ...options }),
+      // Other HTTP clients sharing this process (and its active project)
+      otherClients: () => getActiveHttpSessionIds().filter(id => id !== extra.sessionId).length
+    }
+
+    // extra.signal aborts when the client sends notifications/cancelled
+    const startedAt = Date.now()
+    const result = await runWithRequestContext(context, () => handleToolCall(name, args || {}, getProject(), { signal: extra.signal }))
+
+    recordToolCall({ tool: name, args, startedAt, result, cancelled: extra.signal?.aborted })
+    return result
+  })
+
+  // Handle prompts (one per workflow phase)
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: listPrompts() }
+  })
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
     const { name, arguments: args } = request.params
-    progress('Tool', `Executing ${name}`)
-    log(`Executing tool: ${name}`)
-
-    // Track tool call stats
-    incrementStat('tool_calls')
-
-    // Check if this is an orchestrator tool
-    const orchestratorTool = ORCHESTRATOR_TOOLS.find(t => t.name === name)
-
-    if (orchestratorTool) {
-      try {
-        const result = await executeOrchestratorTool(name, args || {}, project)
-        log(`Orchestrator tool ${name} completed successfully`)
-        return result
-      } catch (error) {
-        log(`Orchestrator tool ${name} failed:`, error.message)
-        return {
-          content: [{
-            type: 'text',
-            text: `Error executing ${name}: ${error.message}`
-          }]
-        }
+    log(`Building prompt: ${name}`)
+    return getPrompt(name, args || {}, getProject())
+  })
+
+  // Handle resources (content library + session)
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: listResources() }
+  })
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: RESOURCE_TEMPLATES }
+  })
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    log(`Reading resource: ${request.params.uri}`)
+    return readResource(request.params.uri)
+  })
+
+  // Resource subscriptions are per client connection
+  const subscriptions = new Set()
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri)
+    return {}
+  })
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri)
+    return {}
+  })
+
+  const stopWatchingResources = watchResourceChanges(
+    (uri) => {
+      if (subscriptions.has(uri)) {
+        server.sendResourceUpdated({ uri }).catch(error => {
+          log(`Failed to send resource update for ${uri}:`, error.message)
+        })
       }
+    },
+    () => {
+      server.sendResourceListChanged().catch(error => {
+        log('Failed to send resource list change:', error.message)
+      })
     }
+  )
+
+  // Tool availability depends on credentials and the active project - tell the
+  // client when the list actually changes so it can re-fetch
+  let toolListSnapshot = JSON.stringify(getAvailableTools())
+  const handleToolsChanged = () => {
+    const tools = JSON.stringify(getAvailableTools())
+    if (tools === toolListSnapshot) return
+
+    toolListSnapshot = tools
+    server.sendToolListChanged().catch(error => {
+      log('Failed to send tool list change:', error.message)
+    })
+  }
+  events.on(CREDENTIALS_CHANGED, handleToolsChanged)
+  events.on(PROJECT_CHANGED, handleToolsChanged)
+
+  // A broken credentials.json edit would otherwise only show up in the server log
+  const handleCredentialsInvalid = (message) => {
+    server.sendLoggingMessage({
+      level: 'error',
+      logger: 'suparank',
+      data: `credentials.json is invalid, keeping the previous credentials until it is fixed: ${message}`
+    }).catch(error => {
+      log('Failed to send credentials error:', error.message)
+    })
+  }
+  events.on(CREDENTIALS_INVALID, handleCredentialsInvalid)
+
+  server.onclose = () => {
+    stopWatchingResources()
+    events.off(CREDENTIALS_CHANGED, handleToolsChanged)
+    events.off(PROJECT_CHANGED, handleToolsChanged)
+    events.off(CREDENTIALS_INVALID, handleCredentialsInvalid)
+  }
+
+  // Error handler
+  server.onerror = (error) => {
+    log('Server error:', error)
+  }
+
+  return server
+}
 
-    // Check if this is an action tool
-    const actionTool = ACTION_TOOLS.find(t => t.name === name)
+/**
+ * Execute a tool call, dispatching to orchestrator, action or backend handlers
+ * @param {string} name - Tool name
+ * @param {object} args - Tool arguments
+ * @param {object} project - Project configuration from database
+ * @param {object} options - Execution options
+ * @param {AbortSignal} options.signal - Cancellation signal for the current request
+ * @returns {Promise<object>} MCP tool result
+ */
+async function handleToolCall(name, args, project, options) {
+  progress('Tool', `Executing ${name}`)
+  log(`Executing tool: ${name}`)
+
+  // Track tool call stats
+  incrementStat('tool_calls')
+
+  // Validate arguments against the tool's inputSchema before anything runs
+  const tool = findTool(name)
+  if (!tool) {
+    return toErrorResult(new SuparankError(ERROR_CODES.UNKNOWN_TOOL, `Unknown tool: ${name}`), name)
+  }
+
+  const validationErrors = validateToolArguments(tool.inputSchema, args)
+  if (validationErrors.length > 0) {
+    log(`Rejected ${name}: ${validationErrors.length} invalid argument(s)`)
+    return toErrorResult(new SuparankError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      formatValidationErrors(name, validationErrors),
+      { errors: validationErrors }
+    ), name)
+  }
+
+  // Check if this is an orchestrator tool
+  const orchestratorTool = ORCHESTRATOR_TOOLS.find(t => t.name === name)
 
-    if (actionTool) {
-      // Check credentials
-      if (!hasCredential(actionTool.requiresCredential)) {
-        return {
-          content: [{
-            type: 'text',
-            text: `Error: ${name} requires ${actionTool.requiresCredential} credentials.\n\nTo enable this tool:\n1. Run: npx suparank setup\n2. Add your ${actionTool.requiresCredential} credentials to ~/.suparank/credentials.json\n3. Restart the MCP server\n\nSee dashboard Settings > Credentials for setup instructions.`
-          }]
-        }
+  if (orchestratorTool) {
+    // Ask the human before destructive or live actions, or going over limits
+    // (clients with elicitation); a confirmed clear_session no longer needs
+    // confirm: true from the model. Asked before taking the lock so a slow
+    // answer doesn't stall other tool calls
+    const confirmation = await confirmToolCall(name, args, options)
+    if (confirmation?.confirmed === false) {
+      return confirmation.result
+    }
+
+    // Serialize session-mutating tools (HTTP clients share one session).
+    // Autonomous create_content waits on sampling for minutes, so it takes the
+    // lock itself around each step's session reads and writes
+    const locksItself = name === 'create_content' && args.mode === 'autonomous'
+    if (!locksItself) {
+      await acquireSessionLock()
+    }
+    try {
+      // Enforce volume/spend limits inside the lock so concurrent calls can't both slip through
+      const limitError = checkGuardrails(name, args, { overrideConfirmed: confirmation?.overrideConfirmed })
+      if (limitError) {
+        log(`Refused ${name}: limits exceeded`)
+        return toErrorResult(limitError, name)
       }
 
-      // Execute action tool locally
-      try {
-        const result = await executeActionTool(name, args || {})
-        log(`Action tool ${name} completed successfully`)
-        return result
-      } catch (error) {
-        log(`Action tool ${name} failed:`, error.message)
-        return {
-          content: [{
-            type: 'text',
-            text: `Error executing ${name}: ${error.message}`
-          }]
-        }
+      const toolArgs = confirmation?.confirmed ? { ...args, confirm: true } : args
+      const result = await executeOrchestratorTool(name, toolArgs, project, options)
+      recordUsage(name, args, result)
+      log(`Orchestrator tool ${name} completed successfully`)
+      return result
+    } catch (error) {
+      log(`Orchestrator tool ${name} failed:`, error.message)
+      return toErrorResult(error, name)
+    } finally {
+      if (!locksItself) {
+        releaseSessionLock()
       }
     }
+  }
 
-    // Regular tool - call backend
-    try {
-      // Add composition hints if configured
-      const hints = getCompositionHints(name)
-      const externalMcps = getExternalMCPs()
+  // Check if this is an action tool
+  const actionTool = ACTION_TOOLS.find(t => t.name === name)
 
-      const result = await callBackendTool(name, args || {})
+  if (actionTool) {
+    // Check credentials
+    if (!hasCredential(actionTool.requiresCredential)) {
+      return toErrorResult(new SuparankError(
+        ERROR_CODES.CREDENTIAL_MISSING,
+        `${name} requires ${actionTool.requiresCredential} credentials.\n\nTo enable this tool:\n1. Run: npx suparank setup\n2. Add your ${actionTool.requiresCredential} credentials to ~/.suparank/credentials.json\n3. Save the file - the tool list updates automatically\n\nSee dashboard Settings > Credentials for setup instructions.`,
+        { credential: actionTool.requiresCredential }
+      ), name)
+    }
 
-      // Inject composition hints into response if available
-      if (hints && result.content && result.content[0]?.text) {
-        const mcpList = externalMcps.length > 0
-          ? `\n\n## External MCPs Available\n${externalMcps.map(m => `- **${m.name}**: ${m.available_tools.join(', ')}`).join('\n')}`
-          : ''
+    const confirmation = await confirmToolCall(name, args, options)
+    if (confirmation?.confirmed === false) {
+      return confirmation.result
+    }
 
-        result.content[0].text = result.content[0].text +
-          `\n\n---\n## Integration Hints\n${hints}${mcpList}`
+    // Check and reserve limits under the lock; the tool itself (image polling,
+    // publishing, webhooks) runs without it so it doesn't stall other calls
+    let reservation
+    await acquireSessionLock()
+    try {
+      const limitError = checkGuardrails(name, args, { overrideConfirmed: confirmation?.overrideConfirmed })
+      if (limitError) {
+        log(`Refused ${name}: limits exceeded`)
+        return toErrorResult(limitError, name)
       }
+      reservation = reserveUsage(name, args)
+    } finally {
+      releaseSessionLock()
+    }
 
-      log(`Tool ${name} completed successfully`)
+    // Execute action tool locally
+    try {
+      const result = await executeActionTool(name, args, options)
+      recordUsage(name, args, result)
+      log(`Action tool ${name} completed successfully`)
       return result
     } catch (error) {
-      log(`Tool ${name} failed:`, error.message)
-      throw error
+      log(`Action tool ${name} failed:`, error.message)
+      return toErrorResult(error, name)
+    } finally {
+      releaseUsage(reservation)
     }
-  })
+  }
 
-  // Error handler
-  server.onerror = (error) => {
-    log('Server error:', error)
+  // Plugin tool from ~/.suparank/plugins
+  if (tool.type === 'plugin') {
+    if (tool.requiresCredential && !hasCredential(tool.requiresCredential)) {
+      return toErrorResult(new SuparankError(
+        ERROR_CODES.CREDENTIAL_MISSING,
+        `${name} (plugin: ${tool.plugin}) requires "${tool.requiresCredential}" credentials.\n\nAdd a "${tool.requiresCredential}" entry to ~/.suparank/credentials.json - the tool list updates automatically.`,
+        { credential: tool.requiresCredential }
+      ), name)
+    }
+
+    // Plugins get sessionState, so serialize them like the built-in local tools
+    await acquireSessionLock()
+    try {
+      const result = await executePluginTool(name, args, options)
+      log(`Plugin tool ${name} completed successfully`)
+      return result
+    } catch (error) {
+      log(`Plugin tool ${name} failed:`, error.message)
+      return toErrorResult(error, name)
+    } finally {
+      releaseSessionLock()
+    }
   }
 
-  // Connect to stdio transport
-  const transport = new StdioServerTransport()
-  await server.connect(transport)
+  // Regular tool - call backend (unreachable when started from the cached config)
+  const offline = getOfflineState()
+  if (offline) {
+    return toErrorResult(new SuparankError(
+      ERROR_CODES.NETWORK_ERROR,
+      `${name} is unavailable offline. The Suparank API could not be reached at startup (${offline.reason}); running from the project config cached ${formatAge(offline.cachedAt)}.\n\nLocal tools (list_content, load_content, save_content, publishing) still work. Run \`refresh_project\` once you are back online.`,
+      { cachedAt: offline.cachedAt }
+    ), name)
+  }
 
-  log('MCP server ready and listening on stdio')
+  try {
+    // Add composition hints if configured
+    const hints = getCompositionHints(name)
+    const externalMcps = getExternalMCPs()
+
+    const result = await callBackendTool(name, args, options)
+
+    // Inject composition hints into response if available
+    if (hints && result.content && result.content[0]?.text) {
+      const mcpList = externalMcps.length > 0
+        ? `\n\n## External MCPs Available\n${externalMcps.map(m => `- **${m.name}**: ${m.available_tools.join(', ')}`).join('\n')}`
+        : ''
+
+      result.content[0].text = result.content[0].text +
+        `\n\n---\n## Integration Hints\n${hints}${mcpList}`
+    }
+
+    // Add a local readability check against the project's reading level
+    const reviewed = args.content || sessionState.article
+    if (name === 'quality_check' && reviewed && result.content?.[0]?.text) {
+      const readability = analyzeReadability(reviewed, { targetGrade: project?.config?.content?.reading_level })
+      result.content[0].text += `\n\n---\n${formatReadabilityReport(readability)}`
+    }
+
+    log(`Tool ${name} completed successfully`)
+    return result
+  } catch (error) {
+    log(`Tool ${name} failed:`, error.message)
+    return toErrorResult(error, name)
+  }
 }
@@ -4,27 +4,72 @@
  * HTTP request utilities with retry and timeout handling
  */
 
-import { log } from '../utils/logging.js'
+import { progress } from '../utils/logging.js'
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
+
+/**
+ * Throw if the client cancelled the request
+ * @param {AbortSignal} [signal] - Cancellation signal for the current request
+ * @throws {SuparankError} CANCELLED if the signal has been aborted
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new SuparankError(ERROR_CODES.CANCELLED, 'Request cancelled by client')
+  }
+}
+
+/**
+ * Wait for a delay, ending early if the request is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal for the current request
+ * @returns {Promise<void>}
+ */
+export async function sleep(ms, signal) {
+  throwIfCancelled(signal)
+  await new Promise(resolve => {
+    const timer = setTimeout(done, ms)
+    signal?.addEventListener('abort', done, { once: true })
+    function done() {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', done)
+      resolve()
+    }
+  })
+  throwIfCancelled(signal)
+}
 
 /**
  * Fetch with timeout - prevents hanging requests
  * @param {string} url - URL to fetch
  * @param {object} options - Fetch options
+ * @param {AbortSignal} [options.signal] - Cancellation signal (aborts the request when the client cancels)
  * @param {number} timeoutMs - Timeout in milliseconds
  * @returns {Promise<Response>}
+ * @throws {SuparankError} CANCELLED if the client cancels while the request is in flight
  */
 export async function fetchWithTimeout(url, options = {}, timeoutMs = 30000) {
+  const { signal, ...fetchOptions } = options
   const controller = new AbortController()
   const timeout = setTimeout(() => controller.abort(), timeoutMs)
 
+  // Forward client cancellation to the in-flight request
+  const onCancel = () => controller.abort()
+  throwIfCancelled(signal)
+  signal?.addEventListener('abort', onCancel, { once: true })
+
   try {
     const response = await fetch(url, {
-      ...options,
+      ...fetchOptions,
       signal: controller.signal
     })
     return response
+  } catch (error) {
+    // A client cancel is CANCELLED, not a bare AbortError like a timeout
+    throwIfCancelled(signal)
+    throw error
   } finally {
     clearTimeout(timeout)
+    signal?.removeEventListener('abort', onCancel)
   }
 }
 
@@ -32,9 +77,11 @@ export async function fetchWithTimeout(url, options = {}, timeoutMs = 30000) {
  * Fetch with retry - handles transient failures
  * @param {string} url - URL to fetch
  * @param {object} options - Fetch options
+ * @param {AbortSignal} [options.signal] - Cancellation signal (stops retries when the client cancels)
  * @param {number} maxRetries - Maximum retry attempts
  * @param {number} timeoutMs - Timeout per request in milliseconds
  * @returns {Promise<Response>}
+ * @throws {SuparankError} TIMEOUT, RATE_LIMITED, NETWORK_ERROR or CANCELLED
  */
 export async function fetchWithRetry(url, options = {}, maxRetries = 3, timeoutMs = 30000) {
   let lastError
@@ -49,32 +96,53 @@ export async function fetchWithRetry(url, options = {}, maxRetries = 3, timeoutM
         const delay = retryAfter ? parseInt(retryAfter) * 1000 : Math.pow(2, attempt) * 1000
 
         if (attempt < maxRetries) {
-          log(`Request failed (${response.status}), retrying in ${delay}ms... (attempt ${attempt}/${maxRetries})`)
-          await new Promise(resolve => setTimeout(resolve, delay))
+          progress('Retry', `Request failed (${response.status}), retrying in ${delay}ms... (attempt ${attempt}/${maxRetries})`)
+          await sleep(delay, options.signal)
           continue
         }
+
+        if (response.status === 429) {
+          throw new SuparankError(
+            ERROR_CODES.RATE_LIMITED,
+            `Rate limited after ${maxRetries} attempts: ${url}`,
+            { status: 429, retryAfter: retryAfter || null }
+          )
+        }
       }
 
       return response
     } catch (error) {
+      // Already classified (rate limited, cancelled)
+      if (error instanceof SuparankError) {
+        throw error
+      }
+
       lastError = error
 
+      // Don't retry once the client has cancelled
+      throwIfCancelled(options.signal)
+
       // Don't retry on abort (timeout)
       if (error.name === 'AbortError') {
-        throw new Error(`Request timeout after ${timeoutMs}ms: ${url}`)
+        throw new SuparankError(ERROR_CODES.TIMEOUT, `Request timeout after ${timeoutMs}ms: ${url}`, { timeoutMs })
       }
 
       // Retry on network errors
       if (attempt < maxRetries) {
         const delay = Math.pow(2, attempt) * 1000
-        log(`Network error, retrying in ${delay}ms... (attempt ${attempt}/${maxRetries}): ${error.message}`)
-        await new Promise(resolve => setTimeout(resolve, delay))
+        progress('Retry', `Network error, retrying in ${delay}ms... (attempt ${attempt}/${maxRetries}): ${error.message}`)
+        await sleep(delay, options.signal)
         continue
       }
     }
   }
 
-  throw lastError || new Error(`Request failed after ${maxRetries} attempts: ${url}`)
+  throw new SuparankError(
+    ERROR_CODES.NETWORK_ERROR,
+    lastError
+      ? `Request failed after ${maxRetries} attempts: ${lastError.message}`
+      : `Request failed after ${maxRetries} attempts: ${url}`
+  )
 }
 
 /**
@@ -0,0 +1,131 @@
+/**
+ * Suparank MCP - Audit Log Service
+ *
+ * Append-only record of every tool call in ~/.suparank/logs/audit.jsonl:
+ * what ran, with which (redacted) arguments, how it ended and what was published
+ */
+
+import * as fs from 'fs'
+import * as path from 'path'
+import { getAuditLogPath } from '../utils/paths.js'
+import { log } from '../utils/logging.js'
+import { projectSlug } from '../config.js'
+
+// Argument names whose values are never written to the log
+const SENSITIVE_KEY_PATTERN = /(^|_)(api_?key|key|secret|token|password|authorization|webhook_url)$/i
+
+// Long strings (article bodies) are truncated to keep entries small
+const MAX_STRING_LENGTH = 200
+
+/**
+ * Redact secrets and truncate long values in tool arguments
+ * @param {any} value - Arguments (or nested value) to redact
+ * @param {string} [key] - Property name of the value
+ * @returns {any} Copy safe to write to the audit log
+ */
+export function redactArgs(value, key = '') {
+  if (key && SENSITIVE_KEY_PATTERN.test(key)) {
+    return '[REDACTED]'
+  }
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH
+      ? `${value.slice(0, MAX_STRING_LENGTH)}... (${value.length} chars)`
+      : value
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactArgs(item))
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactArgs(v, k)]))
+  }
+  return value
+}
+
+/**
+ * Append a tool call to the audit log
+ * Never throws - a failed write is logged and the tool result is unaffected
+ * @param {object} entry - Call details
+ * @param {string} entry.tool - Tool name
+ * @param {object} entry.args - Tool arguments (redacted before writing)
+ * @param {number} entry.startedAt - Start time (ms since epoch)
+ * @param {object} entry.result - MCP tool result
+ * @param {boolean} [entry.cancelled] - Whether the client cancelled the call
+ */
+export function recordToolCall({ tool, args, startedAt, result, cancelled = false }) {
+  const error = result?.structuredContent?.error
+  const posts = result?.structuredContent?.posts || []
+
+  let outcome = 'success'
+  if (cancelled || error?.code === 'CANCELLED') {
+    outcome = 'cancelled'
+  } else if (result?.isError) {
+    outcome = 'error'
+  }
+
+  const articles = [...new Set([args?.title, args?.folder_name, ...posts.map(p => p.title)].filter(Boolean))]
+
+  const entry = {
+    timestamp: new Date(startedAt).toISOString(),
+    project: projectSlug,
+    tool,
+    args: redactArgs(args || {}),
+    duration_ms: Date.now() - startedAt,
+    outcome,
+    ...(error ? { error_code: error.code } : {}),
+    ...(articles.length > 0 ? { articles } : {}),
+    ...(posts.length > 0 ? { posts: posts.map(p => ({ platform: p.platform, id: p.id, url: p.url, status: p.status })) } : {})
+  }
+
+  try {
+    const logFile = getAuditLogPath()
+    fs.mkdirSync(path.dirname(logFile), { recursive: true })
+    fs.appendFileSync(logFile, JSON.stringify(entry) + '\n')
+  } catch (writeError) {
+    log(`Warning: Failed to write audit log: ${writeError.message}`)
+  }
+}
+
+/**
+ * Read audit log entries, oldest first
+ * @param {object} [filters] - Entry filters
+ * @param {string} [filters.since] - Only entries on/after this date (YYYY-MM-DD or ISO timestamp)
+ * @param {string} [filters.until] - Only entries on/before this date (a bare date includes the whole day)
+ * @param {string} [filters.tool] - Only this tool
+ * @param {string} [filters.article] - Only entries whose article titles/folders contain this text
+ * @returns {Array<object>} Matching entries
+ */
+export function readAuditLog({ since, until, tool, article } = {}) {
+  const logFile = getAuditLogPath()
+  if (!fs.existsSync(logFile)) {
+    return []
+  }
+
+  const sinceTime = since ? new Date(since).getTime() : null
+  let untilTime = until ? new Date(until).getTime() : null
+  if (untilTime !== null && /^\d{4}-\d{2}-\d{2}$/.test(until)) {
+    untilTime += 24 * 60 * 60 * 1000 - 1
+  }
+  const articleText = article?.toLowerCase()
+
+  const entries = []
+  for (const line of fs.readFileSync(logFile, 'utf-8').split('\n')) {
+    if (!line.trim()) continue
+
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch {
+      continue // Skip partially written lines
+    }
+
+    const time = new Date(entry.timestamp).getTime()
+    if (sinceTime !== null && time < sinceTime) continue
+    if (untilTime !== null && time > untilTime) continue
+    if (tool && entry.tool !== tool) continue
+    if (articleText && !(entry.articles || []).some(a => a.toLowerCase().includes(articleText))) continue
+
+    entries.push(entry)
+  }
+
+  return entries
+}
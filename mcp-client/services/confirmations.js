@@ -0,0 +1,304 @@
+/**
+ * Suparank MCP - Confirmation Service
+ *
+ * Asks the human directly, via MCP elicitation, before destructive or live
+ * actions: clearing the session, removing articles, publishing live and
+ * sending webhooks, and before going over configured limits. Clients without
+ * elicitation keep the argument-based confirmation (clear_session's
+ * confirm: true) but cannot override limits.
+ */
+
+import { log, progress } from '../utils/logging.js'
+import { getRequestContext } from './request-context.js'
+import { getCredentials, hasCredential } from './credentials.js'
+import { sessionState, getArticlesToPublish, getArticleFolder } from './session-state.js'
+import { findContentConflicts } from './search-index.js'
+import { checkGuardrails, formatExceeded } from './guardrails.js'
+import { SuparankError, ERROR_CODES, toErrorResult } from '../utils/errors.js'
+
+// A human may take a while to answer
+const ELICITATION_TIMEOUT_MS = 10 * 60 * 1000
+
+// Webhook type -> credentials.json key
+const WEBHOOK_URL_KEYS = {
+  default: 'default_url',
+  make: 'make_url',
+  n8n: 'n8n_url',
+  zapier: 'zapier_url',
+  slack: 'slack_url'
+}
+
+// Live post statuses for publish tools (WordPress uses 'publish', Ghost 'published')
+const LIVE_STATUSES = ['publish', 'published']
+
+/**
+ * Check whether the current client supports form elicitation
+ * @returns {boolean} True if elicitation/create can be sent
+ */
+export function canElicit() {
+  const context = getRequestContext()
+  return Boolean(context?.clientCapabilities?.elicitation?.form && context.elicitInput)
+}
+
+/**
+ * Confirm a tool call before it runs: a requested limit override if one is
+ * needed, otherwise the action itself (see confirmAction)
+ * @param {string} toolName - Tool about to run
+ * @param {object} args - Tool arguments
+ * @param {object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
+ * @returns {Promise<{ confirmed: boolean, overrideConfirmed?: boolean, result?: object }|null>}
+ *   As confirmAction; overrideConfirmed is set when the user approved going over the limits
+ */
+export async function confirmToolCall(toolName, args, options = {}) {
+  if (args.override_limits === true) {
+    const limitError = checkGuardrails(toolName, args)
+    if (limitError) {
+      return confirmLimitOverride(toolName, args, limitError, options)
+    }
+  }
+  return confirmAction(toolName, args, options)
+}
+
+/**
+ * Ask the user to approve a tool call that would exceed configured limits
+ * The model cannot approve this itself: clients without elicitation are refused
+ * @param {string} toolName - Tool about to run
+ * @param {object} args - Tool arguments
+ * @param {SuparankError} limitError - LIMIT_EXCEEDED error from checkGuardrails
+ * @param {object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
+ * @returns {Promise<{ confirmed: boolean, overrideConfirmed?: boolean, result?: object }>}
+ *   Approval (which also covers the action's own confirmation), or the result to return instead
+ */
+export async function confirmLimitOverride(toolName, args, limitError, options = {}) {
+  const exceeded = formatExceeded(limitError.details.limits)
+
+  if (!canElicit()) {
+    log(`Refused limit override for ${toolName}: client cannot ask the user`)
+    return {
+      confirmed: false,
+      result: toErrorResult(new SuparankError(
+        ERROR_CODES.LIMIT_EXCEEDED,
+        `${toolName} was not run because it would exceed configured limits:\n${exceeded}\n\n` +
+        'override_limits needs the user to confirm in a prompt, which this client does not support. ' +
+        'To allow more, the user can raise the limits under "limits" in ~/.suparank/credentials.json.',
+        limitError.details
+      ), toolName)
+    }
+  }
+
+  const action = describeAction(toolName, args)
+  const answer = await askUser(toolName, {
+    title: 'Go over limits',
+    message: `${toolName} would exceed your Suparank limits:\n${exceeded}\n\nRun it anyway?` +
+      (action ? `\n\n${action.message}` : '')
+  }, options)
+
+  return answer.confirmed ? { confirmed: true, overrideConfirmed: true } : answer
+}
+
+/**
+ * Ask the user to confirm a tool call before it runs
+ * @param {string} toolName - Tool about to run
+ * @param {object} args - Tool arguments
+ * @param {object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
+ * @returns {Promise<{ confirmed: boolean, result?: object }|null>} null when no confirmation
+ *   was asked (not needed, or the client cannot elicit); otherwise the user's answer, with
+ *   the MCP result to return when they declined. A failed, timed out or cancelled
+ *   request counts as declined.
+ */
+export async function confirmAction(toolName, args, { signal } = {}) {
+  const summary = describeAction(toolName, args)
+  if (!summary || !canElicit()) {
+    return null
+  }
+
+  return askUser(toolName, summary, { signal })
+}
+
+/**
+ * Send the confirmation prompt and read the answer
+ * @param {string} toolName - Tool about to run
+ * @param {{ title: string, message: string }} summary - Prompt title and message
+ * @param {object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
+ * @returns {Promise<{ confirmed: boolean, result?: object }>} The user's answer
+ */
+async function askUser(toolName, summary, { signal } = {}) {
+  progress('Confirm', `Waiting for the user to confirm ${toolName}`)
+
+  let answer
+  try {
+    answer = await getRequestContext().elicitInput({
+      message: summary.message,
+      requestedSchema: {
+        type: 'object',
+        properties: {
+          confirm: {
+            type: 'boolean',
+            title: summary.title,
+            description: 'Check to proceed'
+          }
+        },
+        required: ['confirm']
+      }
+    }, {
+      signal,
+      timeout: ELICITATION_TIMEOUT_MS
+    })
+  } catch (error) {
+    // No answer (timeout, cancelled request, client error) is never a yes
+    const reason = signal?.aborted ? 'the request was cancelled' : `no answer was received (${error.message})`
+    log(`Confirmation request for ${toolName} failed: ${error.message}`)
+    return declined(toolName, summary, 'error', `was not confirmed - ${reason}`)
+  }
+
+  if (answer.action === 'accept' && answer.content?.confirm === true) {
+    log(`User confirmed ${toolName}`)
+    return { confirmed: true }
+  }
+
+  log(`User declined ${toolName} (${answer.action})`)
+  return declined(toolName, summary, answer.action, `the user ${answer.action === 'accept' ? 'did not confirm' : 'declined'} it when asked`)
+}
+
+/**
+ * Result returned instead of running a tool the user did not confirm
+ * @param {string} toolName - Tool that was not run
+ * @param {{ message: string }} summary - Confirmation prompt
+ * @param {string} action - Elicitation outcome (accept, decline, cancel or error)
+ * @param {string} reason - Why the tool was not run
+ * @returns {{ confirmed: false, result: object }} Declined confirmation
+ */
+function declined(toolName, summary, action, reason) {
+  return {
+    confirmed: false,
+    result: {
+      content: [{
+        type: 'text',
+        text: `**${toolName} was not run** - ${reason}:\n\n${summary.message}\n\nNothing was changed. Do not retry unless the user asks again.`
+      }],
+      structuredContent: {
+        confirmation: { tool: toolName, action, confirmed: false }
+      }
+    }
+  }
+}
+
+/**
+ * Describe what a tool call would do, for the confirmation prompt
+ * @param {string} toolName - Tool name
+ * @param {object} args - Tool arguments
+ * @returns {{ title: string, message: string }|null} Summary, or null if the call needs no confirmation
+ */
+function describeAction(toolName, args) {
+  switch (toolName) {
+    case 'clear_session': {
+      const articles = sessionState.articles
+      if (articles.length === 0 && !sessionState.currentWorkflow && !sessionState.article) return null
+
+      const unpublished = articles.filter(a => !a.published).length
+      const images = articles.reduce((sum, a) => sum + (a.imageUrl ? 1 : 0) + (a.inlineImages?.length || 0), 0)
+      return {
+        title: 'Clear the session',
+        message: `Clear the Suparank session? This permanently removes ${articles.length} saved article(s) (${unpublished} unpublished), ${images} generated image(s) and the current workflow. Published posts are not affected.` +
+          formatArticles(articles)
+      }
+    }
+
+    case 'remove_article': {
+      const articles = (args.article_numbers || [])
+        .map(num => ({ num, article: sessionState.articles[num - 1] }))
+        .filter(({ article }) => article && !article.published)
+      if (articles.length === 0) return null
+
+      return {
+        title: `Remove ${articles.length} article(s)`,
+        message: `Remove ${articles.length} unpublished article(s) from the session? They cannot be recovered.\n\n` +
+          articles.map(({ num, article }) => `- #${num}: ${article.title} (${article.wordCount} words)`).join('\n')
+      }
+    }
+
+    case 'publish_content': {
+      if (!LIVE_STATUSES.includes(args.status)) return null
+
+      const platforms = args.platforms || ['all']
+      const targets = ['wordpress', 'ghost']
+        .filter(p => hasCredential(p) && (platforms.includes('all') || platforms.includes(p)))
+      const articles = getArticlesToPublish(args.article_numbers)
+      if (targets.length === 0 || articles.length === 0) return null
+
+      return {
+        title: 'Publish live',
+        message: `Publish ${articles.length} article(s) LIVE to ${targets.map(formatPlatform).join(' and ')}? They will be publicly visible immediately.` +
+          formatArticles(articles) +
+          formatOverlaps(articles)
+      }
+    }
+
+    case 'publish_wordpress':
+    case 'publish_ghost': {
+      if (!LIVE_STATUSES.includes(args.status)) return null
+
+      const platform = formatPlatform(toolName.replace('publish_', ''))
+      return {
+        title: 'Publish live',
+        message: `Publish "${args.title}" LIVE to ${platform}? It will be publicly visible immediately.`
+      }
+    }
+
+    case 'send_webhook': {
+      const type = args.webhook_type || 'default'
+      const url = getCredentials().webhooks?.[WEBHOOK_URL_KEYS[type]]
+      if (!url) return null
+
+      const keys = Object.keys(args.payload || {})
+      return {
+        title: 'Send webhook',
+        message: `Send data to the ${type} webhook (${getHost(url)})? This may trigger external automations.` +
+          (args.message ? `\n\nMessage: ${truncate(args.message, 200)}` : '') +
+          (keys.length > 0 ? `\n\nPayload fields: ${keys.join(', ')}` : '')
+      }
+    }
+
+    default:
+      return null
+  }
+}
+
+function formatArticles(articles) {
+  if (articles.length === 0) return ''
+  return '\n\n' + articles
+    .map(a => `- ${a.title}${a.wordCount ? ` (${a.wordCount} words)` : ''}${a.published ? ' - published' : ''}`)
+    .join('\n')
+}
+
+// Overlaps with saved content as of now, so the user sees them before going live
+function formatOverlaps(articles) {
+  const overlapping = articles
+    .map(a => ({ title: a.title, conflicts: findContentConflicts(a, getArticleFolder(a)) }))
+    .filter(a => a.conflicts.length > 0)
+  if (overlapping.length === 0) return ''
+  return `\n\nWarning - ${overlapping.length} article(s) overlap saved content (near-duplicate or same keyword):\n` + overlapping
+    .map(a => `- ${a.title}: ${a.conflicts.map(c => c.folder).join(', ')}`)
+    .join('\n')
+}
+
+function formatPlatform(platform) {
+  return platform === 'wordpress' ? 'WordPress' : 'Ghost'
+}
+
+// Show only the host - webhook paths often embed secrets
+function getHost(url) {
+  try {
+    return new URL(url).host
+  } catch {
+    return 'configured URL'
+  }
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max)}...` : text
+}
@@ -1,16 +1,28 @@
 /**
  * Suparank MCP - Credentials Service
  *
- * Local credentials management for CMS and API integrations
+ * Local credentials management for CMS and API integrations.
+ * credentials.json is watched and reloaded when it changes.
  */
 
 import * as fs from 'fs'
+import * as path from 'path'
 import { getCredentialsFilePath } from '../utils/paths.js'
-import { log } from '../utils/logging.js'
+import { log, progress } from '../utils/logging.js'
+import { events, CREDENTIALS_CHANGED, CREDENTIALS_INVALID } from './events.js'
 
-// Cached credentials
+// Last successfully parsed credentials.json (kept when a later edit fails to parse)
+let fileCredentials = null
+
+// Cached credentials for the active profile
 let localCredentials = null
 
+// Credentials profile for the active project (null = top-level credentials)
+let activeProfile = null
+
+// Debounce for file watcher events (editors fire several per save)
+const RELOAD_DEBOUNCE_MS = 200
+
 /**
  * Load local credentials from ~/.suparank/credentials.json
  * @returns {object|null} Credentials object or null
@@ -20,44 +32,156 @@ export function loadCredentials() {
     return localCredentials
   }
 
+  if (fileCredentials === null) {
+    try {
+      fileCredentials = readCredentialsFile()
+    } catch (error) {
+      log(`Warning: Could not load credentials: ${error.message}`)
+      fileCredentials = {}
+    }
+  }
+
+  localCredentials = selectProfile(fileCredentials)
+
+  // Log which integrations are configured (without exposing keys)
+  const configured = []
+  if (localCredentials.wordpress?.secret_key || localCredentials.wordpress?.app_password) {
+    configured.push('WordPress')
+  }
+  if (localCredentials.ghost?.admin_api_key) {
+    configured.push('Ghost')
+  }
+  if (localCredentials.image_provider && localCredentials[localCredentials.image_provider]?.api_key) {
+    configured.push(`Images (${localCredentials.image_provider})`)
+  }
+  if (localCredentials.webhooks && Object.values(localCredentials.webhooks).some(Boolean)) {
+    configured.push('Webhooks')
+  }
+  if (localCredentials.external_mcps?.length) {
+    configured.push(`External MCPs (${localCredentials.external_mcps.length})`)
+  }
+
+  if (configured.length > 0) {
+    log(`Configured integrations: ${configured.join(', ')}`)
+  }
+
+  return localCredentials
+}
+
+/**
+ * Read and parse credentials.json
+ * @returns {object} Parsed credentials (empty object if the file does not exist)
+ * @throws {Error} If the file cannot be read or is not valid JSON
+ */
+function readCredentialsFile() {
   const credentialsPath = getCredentialsFilePath()
+  if (!fs.existsSync(credentialsPath)) {
+    return {}
+  }
+
+  const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf-8'))
+  log(`Loaded credentials from ${credentialsPath}${activeProfile ? ` (profile: ${activeProfile})` : ''}`)
+  return credentials
+}
 
+/**
+ * Re-read credentials.json and notify listeners
+ * On a parse error the previous valid credentials stay active and
+ * CREDENTIALS_INVALID is emitted with the error message, so clients can be told
+ * @returns {boolean} Whether the new credentials were applied
+ */
+export function reloadCredentials() {
+  let credentials
   try {
-    if (fs.existsSync(credentialsPath)) {
-      const content = fs.readFileSync(credentialsPath, 'utf-8')
-      localCredentials = JSON.parse(content)
-      log(`Loaded credentials from ${credentialsPath}`)
-
-      // Log which integrations are configured (without exposing keys)
-      const configured = []
-      if (localCredentials.wordpress?.secret_key || localCredentials.wordpress?.app_password) {
-        configured.push('WordPress')
-      }
-      if (localCredentials.ghost?.admin_api_key) {
-        configured.push('Ghost')
-      }
-      if (localCredentials.image_provider && localCredentials[localCredentials.image_provider]?.api_key) {
-        configured.push(`Images (${localCredentials.image_provider})`)
-      }
-      if (localCredentials.webhooks && Object.values(localCredentials.webhooks).some(Boolean)) {
-        configured.push('Webhooks')
-      }
-      if (localCredentials.external_mcps?.length) {
-        configured.push(`External MCPs (${localCredentials.external_mcps.length})`)
-      }
+    credentials = readCredentialsFile()
+  } catch (error) {
+    log(`Warning: credentials.json is invalid, keeping previous credentials: ${error.message}`)
+    progress('Credentials', `Reload failed - fix credentials.json (${error.message})`)
+    events.emit(CREDENTIALS_INVALID, error.message)
+    return false
+  }
 
-      if (configured.length > 0) {
-        log(`Configured integrations: ${configured.join(', ')}`)
-      }
+  fileCredentials = credentials
+  localCredentials = null
+  loadCredentials()
 
-      return localCredentials
-    }
+  progress('Credentials', 'Reloaded credentials.json')
+  events.emit(CREDENTIALS_CHANGED)
+  return true
+}
+
+/**
+ * Watch credentials.json and reload it whenever it changes
+ * Watches the directory, since editors and the secrets wizard may replace the file
+ * @returns {Function} Stop watching
+ */
+export function watchCredentials() {
+  const credentialsPath = getCredentialsFilePath()
+  const dir = path.dirname(credentialsPath)
+  const fileName = path.basename(credentialsPath)
+
+  let reloadTimer = null
+  let watcher
+  try {
+    fs.mkdirSync(dir, { recursive: true })
+    watcher = fs.watch(dir, (eventType, changed) => {
+      if (changed && changed !== fileName) return
+
+      clearTimeout(reloadTimer)
+      reloadTimer = setTimeout(reloadCredentials, RELOAD_DEBOUNCE_MS)
+    })
   } catch (error) {
-    log(`Warning: Could not load credentials: ${error.message}`)
+    log(`Warning: Could not watch credentials.json: ${error.message}`)
+    return () => {}
   }
 
-  localCredentials = {}
-  return localCredentials
+  watcher.unref()
+
+  return () => {
+    clearTimeout(reloadTimer)
+    watcher.close()
+  }
+}
+
+/**
+ * Pick the credentials for the active profile
+ * A profile replaces the top-level credentials entirely, so one client's
+ * CMS keys can never be used while working on another client's project
+ * @param {object} credentials - Parsed credentials.json
+ * @returns {object} Credentials to use
+ */
+function selectProfile(credentials) {
+  if (!activeProfile) {
+    return credentials
+  }
+
+  const profile = credentials.profiles?.[activeProfile]
+  if (!profile) {
+    log(`Warning: Credentials profile "${activeProfile}" not found in credentials.json - no integrations available`)
+    return {}
+  }
+  return profile
+}
+
+/**
+ * Use a named credentials profile (from the "profiles" key in credentials.json)
+ * @param {string|null} profile - Profile name, or null for the top-level credentials
+ */
+export function setCredentialsProfile(profile) {
+  const next = profile || null
+  if (next === activeProfile) return
+
+  activeProfile = next
+  localCredentials = null
+  events.emit(CREDENTIALS_CHANGED)
+}
+
+/**
+ * Get the active credentials profile
+ * @returns {string|null} Profile name, or null when using the top-level credentials
+ */
+export function getCredentialsProfile() {
+  return activeProfile
 }
 
 /**
@@ -73,7 +197,7 @@ export function getCredentials() {
 
 /**
  * Check if a specific credential type is available
- * @param {string} type - Credential type (wordpress, ghost, fal, gemini, wiro, image, webhooks)
+ * @param {string} type - Credential type (wordpress, ghost, fal, gemini, wiro, image, webhooks, or any plugin key)
  * @returns {boolean} Whether the credential is available
  */
 export function hasCredential(type) {
@@ -96,7 +220,11 @@ export function hasCredential(type) {
     case 'webhooks':
       return !!(creds.webhooks && Object.values(creds.webhooks).some(Boolean))
     default:
-      return false
+      // Any other key (e.g. a plugin's credential): present and non-empty
+      if (creds[type] && typeof creds[type] === 'object') {
+        return Object.values(creds[type]).some(Boolean)
+      }
+      return !!creds[type]
   }
 }
 
@@ -123,6 +251,7 @@ export function getProviderConfig(provider) {
  * Clear cached credentials (for testing)
  */
 export function clearCredentialsCache() {
+  fileCredentials = null
   localCredentials = null
 }
 
@@ -0,0 +1,20 @@
+/**
+ * Suparank MCP - Events Service
+ *
+ * In-process event bus so services can announce changes (saved content,
+ * session updates, credentials and project changes) without knowing which
+ * MCP servers are listening
+ */
+
+import { EventEmitter } from 'events'
+
+// Event names
+export const CONTENT_SAVED = 'content:saved'
+export const SESSION_SAVED = 'session:saved'
+export const CREDENTIALS_CHANGED = 'credentials:changed'
+export const CREDENTIALS_INVALID = 'credentials:invalid'
+export const PROJECT_CHANGED = 'project:changed'
+
+// Shared emitter - one listener per connected MCP server, so lift the default cap
+export const events = new EventEmitter()
+events.setMaxListeners(0)
@@ -0,0 +1,283 @@
+/**
+ * Suparank MCP - Guardrails Service
+ *
+ * Volume and spend limits for image generation and live publishing,
+ * configured under "limits" in credentials.json (or the project config):
+ *
+ *   "limits": {
+ *     "images_per_session": 10,
+ *     "images_per_day": 40,
+ *     "live_publishes_per_session": 5,
+ *     "live_publishes_per_day": 10,
+ *     "providers": { "fal": { "cost_per_image": 0.15, "max_daily_cost": 5 } }
+ *   }
+ *
+ * Session counts last as long as the server process; daily counts are kept
+ * in ~/.suparank/usage.json. Going over a limit needs the user's own
+ * confirmation (see confirmLimitOverride in confirmations.js).
+ *
+ * Action tools reserve their usage under the session lock and run without it,
+ * so calls still in flight count against the limits until they finish.
+ */
+
+import * as fs from 'fs'
+import { getUsageFilePath, ensureSuparankDir, atomicWriteSync } from '../utils/paths.js'
+import { log, progress } from '../utils/logging.js'
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
+import { getCredentials, getImageProvider, hasCredential } from './credentials.js'
+import { getProject } from './project.js'
+import { getArticlesToPublish } from './session-state.js'
+
+// Tools that publish live when called with status: 'publish'
+const PUBLISH_TOOLS = ['publish_wordpress', 'publish_ghost', 'publish_content']
+
+// Live post statuses (WordPress / Ghost) in tool arguments and publisher results
+const LIVE_STATUSES = ['publish', 'published']
+
+// Per-session counts, kept for the life of the server process: starting a new
+// workflow or clearing the session must not hand a looping agent a fresh allowance
+const sessionUsage = { images: 0, live_publishes: 0 }
+
+// Usage reserved by tool calls that are still running
+const pendingUsage = { images: 0, live_publishes: 0 }
+
+/**
+ * Get the configured limits
+ * credentials.json limits take precedence over project config limits
+ * @returns {object} Limits (empty when none are configured)
+ */
+export function getLimits() {
+  return {
+    ...getProject()?.config?.limits,
+    ...getCredentials().limits
+  }
+}
+
+/**
+ * Check a tool call against the configured limits
+ * @param {string} toolName - Tool about to run
+ * @param {object} args - Tool arguments
+ * @param {object} [options] - Options
+ * @param {boolean} [options.overrideConfirmed] - The user confirmed going over the limits
+ * @returns {SuparankError|null} LIMIT_EXCEEDED error, or null if the call may proceed
+ */
+export function checkGuardrails(toolName, args, { overrideConfirmed = false } = {}) {
+  const limits = getLimits()
+  const requested = getRequestedUsage(toolName, args)
+  if (requested.images === 0 && requested.livePublishes === 0) {
+    return null
+  }
+
+  const daily = loadDailyUsage()
+  const exceeded = []
+  const check = (limit, max, used, amount) => {
+    if (typeof max === 'number' && used + amount > max) {
+      exceeded.push({ limit, max, used, requested: amount })
+    }
+  }
+
+  if (requested.images > 0) {
+    check('images_per_session', limits.images_per_session, sessionUsage.images + pendingUsage.images, requested.images)
+    check('images_per_day', limits.images_per_day, daily.images + pendingUsage.images, requested.images)
+
+    const provider = getImageProvider()
+    const providerLimits = limits.providers?.[provider]
+    if (providerLimits?.cost_per_image && typeof providerLimits.max_daily_cost === 'number') {
+      const spent = (daily.cost_usd[provider] || 0) + providerLimits.cost_per_image * pendingUsage.images
+      const cost = providerLimits.cost_per_image * requested.images
+      if (spent + cost > providerLimits.max_daily_cost) {
+        exceeded.push({
+          limit: `providers.${provider}.max_daily_cost`,
+          max: providerLimits.max_daily_cost,
+          used: round(spent),
+          requested: round(cost)
+        })
+      }
+    }
+  }
+
+  if (requested.livePublishes > 0) {
+    check('live_publishes_per_session', limits.live_publishes_per_session, sessionUsage.live_publishes + pendingUsage.live_publishes, requested.livePublishes)
+    check('live_publishes_per_day', limits.live_publishes_per_day, daily.live_publishes + pendingUsage.live_publishes, requested.livePublishes)
+  }
+
+  if (exceeded.length === 0) {
+    return null
+  }
+
+  if (overrideConfirmed) {
+    log(`Limits overridden for ${toolName}: ${exceeded.map(e => e.limit).join(', ')}`)
+    progress('Limits', `Override confirmed for ${toolName}`)
+    return null
+  }
+
+  return new SuparankError(
+    ERROR_CODES.LIMIT_EXCEEDED,
+    `${toolName} was not run because it would exceed configured limits:\n` +
+    formatExceeded(exceeded) +
+    `\n\nLimits are set under "limits" in ~/.suparank/credentials.json. ` +
+    `Only the user can approve going over them: if they ask to, call ${toolName} again with override_limits: true ` +
+    `and Suparank will ask them to confirm (not possible in clients without confirmation prompts).`,
+    { limits: exceeded }
+  )
+}
+
+/**
+ * Count a tool call that passed checkGuardrails against the limits while it runs
+ * Call under the session lock right after checkGuardrails, and pass the
+ * reservation to releaseUsage once recordUsage has counted the result
+ * @param {string} toolName - Tool about to run
+ * @param {object} args - Tool arguments
+ * @returns {{ images: number, live_publishes: number }} Reserved usage
+ */
+export function reserveUsage(toolName, args) {
+  const requested = getRequestedUsage(toolName, args)
+  const reservation = { images: requested.images, live_publishes: requested.livePublishes }
+
+  pendingUsage.images += reservation.images
+  pendingUsage.live_publishes += reservation.live_publishes
+  return reservation
+}
+
+/**
+ * Release usage reserved with reserveUsage
+ * @param {{ images: number, live_publishes: number }} [reservation] - From reserveUsage
+ */
+export function releaseUsage(reservation) {
+  if (!reservation) return
+
+  pendingUsage.images -= reservation.images
+  pendingUsage.live_publishes -= reservation.live_publishes
+}
+
+/**
+ * Format exceeded limits as a list, e.g. "- images_per_day: 40 used + 1 requested > 40 allowed"
+ * @param {Array<{ limit: string, max: number, used: number, requested: number }>} exceeded - From a LIMIT_EXCEEDED error's details
+ * @returns {string} One line per limit
+ */
+export function formatExceeded(exceeded) {
+  return exceeded.map(e => `- ${e.limit}: ${e.used} used + ${e.requested} requested > ${e.max} allowed`).join('\n')
+}
+
+/**
+ * Get the counts used against the per-session limits
+ * @returns {{ images: number, live_publishes: number }} Session usage
+ */
+export function getSessionUsage() {
+  return { ...sessionUsage }
+}
+
+/**
+ * Reset the per-session counts (for testing)
+ */
+export function resetSessionUsage() {
+  sessionUsage.images = 0
+  sessionUsage.live_publishes = 0
+  pendingUsage.images = 0
+  pendingUsage.live_publishes = 0
+}
+
+/**
+ * Count a completed tool call against session and daily usage
+ * @param {string} toolName - Tool that ran
+ * @param {object} args - Tool arguments
+ * @param {object} result - MCP tool result
+ */
+export function recordUsage(toolName, args, result) {
+  if (!result || result.isError) return
+
+  let images = 0
+  let livePublishes = 0
+
+  if (toolName === 'generate_image') {
+    images = 1
+  } else if (PUBLISH_TOOLS.includes(toolName)) {
+    const posts = result.structuredContent?.posts || []
+    livePublishes = posts.filter(p => LIVE_STATUSES.includes(p.status)).length
+  }
+
+  if (images === 0 && livePublishes === 0) return
+
+  sessionUsage.images += images
+  sessionUsage.live_publishes += livePublishes
+
+  const daily = loadDailyUsage()
+  daily.images += images
+  daily.live_publishes += livePublishes
+
+  if (images > 0) {
+    const provider = getImageProvider()
+    const costPerImage = getLimits().providers?.[provider]?.cost_per_image
+    if (costPerImage) {
+      daily.cost_usd[provider] = round((daily.cost_usd[provider] || 0) + costPerImage * images)
+    }
+  }
+
+  saveDailyUsage(daily)
+}
+
+/**
+ * Estimate what a tool call will consume before it runs
+ * @param {string} toolName - Tool name
+ * @param {object} args - Tool arguments
+ * @returns {{ images: number, livePublishes: number }} Requested usage
+ */
+function getRequestedUsage(toolName, args) {
+  if (toolName === 'generate_image') {
+    return { images: 1, livePublishes: 0 }
+  }
+
+  if (!PUBLISH_TOOLS.includes(toolName) || !LIVE_STATUSES.includes(args.status)) {
+    return { images: 0, livePublishes: 0 }
+  }
+
+  if (toolName !== 'publish_content') {
+    return { images: 0, livePublishes: 1 }
+  }
+
+  // publish_content: one live post per article per platform
+  const platforms = args.platforms || ['all']
+  const platformCount = ['ghost', 'wordpress']
+    .filter(p => hasCredential(p) && (platforms.includes('all') || platforms.includes(p)))
+    .length
+
+  const articleCount = getArticlesToPublish(args.article_numbers).length
+
+  return { images: 0, livePublishes: articleCount * platformCount }
+}
+
+/**
+ * Load today's usage counters (reset when the date changes)
+ * @returns {{ date: string, images: number, live_publishes: number, cost_usd: object }}
+ */
+function loadDailyUsage() {
+  const today = new Date().toISOString().slice(0, 10)
+  const empty = { date: today, images: 0, live_publishes: 0, cost_usd: {} }
+
+  try {
+    const file = getUsageFilePath()
+    if (fs.existsSync(file)) {
+      const usage = JSON.parse(fs.readFileSync(file, 'utf-8'))
+      if (usage.date === today) {
+        return { ...empty, ...usage }
+      }
+    }
+  } catch (error) {
+    log(`Warning: Could not read usage file: ${error.message}`)
+  }
+
+  return empty
+}
+
+function saveDailyUsage(usage) {
+  try {
+    ensureSuparankDir()
+    atomicWriteSync(getUsageFilePath(), JSON.stringify(usage, null, 2))
+  } catch (error) {
+    log(`Warning: Failed to save usage: ${error.message}`)
+  }
+}
+
+function round(amount) {
+  return Math.round(amount * 10000) / 10000
+}
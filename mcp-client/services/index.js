@@ -9,3 +9,10 @@ export * from './credentials.js'
 export * from './session-state.js'
 export * from './stats.js'
 export * from './project.js'
+export * from './events.js'
+export * from './request-context.js'
+export * from './audit.js'
+export * from './guardrails.js'
+export * from './sampling.js'
+export * from './confirmations.js'
+export * from './search-index.js'
@@ -1,15 +1,37 @@
 /**
  * Suparank MCP - Project Service
  *
- * Fetch and manage project configuration from the Suparank API
+ * Fetch and manage project configuration from the Suparank API,
+ * with a local cache so the server can start offline, and switch between
+ * the projects listed in ~/.suparank/config.json
  */
 
+import * as fs from 'fs'
+import * as path from 'path'
 import { log } from '../utils/logging.js'
+import { getProjectCachePath, getConfigFilePath, atomicWriteSync } from '../utils/paths.js'
 import { fetchWithRetry } from './api.js'
-import { apiUrl, apiKey, projectSlug } from '../config.js'
+import { getCredentialsProfile, setCredentialsProfile } from './credentials.js'
+import { events, PROJECT_CHANGED } from './events.js'
+import { SuparankError, ERROR_CODES, platformError } from '../utils/errors.js'
+import {
+  apiUrl,
+  apiKey,
+  projectSlug,
+  defaultProjectSlug,
+  defaultApiKey,
+  setActiveProject
+} from '../config.js'
+
+// Active project config, shared by all server instances
+let currentProject = null
+
+// Set when startup fell back to the cached config: { cachedAt, reason }
+let offlineState = null
 
 /**
  * Fetch project configuration from the Suparank API
+ * Caches the config locally on success
  * @returns {Promise<object>} Project object with config
  */
 export async function fetchProjectConfig() {
@@ -25,16 +47,223 @@ export async function fetchProjectConfig() {
       const error = await response.text()
 
       if (response.status === 401) {
-        throw new Error(`Invalid or expired API key. Please create a new one in the dashboard.`)
+        throw platformError('suparank', 401, `Invalid or expired API key. Please create a new one in the dashboard.`)
       }
 
-      throw new Error(`Failed to fetch project: ${error}`)
+      throw platformError('suparank', response.status, `Failed to fetch project: ${error}`)
     }
 
     const data = await response.json()
+    saveProjectCache(data.project)
     return data.project
   } catch (error) {
     log('Error fetching project config:', error.message)
     throw error
   }
 }
+
+/**
+ * Load project configuration, falling back to the local cache
+ * If the API is unreachable (network error, timeout or 5xx) and a cached
+ * config exists, the server starts in offline mode: local tools work, backend
+ * tools are unavailable. Other failures, such as a rejected API key, are thrown
+ * @returns {Promise<object>} Project object with config
+ * @throws {Error} If the API fails and there is no cached config to fall back to
+ */
+export async function loadProjectConfig() {
+  try {
+    currentProject = await fetchProjectConfig()
+    offlineState = null
+  } catch (error) {
+    const cached = isUnreachable(error) ? loadProjectCache() : null
+    if (!cached) {
+      throw error
+    }
+
+    offlineState = { cachedAt: cached.cachedAt, reason: error.message }
+    currentProject = cached.project
+    log(`Using cached project config from ${cached.cachedAt} (offline mode)`)
+  }
+
+  return currentProject
+}
+
+/**
+ * Re-fetch the project config from the API and make it active
+ * Leaves the current config (and offline state) untouched if the fetch fails
+ * @returns {Promise<{ previous: object|null, project: object, wasOffline: boolean }>} Old and new config
+ */
+export async function refreshProject() {
+  const project = await fetchProjectConfig()
+  const previous = currentProject
+  const wasOffline = offlineState !== null
+
+  currentProject = project
+  offlineState = null
+  events.emit(PROJECT_CHANGED)
+
+  return { previous, project, wasOffline }
+}
+
+/**
+ * Get the active project config
+ * @returns {object|null} Project object with config
+ */
+export function getProject() {
+  return currentProject
+}
+
+/**
+ * Get offline mode state
+ * @returns {{ cachedAt: string, reason: string }|null} Offline state, or null when connected
+ */
+export function getOfflineState() {
+  return offlineState
+}
+
+/**
+ * List the projects this server can switch between
+ * The command-line project is always first; others come from the "projects"
+ * array in ~/.suparank/config.json:
+ *   { "project_slug": "client-a", "name": "Client A", "api_key": "...", "credentials_profile": "client-a" }
+ * @returns {Array<{ slug: string, name: string|null, apiKey: string|null, credentialsProfile: string|null, isDefault: boolean, isActive: boolean }>}
+ */
+export function listProjects() {
+  const config = loadConfigFile()
+  const entries = Array.isArray(config.projects) ? config.projects : []
+
+  const toProject = (slug, entry = {}) => ({
+    slug,
+    name: entry.name || null,
+    apiKey: entry.api_key || (slug === defaultProjectSlug ? defaultApiKey : null),
+    credentialsProfile: entry.credentials_profile || null,
+    isDefault: slug === defaultProjectSlug,
+    isActive: slug === projectSlug
+  })
+
+  const projects = [toProject(defaultProjectSlug, entries.find(e => e.project_slug === defaultProjectSlug))]
+  for (const entry of entries) {
+    if (entry.project_slug && !projects.some(p => p.slug === entry.project_slug)) {
+      projects.push(toProject(entry.project_slug, entry))
+    }
+  }
+
+  return projects
+}
+
+/**
+ * Make another configured project active
+ * Switches API key, credentials profile and project config; session and content
+ * paths follow automatically. Restores the previous project if loading fails.
+ * @param {string} slug - Project slug from listProjects()
+ * @returns {Promise<object>} The project entry that is now active
+ * @throws {SuparankError} If the project is unknown or its config cannot be loaded
+ */
+export async function switchProject(slug) {
+  const projects = listProjects()
+  const target = projects.find(p => p.slug === slug)
+
+  if (!target) {
+    throw new SuparankError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Unknown project "${slug}". Configured projects: ${projects.map(p => p.slug).join(', ')}`,
+      { fields: ['project_slug'] }
+    )
+  }
+  if (!target.apiKey) {
+    throw new SuparankError(
+      ERROR_CODES.CONFIG_INCOMPLETE,
+      `No API key for project "${slug}". Add "api_key" to its entry in ~/.suparank/config.json`,
+      { missing: ['api_key'] }
+    )
+  }
+
+  const previous = {
+    slug: projectSlug,
+    apiKey,
+    profile: getCredentialsProfile(),
+    project: currentProject,
+    offline: offlineState
+  }
+
+  setActiveProject(target.slug, target.apiKey)
+  setCredentialsProfile(target.credentialsProfile)
+
+  try {
+    await loadProjectConfig()
+  } catch (error) {
+    setActiveProject(previous.slug, previous.apiKey)
+    setCredentialsProfile(previous.profile)
+    currentProject = previous.project
+    offlineState = previous.offline
+    throw error
+  }
+
+  log(`Switched to project: ${target.slug}`)
+  events.emit(PROJECT_CHANGED)
+  return { ...target, isActive: true }
+}
+
+/**
+ * Read ~/.suparank/config.json
+ * @returns {object} Parsed config (empty object if missing or invalid)
+ */
+function loadConfigFile() {
+  try {
+    const configFile = getConfigFilePath()
+    if (fs.existsSync(configFile)) {
+      return JSON.parse(fs.readFileSync(configFile, 'utf-8'))
+    }
+  } catch (error) {
+    log(`Warning: Could not read config.json: ${error.message}`)
+  }
+  return {}
+}
+
+/**
+ * Save the project config to ~/.suparank/projects/<slug>.json
+ * @param {object} project - Project object with config
+ */
+function saveProjectCache(project) {
+  try {
+    const cacheFile = getProjectCachePath(projectSlug)
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true })
+    atomicWriteSync(cacheFile, JSON.stringify({
+      cachedAt: new Date().toISOString(),
+      project
+    }, null, 2))
+  } catch (error) {
+    log(`Warning: Failed to cache project config: ${error.message}`)
+  }
+}
+
+/**
+ * Check whether a fetch failure means the API could not be reached, rather
+ * than that it answered with an error (e.g. 401 for a revoked key)
+ * @param {any} error - Error from fetchProjectConfig
+ * @returns {boolean} True for network errors, timeouts and 5xx responses
+ */
+function isUnreachable(error) {
+  if (!(error instanceof SuparankError)) return false
+  if (error.code === ERROR_CODES.NETWORK_ERROR || error.code === ERROR_CODES.TIMEOUT) return true
+  return error.code === ERROR_CODES.PLATFORM_ERROR && error.details?.status >= 500
+}
+
+/**
+ * Load the cached project config
+ * @returns {{ project: object, cachedAt: string }|null} Cached config, or null if missing/unreadable
+ */
+function loadProjectCache() {
+  try {
+    const cacheFile = getProjectCachePath(projectSlug)
+    if (!fs.existsSync(cacheFile)) {
+      return null
+    }
+
+    const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'))
+    return cached.project ? cached : null
+  } catch (error) {
+    log(`Warning: Could not read cached project config: ${error.message}`)
+    return null
+  }
+}
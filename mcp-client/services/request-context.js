@@ -0,0 +1,73 @@
+/**
+ * Suparank MCP - Request Context Service
+ *
+ * Tracks the MCP request currently being handled (across awaits) so deeply
+ * nested code - publish loops, image polling, HTTP retries - can report
+ * progress back to the client that made the request
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+
+const storage = new AsyncLocalStorage()
+
+// Increment used for message-only updates (progress must always increase)
+const PROGRESS_NUDGE = 0.001
+
+/**
+ * Run a function within a request context
+ * @param {object} context - Request context
+ * @param {string|number} [context.progressToken] - Token from the request's _meta
+ * @param {Function} [context.sendNotification] - Sends a notification tied to the request
+ * @param {object} [context.clientCapabilities] - Capabilities the client declared at initialize
+ * @param {Function} [context.createMessage] - Sends sampling/createMessage to the client
+ * @param {Function} [context.elicitInput] - Sends elicitation/create to the client
+ * @param {Function} [context.otherClients] - Counts the other clients connected to this server
+ * @param {Function} fn - Function to run
+ * @returns {Promise<any>} Result of fn
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run({ ...context, lastProgress: 0 }, fn)
+}
+
+/**
+ * Get the context of the request currently being handled
+ * @returns {object|null} Request context or null outside of a request
+ */
+export function getRequestContext() {
+  return storage.getStore() || null
+}
+
+/**
+ * Send a notifications/progress message for the current request
+ * No-op when there is no request or the client did not ask for progress
+ * @param {string} message - Human-readable progress message
+ * @param {number} [current] - Units completed so far
+ * @param {number} [total] - Total units, if known (kept for later message-only updates)
+ */
+export function notifyProgress(message, current, total) {
+  const context = storage.getStore()
+  if (!context?.progressToken || !context.sendNotification) return
+
+  if (total !== undefined) context.total = total
+
+  let value = current !== undefined && current > context.lastProgress
+    ? current
+    : context.lastProgress + PROGRESS_NUDGE
+  if (context.total !== undefined) value = Math.min(value, context.total)
+
+  // Already at the total: progress can neither repeat nor go past it
+  if (value <= context.lastProgress) return
+  context.lastProgress = value
+
+  context.sendNotification({
+    method: 'notifications/progress',
+    params: {
+      progressToken: context.progressToken,
+      progress: value,
+      ...(context.total !== undefined ? { total: context.total } : {}),
+      message
+    }
+  }).catch(() => {
+    // Client went away - progress is best effort
+  })
+}
@@ -0,0 +1,78 @@
+/**
+ * Suparank MCP - Sampling Service
+ *
+ * Sends sampling/createMessage requests to the client that made the current
+ * tool call, so the server can run LLM steps itself instead of handing
+ * instructions back to the client model
+ */
+
+import { getRequestContext } from './request-context.js'
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
+
+// Long enough for a full article; progress notifications reset the timer
+const SAMPLING_TIMEOUT_MS = 10 * 60 * 1000
+
+// MCP error code for request timeouts (ErrorCode.RequestTimeout)
+const MCP_REQUEST_TIMEOUT = -32001
+
+/**
+ * Check whether the current client supports sampling
+ * @returns {boolean} True if sampling/createMessage can be sent
+ */
+export function canSample() {
+  const context = getRequestContext()
+  return Boolean(context?.clientCapabilities?.sampling && context.createMessage)
+}
+
+/**
+ * Ask the client's model for a text completion
+ * @param {string} prompt - User message
+ * @param {object} [options] - Sampling options
+ * @param {string} [options.systemPrompt] - System prompt
+ * @param {number} [options.maxTokens=4000] - Maximum tokens to generate
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
+ * @returns {Promise<string>} Generated text
+ * @throws {SuparankError} If sampling is unsupported, cancelled, times out or fails
+ */
+export async function sampleText(prompt, { systemPrompt, maxTokens = 4000, signal } = {}) {
+  const context = getRequestContext()
+  if (!canSample()) {
+    throw new SuparankError(ERROR_CODES.CONFIG_INCOMPLETE, 'The connected client does not support sampling')
+  }
+
+  let result
+  try {
+    result = await context.createMessage({
+      messages: [{ role: 'user', content: { type: 'text', text: prompt } }],
+      ...(systemPrompt ? { systemPrompt } : {}),
+      includeContext: 'none',
+      maxTokens
+    }, {
+      signal,
+      timeout: SAMPLING_TIMEOUT_MS,
+      resetTimeoutOnProgress: true
+    })
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new SuparankError(ERROR_CODES.CANCELLED, 'Sampling request cancelled')
+    }
+    if (error.code === MCP_REQUEST_TIMEOUT) {
+      throw new SuparankError(ERROR_CODES.TIMEOUT, `Sampling request timed out: ${error.message}`)
+    }
+    throw new SuparankError(ERROR_CODES.PLATFORM_ERROR, `Sampling request failed: ${error.message}`, { platform: 'client' })
+  }
+
+  // content is a single block, or an array of blocks in newer protocol versions
+  const blocks = Array.isArray(result.content) ? result.content : [result.content]
+  const text = blocks
+    .filter(block => block?.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+    .trim()
+
+  if (!text) {
+    throw new SuparankError(ERROR_CODES.PLATFORM_ERROR, 'Sampling returned no text', { platform: 'client' })
+  }
+
+  return text
+}
@@ -0,0 +1,386 @@
+/**
+ * Suparank MCP - Content Search Index
+ *
+ * Full-text search across every saved article on this machine (all projects).
+ * An inverted index of article.md and metadata.json is kept in
+ * ~/.suparank/search-index.json and refreshed incrementally before each
+ * search: only folders whose files changed are re-read. Each entry also keeps
+ * a MinHash signature of the article for duplicate detection.
+ */
+
+import * as fs from 'fs'
+import * as path from 'path'
+import { log } from '../utils/logging.js'
+import { getSuparankDir, getSearchIndexPath, listContentDirs, atomicWriteSync } from '../utils/paths.js'
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
+import { projectSlug } from '../config.js'
+import { minhashSignature, findConflicts } from '../analysis/duplicates.js'
+import { toPlainText } from '../analysis/word-count.js'
+
+// Bump when the stored document shape or tokenizer changes (forces a rebuild)
+const INDEX_VERSION = 3
+
+// Term weights per field
+const TITLE_WEIGHT = 3
+const KEYWORD_WEIGHT = 2
+
+// BM25 parameters
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+
+// Characters of context around the first match
+const SNIPPET_BEFORE = 60
+const SNIPPET_AFTER = 160
+
+const WORD = /[\p{L}\p{N}]+/gu
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'how', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'than', 'that', 'the', 'their', 'then',
+  'there', 'these', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'why', 'will',
+  'with', 'you', 'your'
+])
+
+/**
+ * Split text into normalized search terms
+ * Lowercases, drops stopwords and strips plural endings, so "Grinders" matches "grinder"
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in order of appearance
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(WORD) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem)
+}
+
+/**
+ * Bring the index up to date with the content folders on disk
+ * New or changed folders are (re)indexed, deleted ones are dropped
+ * @returns {{ index: object, added: number, updated: number, removed: number }} Index and what changed
+ */
+export function updateSearchIndex() {
+  const index = readIndex()
+  const seen = new Set()
+  let added = 0
+  let updated = 0
+  let removed = 0
+
+  for (const { dir, workspace } of listContentDirs()) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue
+
+      const folderPath = path.join(dir, entry.name)
+      const signature = folderSignature(folderPath)
+      if (!signature) continue
+
+      const id = path.relative(getSuparankDir(), folderPath)
+      seen.add(id)
+
+      const existing = index.docs[id]
+      if (existing?.signature === signature) continue
+
+      try {
+        const doc = indexFolder(folderPath, entry.name, workspace)
+        if (existing) removeDoc(index, id)
+        addDoc(index, { id, signature, ...doc })
+        existing ? updated++ : added++
+      } catch (error) {
+        log(`Warning: Could not index ${folderPath}: ${error.message}`)
+      }
+    }
+  }
+
+  for (const id of Object.keys(index.docs)) {
+    if (!seen.has(id)) {
+      removeDoc(index, id)
+      removed++
+    }
+  }
+
+  if (added || updated || removed) {
+    index.updatedAt = new Date().toISOString()
+    try {
+      atomicWriteSync(getSearchIndexPath(), JSON.stringify(index))
+    } catch (error) {
+      log(`Warning: Failed to save search index: ${error.message}`)
+    }
+    log(`Search index updated: ${added} added, ${updated} updated, ${removed} removed`)
+  }
+
+  return { index, added, updated, removed }
+}
+
+/**
+ * Search saved content across all projects
+ * Without a query, every article matching the filters is returned, newest first
+ * @param {string} [query] - Search words (any may match; ranked by BM25)
+ * @param {object} [filters] - Result filters
+ * @param {string} [filters.project] - Project slug
+ * @param {string} [filters.since] - Created on or after (ISO date)
+ * @param {string} [filters.until] - Created on or before (ISO date; a bare date includes that day)
+ * @param {string} [filters.keyword] - Target keyword the article contains
+ * @param {boolean} [filters.published] - Only published (true) or unpublished (false) articles
+ * @param {number} [filters.limit] - Max results (default: 10)
+ * @returns {{ total: number, indexed: number, terms: string[], results: Array<object> }}
+ *   Matches before the limit, indexed article count, query terms and ranked results with snippets
+ * @throws {SuparankError} INVALID_ARGUMENTS for unparseable dates
+ */
+export function searchContent(query = '', { project, since, until, keyword, published, limit = 10 } = {}) {
+  const sinceTime = parseDate(since, 'since')
+  let untilTime = parseDate(until, 'until')
+  if (untilTime !== null && /^\d{4}-\d{2}-\d{2}$/.test(until)) {
+    untilTime += 24 * 60 * 60 * 1000 - 1
+  }
+  const keywordText = keyword?.toLowerCase()
+
+  const { index } = updateSearchIndex()
+  const docs = Object.values(index.docs).filter(doc => {
+    const time = new Date(doc.createdAt).getTime()
+    if (project && doc.project !== project) return false
+    if (sinceTime !== null && time < sinceTime) return false
+    if (untilTime !== null && time > untilTime) return false
+    if (keywordText && !doc.keywords.some(k => k.toLowerCase().includes(keywordText))) return false
+    if (published !== undefined && doc.published !== published) return false
+    return true
+  })
+
+  const terms = [...new Set(tokenize(query))]
+  let ranked
+  if (terms.length === 0) {
+    ranked = docs
+      .map(doc => ({ doc, score: null }))
+      .sort((a, b) => b.doc.createdAt.localeCompare(a.doc.createdAt))
+  } else {
+    const scores = scoreDocs(index, terms, new Set(docs.map(doc => doc.id)))
+    ranked = [...scores.entries()]
+      .map(([id, score]) => ({ doc: index.docs[id], score }))
+      .sort((a, b) => b.score - a.score || b.doc.createdAt.localeCompare(a.doc.createdAt))
+  }
+
+  const results = ranked.slice(0, limit).map(({ doc, score }) => ({
+    folder: doc.folder,
+    path: doc.path,
+    project: doc.project,
+    title: doc.title,
+    keywords: doc.keywords,
+    createdAt: doc.createdAt,
+    published: doc.published,
+    publishedTo: doc.publishedTo,
+    wordCount: doc.wordCount,
+    score: score === null ? null : Math.round(score * 100) / 100,
+    snippet: terms.length > 0 ? buildSnippet(doc.path, terms) : ''
+  }))
+
+  return { total: ranked.length, indexed: Object.keys(index.docs).length, terms, results }
+}
+
+/**
+ * Indexed articles of a project, refreshing the index first
+ * @param {string} [project] - Project slug (default: all projects)
+ * @returns {Array<object>} Index entries (folder, path, title, keywords, published, minhash...)
+ */
+export function listIndexedContent(project) {
+  const docs = Object.values(updateSearchIndex().index.docs)
+  return project ? docs.filter(doc => doc.project === project) : docs
+}
+
+/**
+ * Find saved articles in the active project that overlap an article
+ * @param {{ content: string, keywords?: string[] }} article - Article to check
+ * @param {string|null} [ownFolder] - Folder the article itself is saved in (not a conflict)
+ * @returns {Array<object>} Conflicts from findConflicts, most similar first (empty if the check fails)
+ */
+export function findContentConflicts(article, ownFolder = null) {
+  try {
+    const library = listIndexedContent(projectSlug).filter(doc => doc.path !== ownFolder)
+    return findConflicts({ minhash: minhashSignature(article.content), keywords: article.keywords }, library)
+  } catch (error) {
+    log(`Warning: Duplicate check failed: ${error.message}`)
+    return []
+  }
+}
+
+// ============================================================================
+// Index storage
+// ============================================================================
+
+function readIndex() {
+  const indexPath = getSearchIndexPath()
+  if (fs.existsSync(indexPath)) {
+    try {
+      const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'))
+      if (index.version === INDEX_VERSION && index.docs && index.postings) {
+        return index
+      }
+      log('Search index format changed, rebuilding')
+    } catch (error) {
+      log(`Warning: Search index unreadable, rebuilding: ${error.message}`)
+    }
+  }
+  return { version: INDEX_VERSION, updatedAt: null, docs: {}, postings: {} }
+}
+
+// Changes whenever article.md or metadata.json is written; null if there is no article
+function folderSignature(folderPath) {
+  const articleStat = statOrNull(path.join(folderPath, 'article.md'))
+  if (!articleStat) return null
+  const metadataStat = statOrNull(path.join(folderPath, 'metadata.json'))
+  return [articleStat.mtimeMs, articleStat.size, metadataStat?.mtimeMs ?? 0, metadataStat?.size ?? 0].join(':')
+}
+
+function statOrNull(filePath) {
+  try {
+    return fs.statSync(filePath)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read a content folder into an index document with weighted term frequencies
+ */
+function indexFolder(folderPath, folderName, workspace) {
+  const articlePath = path.join(folderPath, 'article.md')
+  const article = fs.readFileSync(articlePath, 'utf-8')
+
+  let metadata = {}
+  const metadataPath = path.join(folderPath, 'metadata.json')
+  if (fs.existsSync(metadataPath)) {
+    try {
+      metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'))
+    } catch (error) {
+      log(`Warning: Failed to parse ${metadataPath}: ${error.message}`)
+    }
+  }
+
+  const title = metadata.title || folderName.replace(/^\d{4}-\d{2}-\d{2}-/, '')
+  const keywords = Array.isArray(metadata.keywords) ? metadata.keywords : []
+  const folderDate = folderName.match(/^\d{4}-\d{2}-\d{2}/)?.[0]
+
+  const tf = {}
+  const addTerms = (text, weight) => {
+    for (const term of tokenize(text)) tf[term] = (tf[term] || 0) + weight
+  }
+  addTerms(title, TITLE_WEIGHT)
+  addTerms(keywords.join(' '), KEYWORD_WEIGHT)
+  addTerms(toPlainText(article), 1)
+
+  return {
+    folder: folderName,
+    path: folderPath,
+    project: metadata.projectSlug || workspace,
+    title,
+    keywords,
+    createdAt: metadata.createdAt || (folderDate ? new Date(folderDate).toISOString() : fs.statSync(articlePath).mtime.toISOString()),
+    published: metadata.published === true,
+    publishedTo: metadata.publishedTo || [],
+    publishedAt: metadata.publishedAt || null,
+    wordCount: metadata.wordCount || 0,
+    minhash: minhashSignature(article),
+    length: Object.values(tf).reduce((sum, n) => sum + n, 0),
+    tf
+  }
+}
+
+function addDoc(index, doc) {
+  index.docs[doc.id] = doc
+  for (const [term, count] of Object.entries(doc.tf)) {
+    (index.postings[term] ||= {})[doc.id] = count
+  }
+}
+
+function removeDoc(index, id) {
+  for (const term of Object.keys(index.docs[id].tf)) {
+    delete index.postings[term]?.[id]
+    if (index.postings[term] && Object.keys(index.postings[term]).length === 0) {
+      delete index.postings[term]
+    }
+  }
+  delete index.docs[id]
+}
+
+// ============================================================================
+// Ranking and snippets
+// ============================================================================
+
+/**
+ * BM25 scores of the candidate documents containing any of the terms
+ * @returns {Map<string, number>} Document id to score
+ */
+function scoreDocs(index, terms, candidates) {
+  const docs = Object.values(index.docs)
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1)
+  const scores = new Map()
+
+  for (const term of terms) {
+    const postings = index.postings[term]
+    if (!postings) continue
+
+    const matching = Object.keys(postings).length
+    const idf = Math.log(1 + (docs.length - matching + 0.5) / (matching + 0.5))
+
+    for (const [id, tf] of Object.entries(postings)) {
+      if (!candidates.has(id)) continue
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * index.docs[id].length / avgLength)
+      scores.set(id, (scores.get(id) || 0) + idf * (tf * (BM25_K1 + 1)) / norm)
+    }
+  }
+
+  return scores
+}
+
+/**
+ * Text around the first match in the article, with matched words in bold
+ */
+function buildSnippet(folderPath, terms) {
+  let text
+  try {
+    text = toPlainText(fs.readFileSync(path.join(folderPath, 'article.md'), 'utf-8')).replace(/\s+/g, ' ').trim()
+  } catch {
+    return ''
+  }
+
+  const wanted = new Set(terms)
+  const matches = [...text.matchAll(WORD)]
+    .filter(match => wanted.has(stem(match[0].toLowerCase())))
+  if (matches.length === 0) {
+    return text.slice(0, SNIPPET_AFTER).replace(/\s\S*$/, '') + (text.length > SNIPPET_AFTER ? '…' : '')
+  }
+
+  // Widen to word boundaries so the snippet never starts or ends mid-word
+  let start = Math.max(0, matches[0].index - SNIPPET_BEFORE)
+  let end = Math.min(text.length, matches[0].index + SNIPPET_AFTER)
+  if (start > 0) start = Math.min(text.indexOf(' ', start) + 1, matches[0].index)
+  if (end < text.length) end = Math.max(text.lastIndexOf(' ', end), matches[0].index + matches[0][0].length)
+
+  let snippet = ''
+  let cursor = start
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length
+    if (match.index < start) continue
+    if (matchEnd > end) break
+    snippet += `${text.slice(cursor, match.index)}**${match[0]}**`
+    cursor = matchEnd
+  }
+  snippet += text.slice(cursor, end)
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`
+}
+
+// Light plural stripping: "categories" → "category", "boxes" → "box", "grinders" → "grinder"
+function stem(word) {
+  if (word.length <= 3) return word
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`
+  if (/(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2)
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1)
+  return word
+}
+
+function parseDate(value, field) {
+  if (!value) return null
+  const time = new Date(value).getTime()
+  if (isNaN(time)) {
+    throw new SuparankError(ERROR_CODES.INVALID_ARGUMENTS, `Invalid ${field} date: "${value}" (use YYYY-MM-DD)`, { fields: [field] })
+  }
+  return time
+}
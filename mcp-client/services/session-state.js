@@ -7,11 +7,12 @@
 import * as fs from 'fs'
 import {
   getSessionFilePath,
-  ensureSuparankDir,
+  ensureWorkspaceDir,
   atomicWriteSync
 } from '../utils/paths.js'
 import { log, progress } from '../utils/logging.js'
 import { SESSION_EXPIRY_MS } from '../config.js'
+import { events, SESSION_SAVED } from './events.js'
 
 // Session state object
 export const sessionState = {
@@ -59,6 +60,20 @@ export function releaseSessionLock() {
   }
 }
 
+/**
+ * Run a function while holding the session lock
+ * @param {Function} fn - Reads or updates session state; may be async
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withSessionLock(fn) {
+  await acquireSessionLock()
+  try {
+    return await fn()
+  } finally {
+    releaseSessionLock()
+  }
+}
+
 /**
  * Generate a unique article ID
  * @returns {string} Unique ID
@@ -85,7 +100,7 @@ export function isSessionExpired(savedAt) {
  */
 export function saveSession() {
   try {
-    ensureSuparankDir()
+    ensureWorkspaceDir()
     const sessionFile = getSessionFilePath()
 
     const toSave = {
@@ -106,6 +121,7 @@ export function saveSession() {
 
     atomicWriteSync(sessionFile, JSON.stringify(toSave, null, 2))
     progress('Session', `Saved to ${sessionFile} (${sessionState.articles.length} articles)`)
+    events.emit(SESSION_SAVED)
   } catch (error) {
     log(`Warning: Failed to save session: ${error.message}`)
     progress('Session', `FAILED to save: ${error.message}`)
@@ -185,6 +201,46 @@ export function resetSession() {
   sessionState.contentFolder = null
 }
 
+/**
+ * Select the articles publish_content would publish
+ * @param {number[]} [articleNumbers] - 1-based article numbers (default: all unpublished)
+ * @returns {object[]} Unpublished articles; falls back to the current working
+ *   article (id 'current') when no numbers are given and nothing is saved
+ */
+export function getArticlesToPublish(articleNumbers = []) {
+  if (articleNumbers.length > 0) {
+    return articleNumbers
+      .map(num => sessionState.articles[num - 1])
+      .filter(art => art && !art.published)
+  }
+
+  const unpublished = sessionState.articles.filter(art => !art.published)
+  if (unpublished.length > 0 || !sessionState.article || !sessionState.title) {
+    return unpublished
+  }
+
+  return [{
+    id: 'current',
+    title: sessionState.title,
+    content: sessionState.article,
+    keywords: sessionState.keywords || [],
+    metaDescription: sessionState.metaDescription || '',
+    imageUrl: sessionState.imageUrl,
+    inlineImages: sessionState.inlineImages
+  }]
+}
+
+/**
+ * Folder an article is saved in
+ * @param {object} article - Session article, or the current working article from getArticlesToPublish
+ * @returns {string|null} Folder path, or null if it was never saved
+ */
+export function getArticleFolder(article) {
+  return article.id === 'current'
+    ? sessionState.contentFolder
+    : article.contentFolder || article.loadedFrom || null
+}
+
 /**
  * Clear session file from disk
  */
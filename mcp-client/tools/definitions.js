@@ -270,6 +270,14 @@ OUTCOME: List of keywords with search volume, difficulty, and recommendations.`,
   }
 ]
 
+// Shared by the tools that count toward the image and live publish limits
+const OVERRIDE_LIMITS_PROPERTY = {
+  override_limits: {
+    type: 'boolean',
+    description: 'Ask the user to approve going over configured limits; they confirm in a prompt (refused in clients without confirmation prompts). Only set when the user asks to go over a limit.'
+  }
+}
+
 // Action tools that require local credentials
 export const ACTION_TOOLS = [
   {
@@ -307,7 +315,8 @@ OUTCOME: AI-generated image URL ready for use.`,
           enum: ['1:1', '16:9', '9:16', '4:3', '3:4'],
           description: 'Image aspect ratio',
           default: '16:9'
-        }
+        },
+        ...OVERRIDE_LIMITS_PROPERTY
       },
       required: ['prompt']
     },
@@ -333,6 +342,7 @@ OUTCOME: AI-generated image URL ready for use.`,
           description: 'Publication status',
           default: 'draft'
         },
+        ...OVERRIDE_LIMITS_PROPERTY,
         categories: {
           type: 'array',
           items: { type: 'string' },
@@ -372,6 +382,7 @@ OUTCOME: AI-generated image URL ready for use.`,
           description: 'Publication status',
           default: 'draft'
         },
+        ...OVERRIDE_LIMITS_PROPERTY,
         tags: {
           type: 'array',
           items: { type: 'string' },
@@ -443,6 +454,10 @@ WORKFLOW (automatic 4-phase):
 3. OPTIMIZATION: Quality check, GEO optimization
 4. PUBLISHING: Generate images, publish all to CMS
 
+MODES:
+- guided (default): you execute each step and call save_content
+- autonomous: the server executes steps via sampling and saves articles itself; you only generate images and publish
+
 OUTCOME: Complete article(s) written, optimized, and published to CMS.`,
     inputSchema: {
       type: 'object',
@@ -466,6 +481,21 @@ OUTCOME: Complete article(s) written, optimized, and published to CMS.`,
           type: 'boolean',
           description: 'Generate hero images (default: true)',
           default: true
+        },
+        mode: {
+          type: 'string',
+          enum: ['guided', 'autonomous'],
+          description: 'guided (default): returns step-by-step instructions for you to follow. autonomous: the server runs the research, writing and review steps itself via MCP sampling and saves the article(s); falls back to guided if the client does not support sampling',
+          default: 'guided'
+        },
+        content_type: {
+          type: 'string',
+          enum: ['guide', 'listicle', 'how-to', 'comparison', 'review'],
+          description: 'Type of content (optional). Shapes the outline, required elements (comparison tables, pros/cons, numbered steps, verdict box), image placement and quality checks. Omit to let the SEO strategy step recommend one'
+        },
+        template: {
+          type: 'string',
+          description: 'Name of a workflow template in ~/.suparank/workflows (file name without .json/.yaml). Replaces the built-in steps with the template\'s pipeline. Omit for the default workflow'
         }
       }
     }
@@ -522,6 +552,8 @@ NOTE: create_content publishes automatically. Use this for:
 - Re-publishing edited content
 - Publishing specific articles from session
 
+Each article is checked again for overlaps with saved content before publishing; conflicting folders are listed in the result.
+
 OUTCOME: Article published to configured CMS platforms.`,
     inputSchema: {
       type: 'object',
@@ -538,6 +570,7 @@ OUTCOME: Article published to configured CMS platforms.`,
           description: 'Publication status',
           default: 'draft'
         },
+        ...OVERRIDE_LIMITS_PROPERTY,
         category: {
           type: 'string',
           description: 'WordPress category name - pick the most relevant one from available categories shown in save_content response'
@@ -567,6 +600,48 @@ OUTCOME: List of all articles in session with their publish status.`,
       properties: {}
     }
   },
+  {
+    name: 'complete_step',
+    description: `Record the output of a create_content workflow step and get the next step.
+
+Call after finishing each research, planning or review step (keyword_research, seo_strategy, topical_map, content_calendar, content_planning, quality_check, geo_optimize, generate_images). Writing steps are completed by save_content, publishing by publish_content.
+
+OUTCOME: Output saved in the session under the step's key; returns the next step's instruction with earlier results filled in.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        output: {
+          type: 'string',
+          description: 'The step deliverable (keywords, brief, outline, calendar, report...) in markdown'
+        },
+        step: {
+          type: 'integer',
+          description: 'Step number to complete (default: the current step)'
+        }
+      },
+      required: ['output']
+    }
+  },
+  {
+    name: 'next_step',
+    description: `Show the instruction for the current create_content workflow step, with the outputs of earlier steps filled in.
+
+TRIGGERS - Use when:
+- continuing a workflow after a break
+- "what's next?"
+- you are unsure which step you are on
+
+OUTCOME: The step instruction and how to complete it. Does not change the session.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        step: {
+          type: 'integer',
+          description: 'Step number to show (default: the first unfinished step)'
+        }
+      }
+    }
+  },
   {
     name: 'remove_article',
     description: `Remove article(s) from session. Does NOT delete published content.
@@ -601,7 +676,7 @@ TRIGGERS - Use when user says:
 - "reset everything"
 - "clear all content"
 
-WARNING: Requires confirm: true. Does NOT affect already-published content.
+WARNING: Requires confirm: true (clients that support elicitation ask the user directly instead). Does NOT affect already-published content.
 
 OUTCOME: Empty session, ready for new content creation.`,
     inputSchema: {
@@ -609,10 +684,9 @@ OUTCOME: Empty session, ready for new content creation.`,
       properties: {
         confirm: {
           type: 'boolean',
-          description: 'Must be true to confirm clearing all content'
+          description: 'Must be true to confirm clearing all content (not needed when the client asks the user directly)'
         }
-      },
-      required: ['confirm']
+      }
     }
   },
   {
@@ -640,6 +714,88 @@ OUTCOME: List of saved article folders with titles and dates.`,
       }
     }
   },
+  {
+    name: 'search_content',
+    description: `Full-text search across ALL saved content on disk (every project, not just the 20 most recent folders).
+
+TRIGGERS - Use when user says:
+- "find my article about..."
+- "did we already write about..."
+- "search my content for..."
+- "which articles mention..."
+- "show unpublished articles from last month"
+
+Ranks articles by relevance (title and keywords weigh more than body text) and shows a snippet around the first match. Without a query, lists every article matching the filters, newest first.
+
+OUTCOME: Ranked list of content folders with snippets, ready for load_content.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Words to search for in titles, keywords and article text'
+        },
+        project: {
+          type: 'string',
+          description: 'Only articles from this project slug'
+        },
+        since: {
+          type: 'string',
+          description: 'Only articles created on or after this date (YYYY-MM-DD)'
+        },
+        until: {
+          type: 'string',
+          description: 'Only articles created on or before this date (YYYY-MM-DD)'
+        },
+        keyword: {
+          type: 'string',
+          description: 'Only articles whose target keywords contain this text'
+        },
+        published: {
+          type: 'boolean',
+          description: 'true for published articles only, false for unpublished only'
+        },
+        limit: {
+          type: 'number',
+          description: 'Max number of results (default: 10)',
+          default: 10
+        }
+      }
+    }
+  },
+  {
+    name: 'find_duplicates',
+    description: `Check the saved content library for near-duplicate articles and keyword cannibalization.
+
+TRIGGERS - Use when user says:
+- "do any of my articles overlap?"
+- "check for duplicate content"
+- "are my articles competing for the same keyword?"
+- "find keyword cannibalization"
+
+Compares every saved article of the project: text similarity (MinHash over word shingles) and keyword overlap (same primary keyword, or mostly the same keywords). save_content and publish_content run the same check for each article.
+
+OUTCOME: Conflicting article pairs with folder names and the reason, to fix before publishing.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: {
+          type: 'string',
+          description: 'Project slug to check (default: active project)'
+        },
+        threshold: {
+          type: 'number',
+          description: 'Text similarity (0-1) at which articles count as near-duplicates (default: 0.4)',
+          default: 0.4
+        },
+        limit: {
+          type: 'number',
+          description: 'Max number of conflicts to show (default: 50)',
+          default: 50
+        }
+      }
+    }
+  },
   {
     name: 'load_content',
     description: `Load a saved article back into session for editing or re-publishing.
@@ -664,11 +820,90 @@ OUTCOME: Article loaded into session, ready for optimization or re-publishing.`,
       },
       required: ['folder_name']
     }
+  },
+  {
+    name: 'resume_workflow',
+    description: `Resume an interrupted create_content workflow from a saved content folder (e.g. after the 24h session expiry).
+
+TRIGGERS - Use when user says:
+- "continue where I left off"
+- "resume my workflow"
+- "pick up the article we were working on"
+
+WORKFLOW: Run list_content first to find the folder, then resume by folder name.
+
+OUTCOME: Workflow plan, step results and article restored to the session; reports the last completed step and returns the next one.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        folder_name: {
+          type: 'string',
+          description: 'Folder name from list_content (e.g., "2026-01-09-my-article-title")'
+        }
+      },
+      required: ['folder_name']
+    }
+  },
+  {
+    name: 'refresh_project',
+    description: `Reload project settings from the dashboard without restarting.
+
+TRIGGERS - Use when user says:
+- "I changed my project settings"
+- "reload project settings"
+- "refresh the word count / brand voice / keywords"
+- "sync with dashboard"
+
+OUTCOME: Latest project config is active. Reports which workflow settings (word count, reading level, brand voice, keywords...) changed.`,
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'list_projects',
+    description: `List the projects configured in ~/.suparank/config.json and show which one is active.
+
+TRIGGERS - Use when user says:
+- "which projects do I have"
+- "list my sites / clients"
+- "what project am I working on"
+
+OUTCOME: Table of projects with their credentials profile and active status.`,
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'switch_project',
+    description: `Switch the active project. Each project has its own session, content folder and credentials profile.
+
+TRIGGERS - Use when user says:
+- "switch to <client> project"
+- "work on <site> now"
+- "change project to..."
+
+WORKFLOW: Run list_projects first to see available slugs. The current session is saved and the target project's session is restored.
+
+NOTE: On a shared HTTP server all clients share the active project, so switching is refused while other clients are connected.
+
+OUTCOME: Target project active, with its own session and publishing credentials.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_slug: {
+          type: 'string',
+          description: 'Project slug from list_projects'
+        }
+      },
+      required: ['project_slug']
+    }
   }
 ]
 
 /**
- * ALL tools visible in the MCP tool list (23 total)
+ * ALL tools visible in the MCP tool list (31 total)
  * MCP protocol requires tools to be listed for clients to call them
  */
 export const VISIBLE_TOOLS = [
@@ -691,13 +926,21 @@ export const VISIBLE_TOOLS = [
   'publish_ghost',      // Publish to Ghost CMS
   'send_webhook',       // Send to Make.com, n8n, Zapier, Slack
 
-  // Orchestrator Tools (8) - Workflow management
+  // Orchestrator Tools (16) - Workflow management
   'create_content',     // Main entry point - 4-phase workflow
   'save_content',       // Save article to session
   'publish_content',    // Publish saved articles
   'get_session',        // View session status
+  'complete_step',      // Record a workflow step's output
+  'next_step',          // Show the current workflow step
   'remove_article',     // Remove article from session
   'clear_session',      // Clear all session content
   'list_content',       // List saved content from disk
-  'load_content'        // Load past content into session
+  'search_content',     // Search saved content across projects
+  'find_duplicates',    // Find near-duplicates and keyword cannibalization
+  'load_content',       // Load past content into session
+  'resume_workflow',    // Resume a workflow from a content folder
+  'refresh_project',    // Reload project config from dashboard
+  'list_projects',      // List configured projects
+  'switch_project'      // Switch active project
 ]
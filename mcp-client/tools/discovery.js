@@ -6,22 +6,27 @@
  */
 
 import { TOOLS, ACTION_TOOLS, ORCHESTRATOR_TOOLS, VISIBLE_TOOLS } from './definitions.js'
+import { getPluginTools } from './plugins.js'
 import { hasCredential } from '../services/credentials.js'
+import { getOfflineState } from '../services/project.js'
 
 /**
  * Get tools to show in ListToolsRequestSchema
  * Only returns visible tools, with action tools marked as disabled if no credentials
+ * and backend tools marked as unavailable in offline mode
  * @returns {Array} Array of tool definitions for MCP clients
  */
 export function getAvailableTools() {
   const tools = []
+  const offline = getOfflineState() !== null
 
   // Add visible TOOLS (keyword_research only from main tools)
+  // Backend tools are marked unavailable when running from the cached config
   for (const tool of TOOLS) {
     if (VISIBLE_TOOLS.includes(tool.name)) {
       tools.push({
         name: tool.name,
-        description: tool.description,
+        description: offline ? `[UNAVAILABLE - offline mode] ${tool.description}` : tool.description,
         inputSchema: tool.inputSchema
       })
     }
@@ -58,6 +63,18 @@ export function getAvailableTools() {
     }
   }
 
+  // Add plugin tools (always visible, disabled if their credential is missing)
+  for (const tool of getPluginTools()) {
+    const enabled = !tool.requiresCredential || hasCredential(tool.requiresCredential)
+    tools.push({
+      name: tool.name,
+      description: enabled
+        ? tool.description
+        : `[DISABLED - requires ${tool.requiresCredential} credentials] ${tool.description}`,
+      inputSchema: tool.inputSchema
+    })
+  }
+
   return tools
 }
 
@@ -88,6 +105,16 @@ export function getAllTools() {
     })
   }
 
+  // Add plugin tools
+  for (const tool of getPluginTools()) {
+    tools.push({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+      requiresCredential: tool.requiresCredential
+    })
+  }
+
   return tools
 }
 
@@ -109,6 +136,10 @@ export function findTool(name) {
   const actionTool = ACTION_TOOLS.find(t => t.name === name)
   if (actionTool) return { ...actionTool, type: 'action' }
 
+  // Check plugin tools
+  const pluginTool = getPluginTools().find(t => t.name === name)
+  if (pluginTool) return { ...pluginTool, type: 'plugin' }
+
   return null
 }
 
@@ -122,9 +153,9 @@ export function toolExists(name) {
 }
 
 /**
- * Get the tool type (backend, orchestrator, action)
+ * Get the tool type
  * @param {string} name - Tool name
- * @returns {string|null} Tool type or null
+ * @returns {string|null} Tool type (backend, orchestrator, action, plugin) or null
  */
 export function getToolType(name) {
   const tool = findTool(name)
@@ -20,3 +20,12 @@ export {
   toolExists,
   getToolType
 } from './discovery.js'
+
+// Plugin tools from ~/.suparank/plugins
+export { loadPlugins, getPluginTools } from './plugins.js'
+
+// Argument validation
+export {
+  validateToolArguments,
+  formatValidationErrors
+} from './validation.js'
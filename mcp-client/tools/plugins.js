@@ -0,0 +1,106 @@
+/**
+ * Suparank MCP - Plugin Loader
+ *
+ * Loads house-specific tools from ES modules in ~/.suparank/plugins.
+ * Each plugin (a .js/.mjs file, or a folder with index.js) default-exports:
+ *
+ *   export default {
+ *     name: 'internal-cms',
+ *     requiresCredential: 'internal_cms',   // optional key in credentials.json
+ *     tools: [{ name: 'publish_internal_cms', description: '...', inputSchema: { type: 'object', properties: {...} } }],
+ *     async execute(toolName, args, context) { ... }   // context: sessionState, getCredentials, fetchWithRetry, log, progress, signal
+ *   }
+ *
+ * Changes execute makes to context.sessionState are saved when it returns or throws.
+ */
+
+import * as fs from 'fs'
+import * as path from 'path'
+import { pathToFileURL } from 'url'
+import { getPluginsDir } from '../utils/paths.js'
+import { log } from '../utils/logging.js'
+import { TOOLS, ACTION_TOOLS, ORCHESTRATOR_TOOLS } from './definitions.js'
+
+// Loaded plugin tools: { ...definition, plugin, requiresCredential, execute }
+const pluginTools = []
+
+/**
+ * Load all plugins from ~/.suparank/plugins, replacing any loaded before
+ * Invalid plugins are logged and skipped; they never stop the server from starting
+ * @returns {Promise<Array>} Loaded plugin tools
+ */
+export async function loadPlugins() {
+  pluginTools.length = 0
+  const pluginsDir = getPluginsDir()
+  if (!fs.existsSync(pluginsDir)) {
+    return pluginTools
+  }
+
+  for (const entry of fs.readdirSync(pluginsDir, { withFileTypes: true })) {
+    const entryPath = path.join(pluginsDir, entry.name)
+    let modulePath = null
+
+    if (entry.isFile() && /\.m?js$/.test(entry.name)) {
+      modulePath = entryPath
+    } else if (entry.isDirectory() && fs.existsSync(path.join(entryPath, 'index.js'))) {
+      modulePath = path.join(entryPath, 'index.js')
+    }
+    if (!modulePath) continue
+
+    try {
+      const module = await import(pathToFileURL(modulePath).href)
+      registerPlugin(module.default, entry.name)
+    } catch (error) {
+      log(`Warning: Failed to load plugin ${entry.name}: ${error.message}`)
+    }
+  }
+
+  if (pluginTools.length > 0) {
+    log(`Loaded ${pluginTools.length} plugin tool(s): ${pluginTools.map(t => t.name).join(', ')}`)
+  }
+
+  return pluginTools
+}
+
+/**
+ * Get all loaded plugin tools
+ * @returns {Array} Plugin tool definitions
+ */
+export function getPluginTools() {
+  return pluginTools
+}
+
+/**
+ * Validate a plugin and add its tools
+ * @param {object} plugin - Plugin default export
+ * @param {string} source - File or folder name (for messages)
+ * @throws {Error} If the plugin does not have the expected shape
+ */
+function registerPlugin(plugin, source) {
+  if (!plugin || typeof plugin.execute !== 'function' || !Array.isArray(plugin.tools)) {
+    throw new Error('default export must be an object with a tools array and an execute function')
+  }
+
+  const pluginName = plugin.name || source
+  const builtInNames = [...TOOLS, ...ACTION_TOOLS, ...ORCHESTRATOR_TOOLS].map(t => t.name)
+
+  for (const tool of plugin.tools) {
+    if (!tool?.name || tool.inputSchema?.type !== 'object') {
+      log(`Warning: Plugin ${pluginName} has a tool without a name or object inputSchema - skipped`)
+      continue
+    }
+    if (builtInNames.includes(tool.name) || pluginTools.some(t => t.name === tool.name)) {
+      log(`Warning: Plugin ${pluginName} tool "${tool.name}" conflicts with an existing tool - skipped`)
+      continue
+    }
+
+    pluginTools.push({
+      name: tool.name,
+      description: tool.description || `${tool.name} (plugin: ${pluginName})`,
+      inputSchema: tool.inputSchema,
+      requiresCredential: tool.requiresCredential || plugin.requiresCredential || null,
+      plugin: pluginName,
+      execute: (args, context) => plugin.execute(tool.name, args, context)
+    })
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Suparank MCP - Tool Argument Validation
+ *
+ * Validates tool call arguments against the JSON Schema subset used by the
+ * inputSchema declarations in definitions.js (type, enum, required, items)
+ */
+
+/**
+ * Validate tool arguments against a tool's inputSchema
+ * @param {object} inputSchema - Tool inputSchema (type: 'object')
+ * @param {object} args - Arguments from the tool call
+ * @returns {Array<{ field: string, message: string }>} Validation errors (empty if valid)
+ */
+export function validateToolArguments(inputSchema, args) {
+  if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+    return [{ field: '(arguments)', message: 'must be an object' }]
+  }
+
+  const errors = []
+  const properties = inputSchema?.properties || {}
+
+  for (const field of inputSchema?.required || []) {
+    if (args[field] === undefined || args[field] === null) {
+      errors.push({ field, message: 'is required' })
+    }
+  }
+
+  for (const [field, value] of Object.entries(args)) {
+    const schema = properties[field]
+    if (!schema || value === undefined) continue
+    errors.push(...validateValue(field, value, schema))
+  }
+
+  return errors
+}
+
+/**
+ * Format validation errors as a readable list
+ * @param {string} toolName - Tool name
+ * @param {Array<{ field: string, message: string }>} errors - Validation errors
+ * @returns {string} Markdown-formatted error message
+ */
+export function formatValidationErrors(toolName, errors) {
+  return `Invalid arguments for ${toolName}:\n${errors.map(e => `- \`${e.field}\` ${e.message}`).join('\n')}`
+}
+
+/**
+ * Validate a single value against a property schema
+ * @param {string} field - Field path for error messages
+ * @param {any} value - Value to check
+ * @param {object} schema - Property schema
+ * @returns {Array<{ field: string, message: string }>} Validation errors
+ */
+function validateValue(field, value, schema) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ field, message: `must be of type ${schema.type} (got ${describeType(value)})` }]
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, message: `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})` }]
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return value.flatMap((item, i) => validateValue(`${field}[${i}]`, item, schema.items))
+  }
+
+  return []
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string'
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+    case 'integer':
+      return Number.isInteger(value)
+    case 'boolean':
+      return typeof value === 'boolean'
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+    default:
+      return true
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
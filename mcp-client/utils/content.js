@@ -14,6 +14,8 @@ import {
   slugify
 } from './paths.js'
 import { sessionState } from '../services/session-state.js'
+import { events, CONTENT_SAVED } from '../services/events.js'
+import { countWords } from '../analysis/word-count.js'
 import { projectSlug } from '../config.js'
 
 /**
@@ -49,6 +51,7 @@ export function saveContentToFolder() {
     )
 
     // Save metadata
+    const wordCounts = countWords(sessionState.article)
     const metadata = {
       title: sessionState.title,
       keywords: sessionState.keywords || [],
@@ -56,7 +59,10 @@ export function saveContentToFolder() {
       metaTitle: sessionState.metaTitle || sessionState.title,
       imageUrl: sessionState.imageUrl,
       inlineImages: sessionState.inlineImages || [],
-      wordCount: sessionState.article.split(/\s+/).length,
+      wordCount: wordCounts.total,
+      wordCounts,
+      published: false,
+      publishedTo: [],
       createdAt: new Date().toISOString(),
       projectSlug: projectSlug
     }
@@ -65,22 +71,16 @@ export function saveContentToFolder() {
       JSON.stringify(metadata, null, 2)
     )
 
-    // Save workflow state for resuming
-    if (sessionState.currentWorkflow) {
-      atomicWriteSync(
-        path.join(folderPath, 'workflow.json'),
-        JSON.stringify({
-          workflow: sessionState.currentWorkflow,
-          stepResults: sessionState.stepResults,
-          savedAt: new Date().toISOString()
-        }, null, 2)
-      )
+    // Save workflow state for resuming; it moves here from the workflow-only folder
+    if (saveWorkflowToFolder(folderPath) && sessionState.contentFolder !== folderPath) {
+      removeWorkflowOnlyFolder(sessionState.contentFolder)
     }
 
     // Store folder path in session
     sessionState.contentFolder = folderPath
 
     progress('Content', `Saved to folder: ${folderPath}`)
+    events.emit(CONTENT_SAVED, { folderName, folderPath })
     return folderPath
   } catch (error) {
     log(`Warning: Failed to save content to folder: ${error.message}`)
@@ -88,6 +88,107 @@ export function saveContentToFolder() {
   }
 }
 
+/**
+ * Give a new workflow a content folder holding only workflow.json, so
+ * resume_workflow can pick it up even if it stops before the first save_content
+ * The first saved article takes the workflow over to its own folder
+ * @returns {string|null} Folder path on success, null on failure
+ */
+export function createWorkflowFolder() {
+  const workflow = sessionState.currentWorkflow
+  if (!workflow) {
+    return null
+  }
+
+  try {
+    ensureContentDir()
+
+    // YYYY-MM-DD-workflow-<id>, e.g. 2026-01-09-workflow-wf-1767950000000
+    const date = new Date().toISOString().split('T')[0]
+    const folderPath = getContentFolderSafe(`${date}-workflow-${slugify(workflow.workflow_id)}`)
+    fs.mkdirSync(folderPath, { recursive: true })
+
+    sessionState.contentFolder = folderPath
+    return saveWorkflowToFolder(folderPath) ? folderPath : null
+  } catch (error) {
+    log(`Warning: Failed to create workflow folder: ${error.message}`)
+    return null
+  }
+}
+
+/**
+ * Write the active workflow and step results to workflow.json, so
+ * resume_workflow can pick it up after the session expires
+ * @param {string} [folderPath] - Content folder (default: the session's current folder)
+ * @returns {boolean} True if written
+ */
+export function saveWorkflowToFolder(folderPath = sessionState.contentFolder) {
+  if (!sessionState.currentWorkflow || !folderPath || !fs.existsSync(folderPath)) {
+    return false
+  }
+
+  try {
+    atomicWriteSync(
+      path.join(folderPath, 'workflow.json'),
+      JSON.stringify({
+        workflow: sessionState.currentWorkflow,
+        stepResults: sessionState.stepResults,
+        savedAt: new Date().toISOString()
+      }, null, 2)
+    )
+    return true
+  } catch (error) {
+    log(`Warning: Failed to save workflow state: ${error.message}`)
+    return false
+  }
+}
+
+/**
+ * Delete a folder made by createWorkflowFolder once its workflow has moved to
+ * an article folder or been replaced (a new create_content, or clear_session)
+ * Folders holding anything besides workflow.json, such as an article, are kept
+ * @param {string|null} folderPath - Content folder
+ */
+export function removeWorkflowOnlyFolder(folderPath) {
+  try {
+    if (folderPath && fs.existsSync(folderPath) && fs.readdirSync(folderPath).every(file => file === 'workflow.json')) {
+      fs.rmSync(folderPath, { recursive: true, force: true })
+    }
+  } catch (error) {
+    log(`Warning: Failed to remove workflow folder: ${error.message}`)
+  }
+}
+
+/**
+ * Record a successful publish in a content folder's metadata.json,
+ * so list and search tools can tell published articles apart
+ * @param {string} folderPath - Content folder of the article
+ * @param {object} publish - Publish details
+ * @param {string[]} publish.publishedTo - Platforms published to (e.g. ['ghost'])
+ * @param {string} publish.publishedAt - ISO timestamp
+ * @returns {boolean} True if written
+ */
+export function markFolderPublished(folderPath, { publishedTo, publishedAt }) {
+  const metadataPath = folderPath && path.join(folderPath, 'metadata.json')
+  if (!metadataPath || !fs.existsSync(metadataPath)) {
+    return false
+  }
+
+  try {
+    const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'))
+    atomicWriteSync(metadataPath, JSON.stringify({
+      ...metadata,
+      published: true,
+      publishedTo: [...new Set([...(metadata.publishedTo || []), ...publishedTo])],
+      publishedAt
+    }, null, 2))
+    return true
+  } catch (error) {
+    log(`Warning: Failed to update metadata.json: ${error.message}`)
+    return false
+  }
+}
+
 /**
  * Extract image prompts from article content
  * Looks for [IMAGE: description] placeholders
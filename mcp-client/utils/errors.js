@@ -0,0 +1,105 @@
+/**
+ * Suparank MCP - Error Utilities
+ *
+ * Shared error model so every failure reaches the client as an MCP
+ * `isError` result with a machine-readable code agents can branch on
+ */
+
+// Error codes returned in structuredContent.error.code
+export const ERROR_CODES = {
+  INVALID_ARGUMENTS: 'INVALID_ARGUMENTS',
+  UNKNOWN_TOOL: 'UNKNOWN_TOOL',
+  CONFIG_INCOMPLETE: 'CONFIG_INCOMPLETE',
+  CREDENTIAL_MISSING: 'CREDENTIAL_MISSING',
+  PLATFORM_AUTH: 'PLATFORM_AUTH',
+  PLATFORM_NOT_FOUND: 'PLATFORM_NOT_FOUND',
+  PLATFORM_ERROR: 'PLATFORM_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  LIMIT_EXCEEDED: 'LIMIT_EXCEEDED',
+  CONFLICT: 'CONFLICT',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  CANCELLED: 'CANCELLED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+}
+
+// Failures worth retrying as-is later
+const RETRYABLE_CODES = [
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.NETWORK_ERROR
+]
+
+/**
+ * Error carrying a Suparank error code and optional details
+ */
+export class SuparankError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human-readable message
+   * @param {object} [details] - Extra machine-readable context (platform, status, fields...)
+   */
+  constructor(code, message, details = {}) {
+    super(message)
+    this.name = 'SuparankError'
+    this.code = code
+    this.details = details
+  }
+}
+
+/**
+ * Build an error for a failed HTTP response from an external platform
+ * @param {string} platform - Platform name (wordpress, ghost, suparank, fal...)
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {SuparankError} Error with a code derived from the status
+ */
+export function platformError(platform, status, message) {
+  let code = ERROR_CODES.PLATFORM_ERROR
+  if (status === 401 || status === 403) {
+    code = ERROR_CODES.PLATFORM_AUTH
+  } else if (status === 404) {
+    code = ERROR_CODES.PLATFORM_NOT_FOUND
+  } else if (status === 429) {
+    code = ERROR_CODES.RATE_LIMITED
+  }
+
+  return new SuparankError(code, message, { platform, status })
+}
+
+/**
+ * Get the error code for any thrown value
+ * @param {any} error - Thrown value
+ * @returns {string} Error code (INTERNAL_ERROR for plain errors)
+ */
+export function getErrorCode(error) {
+  return error instanceof SuparankError ? error.code : ERROR_CODES.INTERNAL_ERROR
+}
+
+/**
+ * Convert a thrown error into an MCP tool result
+ * @param {any} error - Thrown value
+ * @param {string} toolName - Tool that failed
+ * @returns {object} MCP result with isError and structuredContent
+ */
+export function toErrorResult(error, toolName) {
+  const code = getErrorCode(error)
+  const message = error?.message || String(error)
+
+  return {
+    content: [{
+      type: 'text',
+      text: `Error executing ${toolName} [${code}]: ${message}`
+    }],
+    structuredContent: {
+      error: {
+        code,
+        message,
+        tool: toolName,
+        retryable: RETRYABLE_CODES.includes(code),
+        ...(error instanceof SuparankError ? { details: error.details } : {})
+      }
+    },
+    isError: true
+  }
+}
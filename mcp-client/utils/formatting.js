@@ -69,3 +69,19 @@ export function slugify(str) {
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/^-|-$/g, '')
 }
+
+/**
+ * Format the time elapsed since a timestamp
+ * @param {string|number|Date} timestamp - Past timestamp
+ * @returns {string} Human-readable age (e.g., "3h 12m ago")
+ */
+export function formatAge(timestamp) {
+  const minutes = Math.max(0, Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000))
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes}m ago`
+
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours}h ${minutes % 60}m ago`
+
+  return `${Math.floor(hours / 24)}d ${hours % 24}h ago`
+}
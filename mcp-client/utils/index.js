@@ -8,3 +8,4 @@ export * from './logging.js'
 export * from './paths.js'
 export * from './formatting.js'
 export * from './content.js'
+export * from './errors.js'
@@ -4,6 +4,8 @@
  * Standardized logging to stderr (stdout is for MCP protocol)
  */
 
+import { notifyProgress } from '../services/request-context.js'
+
 /**
  * Log message to stderr with [suparank] prefix
  * @param {...any} args - Arguments to log
@@ -14,11 +16,17 @@ export function log(...args) {
 
 /**
  * Structured progress logging for user visibility
+ * Also sent to the client as notifications/progress when the current
+ * request carries a progressToken
  * @param {string} step - Current step name
  * @param {string} message - Progress message
+ * @param {object} [counts] - Optional progress counts
+ * @param {number} [counts.current] - Units completed so far
+ * @param {number} [counts.total] - Total units
  */
-export function progress(step, message) {
+export function progress(step, message, { current, total } = {}) {
   console.error(`[suparank] ${step}: ${message}`)
+  notifyProgress(`${step}: ${message}`, current, total)
 }
 
 /**
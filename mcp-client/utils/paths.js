@@ -7,6 +7,8 @@
 import * as fs from 'fs'
 import * as path from 'path'
 import * as os from 'os'
+import { SuparankError, ERROR_CODES } from './errors.js'
+import { projectSlug, defaultProjectSlug } from '../config.js'
 
 /**
  * Get the Suparank configuration directory
@@ -17,19 +19,60 @@ export function getSuparankDir() {
 }
 
 /**
- * Get the content storage directory
- * @returns {string} Path to ~/.suparank/content
+ * Get the workspace directory for the active project
+ * The default project keeps the original layout; other projects get their own
+ * session and content under ~/.suparank/workspaces/<slug>
+ * @returns {string} Path to ~/.suparank or ~/.suparank/workspaces/<slug>
+ */
+export function getWorkspaceDir() {
+  if (!projectSlug || projectSlug === defaultProjectSlug) {
+    return getSuparankDir()
+  }
+  return sanitizePath(projectSlug, path.join(getSuparankDir(), 'workspaces'))
+}
+
+/**
+ * Get the content storage directory for the active project
+ * @returns {string} Path to <workspace>/content
  */
 export function getContentDir() {
-  return path.join(getSuparankDir(), 'content')
+  return path.join(getWorkspaceDir(), 'content')
+}
+
+/**
+ * List the content directories of every project on this machine
+ * @returns {Array<{ dir: string, workspace: string|null }>} Existing content directories;
+ *   workspace is the workspace slug, or null for the default ~/.suparank/content
+ */
+export function listContentDirs() {
+  const dirs = [{ dir: path.join(getSuparankDir(), 'content'), workspace: null }]
+
+  const workspacesDir = path.join(getSuparankDir(), 'workspaces')
+  if (fs.existsSync(workspacesDir)) {
+    for (const entry of fs.readdirSync(workspacesDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        dirs.push({ dir: path.join(workspacesDir, entry.name, 'content'), workspace: entry.name })
+      }
+    }
+  }
+
+  return dirs.filter(({ dir }) => fs.existsSync(dir))
 }
 
 /**
- * Get session file path
- * @returns {string} Path to ~/.suparank/session.json
+ * Get session file path for the active project
+ * @returns {string} Path to <workspace>/session.json
  */
 export function getSessionFilePath() {
-  return path.join(getSuparankDir(), 'session.json')
+  return path.join(getWorkspaceDir(), 'session.json')
+}
+
+/**
+ * Get config file path
+ * @returns {string} Path to ~/.suparank/config.json
+ */
+export function getConfigFilePath() {
+  return path.join(getSuparankDir(), 'config.json')
 }
 
 /**
@@ -48,6 +91,55 @@ export function getStatsFilePath() {
   return path.join(getSuparankDir(), 'stats.json')
 }
 
+/**
+ * Get the local plugins directory
+ * @returns {string} Path to ~/.suparank/plugins
+ */
+export function getPluginsDir() {
+  return path.join(getSuparankDir(), 'plugins')
+}
+
+/**
+ * Get the workflow templates directory
+ * @returns {string} Path to ~/.suparank/workflows
+ */
+export function getWorkflowsDir() {
+  return path.join(getSuparankDir(), 'workflows')
+}
+
+/**
+ * Get daily usage file path (guardrail counters)
+ * @returns {string} Path to ~/.suparank/usage.json
+ */
+export function getUsageFilePath() {
+  return path.join(getSuparankDir(), 'usage.json')
+}
+
+/**
+ * Get the local content search index path
+ * @returns {string} Path to ~/.suparank/search-index.json
+ */
+export function getSearchIndexPath() {
+  return path.join(getSuparankDir(), 'search-index.json')
+}
+
+/**
+ * Get audit log file path
+ * @returns {string} Path to ~/.suparank/logs/audit.jsonl
+ */
+export function getAuditLogPath() {
+  return path.join(getSuparankDir(), 'logs', 'audit.jsonl')
+}
+
+/**
+ * Get the cached project config path
+ * @param {string} slug - Project slug
+ * @returns {string} Path to ~/.suparank/projects/<slug>.json
+ */
+export function getProjectCachePath(slug) {
+  return sanitizePath(`${slug}.json`, path.join(getSuparankDir(), 'projects'))
+}
+
 /**
  * Ensure the Suparank directory exists
  */
@@ -58,6 +150,16 @@ export function ensureSuparankDir() {
   }
 }
 
+/**
+ * Ensure the active project's workspace directory exists
+ */
+export function ensureWorkspaceDir() {
+  const dir = getWorkspaceDir()
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true })
+  }
+}
+
 /**
  * Ensure the content directory exists
  */
@@ -87,7 +189,7 @@ export function sanitizePath(userPath, allowedBase) {
   const normalizedResolved = path.normalize(resolved + path.sep)
 
   if (!normalizedResolved.startsWith(normalizedBase)) {
-    throw new Error(`Path traversal detected: "${userPath}" would escape allowed directory`)
+    throw new SuparankError(ERROR_CODES.INVALID_ARGUMENTS, `Path traversal detected: "${userPath}" would escape allowed directory`)
   }
 
   return resolved
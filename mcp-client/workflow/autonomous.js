@@ -0,0 +1,191 @@
+/**
+ * Suparank MCP - Autonomous Workflow Runner
+ *
+ * Drives a workflow plan server-side: each llm_execute step is sent to the
+ * client's model via MCP sampling, in order, with the outputs of earlier
+ * steps as context. Steps that need tool calls (image generation, publishing)
+ * are left for the client.
+ *
+ * A sampled step can take minutes, so the runner is called without the
+ * session lock and takes it only while it reads or updates session state.
+ */
+
+import { log, progress } from '../utils/logging.js'
+import { sessionState, saveSession, withSessionLock } from '../services/session-state.js'
+import { sampleText } from '../services/sampling.js'
+import { saveWorkflowToFolder } from '../utils/content.js'
+import { completeStep, formatStepInstruction } from './steps.js'
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
+
+// Steps that need tool calls, which sampled messages cannot make
+const CLIENT_ACTIONS = ['generate_images', 'publish']
+
+// Token budget for research, planning and review steps
+const DEFAULT_MAX_TOKENS = 4000
+
+// Replaces the "call save_content" part of content_write in autonomous mode
+const ARTICLE_FORMAT = `**AUTONOMOUS MODE - you cannot call tools.** Instead of calling save_content, reply in exactly this format:
+
+TITLE: <SEO-optimized title>
+META_DESCRIPTION: <150-160 character meta description>
+KEYWORDS: <comma-separated target keywords>
+---
+<the full article in markdown>`
+
+/**
+ * Check whether a step can run via sampling
+ * @param {object} step - Workflow step
+ * @returns {boolean} True for llm_execute steps that need no tool calls
+ */
+export function isSampledStep(step) {
+  return step.type === 'llm_execute' && !CLIENT_ACTIONS.includes(step.action)
+}
+
+/**
+ * Run every sampled step of a workflow plan in order
+ * Completes each step with its output (stored in sessionState.stepResults) and
+ * saves each written article through saveContent. Stops at the first failure,
+ * or when another call replaces the workflow. Call without holding the session lock.
+ * @param {object} plan - Workflow plan from buildWorkflowPlan
+ * @param {object} options - Runner options
+ * @param {Function} options.saveContent - Saves an article: ({ title, content, keywords, meta_description }) => Promise
+ * @param {AbortSignal} [options.signal] - Cancellation signal for the current request
+ * @returns {Promise<{ completed: object[], failed: { step: object, error: Error }|null, remaining: object[] }>}
+ *   Steps run, the step that failed (if any), and the steps left for the client
+ */
+export async function runAutonomousWorkflow(plan, { saveContent, signal } = {}) {
+  const sampledSteps = plan.steps.filter(isSampledStep)
+  const completed = []
+  let failed = null
+
+  for (const step of sampledSteps) {
+    progress('Autonomous', `Step ${step.step}/${plan.total_steps}: ${step.action}`, {
+      current: completed.length,
+      total: sampledSteps.length
+    })
+
+    try {
+      if (signal?.aborted) {
+        throw new SuparankError(ERROR_CODES.CANCELLED, 'Cancelled by the client')
+      }
+
+      const prompt = await withSessionLock(() => {
+        assertCurrentWorkflow(plan)
+        return buildStepPrompt(plan, step)
+      })
+
+      const isWrite = step.action === 'content_write'
+      const text = await sampleText(prompt, {
+        systemPrompt: buildSystemPrompt(plan, step),
+        maxTokens: isWrite ? Math.max(DEFAULT_MAX_TOKENS, plan.settings.target_word_count * 3) : DEFAULT_MAX_TOKENS,
+        signal
+      })
+      const article = isWrite ? parseArticleResponse(text, plan.settings.primary_keywords) : null
+
+      await withSessionLock(async () => {
+        assertCurrentWorkflow(plan)
+        if (article) {
+          await saveContent(article)
+        }
+
+        // Keep the full text (save_content only records a summary for the step)
+        completeStep(plan, step.step, text)
+        saveSession()
+        saveWorkflowToFolder()
+      })
+    } catch (error) {
+      log(`Autonomous step ${step.step} (${step.action}) failed:`, error.message)
+      failed = { step, error }
+      break
+    }
+
+    completed.push(step)
+  }
+
+  const remaining = failed
+    ? plan.steps.filter(s => s.step >= failed.step.step)
+    : plan.steps.filter(s => !isSampledStep(s))
+
+  progress('Autonomous', failed
+    ? `Stopped at step ${failed.step.step} (${failed.step.action})`
+    : `Finished ${completed.length} step(s)`, {
+    current: completed.length,
+    total: sampledSteps.length
+  })
+
+  return { completed, failed, remaining }
+}
+
+/**
+ * Parse a content_write response into save_content arguments
+ * Falls back to the first H1 for the title and the project keywords when
+ * the model ignores the header format
+ * @param {string} text - Sampled response
+ * @param {string[]} [defaultKeywords] - Keywords to use if none are given
+ * @returns {{ title: string, content: string, keywords: string[], meta_description: string }}
+ * @throws {SuparankError} If no article content or title can be found
+ */
+export function parseArticleResponse(text, defaultKeywords = []) {
+  const header = {}
+  let content = text.trim()
+
+  const separator = content.match(/^\s*-{3,}\s*$/m)
+  if (separator && /^\s*TITLE:/i.test(content)) {
+    for (const line of content.slice(0, separator.index).split('\n')) {
+      const match = line.match(/^\s*([A-Z_]+):\s*(.*)$/i)
+      if (match) header[match[1].toUpperCase()] = match[2].trim()
+    }
+    content = content.slice(separator.index + separator[0].length).trim()
+  }
+
+  const h1 = content.match(/^#\s+(.+)$/m)
+  const title = header.TITLE || h1?.[1]?.trim()
+  if (!title || !content) {
+    throw new SuparankError(ERROR_CODES.INTERNAL_ERROR, 'Could not find an article title and content in the model response')
+  }
+
+  const keywords = header.KEYWORDS
+    ? header.KEYWORDS.split(',').map(k => k.trim()).filter(Boolean)
+    : [...defaultKeywords]
+
+  return {
+    title,
+    content,
+    keywords,
+    meta_description: header.META_DESCRIPTION || ''
+  }
+}
+
+/**
+ * Stop the run if another call started a new workflow or cleared the session
+ * while a step was being sampled
+ * @param {object} plan - Workflow plan being run
+ * @throws {SuparankError} CONFLICT if the plan is no longer the session's workflow
+ */
+function assertCurrentWorkflow(plan) {
+  if (sessionState.currentWorkflow !== plan) {
+    throw new SuparankError(ERROR_CODES.CONFLICT, 'The workflow was replaced by another create_content, clear_session or switch_project call')
+  }
+}
+
+/**
+ * Build the system prompt for a step
+ * @param {object} plan - Workflow plan
+ * @param {object} step - Workflow step
+ * @returns {string} System prompt
+ */
+function buildSystemPrompt(plan, step) {
+  return `You are executing step ${step.step} of ${plan.total_steps} (${step.action}) of an SEO content workflow for ${plan.project_info.name} (${plan.project_info.url}). ` +
+    'Reply with the deliverable only - no preamble, and do not ask questions.'
+}
+
+/**
+ * Build the user prompt for a step: earlier step outputs, then the step instruction
+ * @param {object} plan - Workflow plan
+ * @param {object} step - Workflow step
+ * @returns {string} Prompt text
+ */
+function buildStepPrompt(plan, step) {
+  const format = step.action === 'content_write' ? `\n\n---\n\n${ARTICLE_FORMAT}` : ''
+  return `${formatStepInstruction(plan, step)}${format}`
+}
@@ -0,0 +1,160 @@
+/**
+ * Suparank MCP - Content Type Profiles
+ *
+ * Outline structure, required elements, image plan and quality checks for
+ * each content type the backend tools accept. buildWorkflowPlan folds the
+ * profile into the planning, writing, image and quality steps.
+ */
+
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
+
+// Content types accepted by the backend tools
+export const CONTENT_TYPES = ['guide', 'listicle', 'how-to', 'comparison', 'review']
+
+/**
+ * Per-type planning profiles
+ * - outline: H2-level structure for the content_planning step
+ * - sections: how to structure the body in the content_write step
+ * - elements: blocks the article must contain
+ * - images: where inline images go
+ * - checks: extra quality_check items
+ */
+export const CONTENT_TYPE_PROFILES = {
+  guide: {
+    label: 'Guide',
+    outline: [
+      'Introduction defining the topic and who the guide is for',
+      'Key Takeaways box right after the introduction',
+      '6-8 H2 sections ordered from fundamentals to advanced',
+      'H3 subsections where needed'
+    ],
+    sections: 'Write 8-10 substantial H2 sections (each 200-400 words), ordered from fundamentals to advanced',
+    elements: [
+      'Key Takeaways box (3-5 bullets) after the introduction',
+      'Plain-language definition of each key term when first used',
+      'A worked example in every major section'
+    ],
+    images: 'One image per major section, illustrating its core concept',
+    checks: [
+      'Fundamentals come before advanced topics',
+      'Key Takeaways box is present and matches the body',
+      'Every key term is defined when first used'
+    ]
+  },
+  listicle: {
+    label: 'Listicle',
+    outline: [
+      'Short introduction explaining how the items were chosen',
+      'One numbered H2 per item (e.g. "1. Item Name")',
+      'The same sub-structure for every item (what it is, why it matters, tip)',
+      'Summary table of all items before the conclusion'
+    ],
+    sections: 'Write one numbered H2 per item (each 150-300 words), using the same sub-structure for every item',
+    elements: [
+      'Numbered H2 heading for every item',
+      'Selection criteria in the introduction',
+      'Summary table listing every item with a one-line takeaway'
+    ],
+    images: 'One image per list item, under the item heading, in list order',
+    checks: [
+      'The number in the title matches the number of items',
+      'Every item follows the same sub-structure',
+      'The summary table lists every item'
+    ]
+  },
+  'how-to': {
+    label: 'How-To',
+    outline: [
+      'Introduction stating the end result, difficulty and time required',
+      '"What You\'ll Need" section (tools, accounts, prerequisites)',
+      'Numbered step H2s ("Step 1: ...") in the order they are performed',
+      'Troubleshooting / common mistakes section'
+    ],
+    sections: 'Write each step as a numbered H2 ("Step 1: ...") with imperative instructions and the expected result (each 150-300 words)',
+    elements: [
+      '"What You\'ll Need" list before step 1',
+      'Numbered steps, one action per step, in order',
+      'Expected result at the end of each step',
+      'Troubleshooting section for the most likely failures'
+    ],
+    images: 'One image per step that benefits from a visual, in step order',
+    checks: [
+      'Steps are in the order they are performed',
+      'Each step starts with an action verb',
+      'Prerequisites are listed before step 1',
+      'Troubleshooting covers the most likely failures'
+    ]
+  },
+  comparison: {
+    label: 'Comparison',
+    outline: [
+      'Introduction naming the options compared and who the comparison is for',
+      'Quick verdict summary near the top',
+      'Comparison table (options as columns, criteria as rows)',
+      'One H2 per criterion (price, features, ease of use...) covering every option',
+      'Pros and cons for each option',
+      '"Which Should You Choose?" section by use case'
+    ],
+    sections: 'Write one H2 per comparison criterion (each 200-350 words), covering every option under each',
+    elements: [
+      'Comparison table covering every option and criterion',
+      'Pros and cons list for each option',
+      'Verdict box with a clear recommendation per use case'
+    ],
+    images: 'Side-by-side illustrations of the options, one per major criterion',
+    checks: [
+      'The comparison table covers every option and criterion',
+      'Each option has specific pros and cons',
+      'The verdict recommends an option for each use case',
+      'Claims about each option are fair and verifiable'
+    ]
+  },
+  review: {
+    label: 'Review',
+    outline: [
+      'Introduction stating what is reviewed and the one-sentence verdict',
+      'Verdict box (rating out of 5, best for, not for)',
+      'Specs / key facts table',
+      'One H2 per aspect tested (setup, performance, value...)',
+      'Pros and cons',
+      'Alternatives section',
+      'Final verdict'
+    ],
+    sections: 'Write one H2 per aspect reviewed (each 200-350 words), grounded in concrete usage details',
+    elements: [
+      'Verdict box at the top (rating out of 5, best for, not for)',
+      'Specs or key facts table',
+      'Pros and cons list',
+      'Alternatives, with when to pick each'
+    ],
+    images: 'The product in use, one image per major aspect section',
+    checks: [
+      'The verdict box has a rating and says who it is for and not for',
+      'Pros and cons are specific, not generic',
+      'The rating is consistent with the body',
+      'Alternatives are covered'
+    ]
+  }
+}
+
+/**
+ * Get the planning profile for a content type
+ * @param {string} [contentType] - Content type (guide, listicle, how-to, comparison, review)
+ * @returns {object|null} Profile, or null when no type was given
+ * @throws {SuparankError} INVALID_ARGUMENTS if the type is unknown
+ */
+export function getContentTypeProfile(contentType) {
+  if (!contentType) {
+    return null
+  }
+
+  const profile = CONTENT_TYPE_PROFILES[contentType]
+  if (!profile) {
+    throw new SuparankError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Unknown content_type "${contentType}". Use one of: ${CONTENT_TYPES.join(', ')}`,
+      { fields: ['content_type'] }
+    )
+  }
+  return profile
+}
@@ -6,5 +6,37 @@
 
 export {
   buildWorkflowPlan,
-  validateProjectConfig
+  validateProjectConfig,
+  extractPlanSettings,
+  diffPlanSettings
 } from './planner.js'
+
+export {
+  runAutonomousWorkflow,
+  parseArticleResponse,
+  isSampledStep
+} from './autonomous.js'
+
+export {
+  getStep,
+  getNextStep,
+  getLastCompletedStep,
+  inferStepProgress,
+  completeStep,
+  completeNextStepOfType,
+  formatStepInstruction,
+  formatStepProgress
+} from './steps.js'
+
+export {
+  loadWorkflowTemplate,
+  applyWorkflowTemplate,
+  interpolate,
+  evaluateCondition
+} from './templates.js'
+
+export {
+  CONTENT_TYPES,
+  CONTENT_TYPE_PROFILES,
+  getContentTypeProfile
+} from './content-types.js'
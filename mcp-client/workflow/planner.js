@@ -5,19 +5,25 @@
  */
 
 import { log } from '../utils/logging.js'
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
 import { hasCredential, getExternalMCPs, getCompositionHints } from '../services/credentials.js'
+import { getContentTypeProfile } from './content-types.js'
 
 /**
  * Validate project configuration
  * @param {object} config - Project configuration from database
  * @returns {{ warnings: string[] }} Validation result
- * @throws {Error} If required fields are missing
+ * @throws {SuparankError} CONFIG_INCOMPLETE if required fields are missing
  */
 export function validateProjectConfig(config) {
   const errors = []
 
   if (!config) {
-    throw new Error('Project configuration not found. Please configure your project in the dashboard.')
+    throw new SuparankError(
+      ERROR_CODES.CONFIG_INCOMPLETE,
+      'Project configuration not found. Please configure your project in the dashboard.',
+      { missing: ['config'] }
+    )
   }
 
   // Check required fields
@@ -47,12 +53,54 @@ export function validateProjectConfig(config) {
   }
 
   if (errors.length > 0) {
-    throw new Error(`Project configuration incomplete:\n${errors.map(e => `  - ${e}`).join('\n')}`)
+    throw new SuparankError(
+      ERROR_CODES.CONFIG_INCOMPLETE,
+      `Project configuration incomplete:\n${errors.map(e => `  - ${e}`).join('\n')}`,
+      { problems: errors }
+    )
   }
 
   return { warnings }
 }
 
+// Plan settings derived from project.config (settings key -> config lookup)
+const PLAN_SETTING_SOURCES = {
+  target_word_count: config => config.content?.default_word_count,
+  reading_level: config => config.content?.reading_level,
+  brand_voice: config => config.brand?.voice,
+  target_audience: config => config.brand?.target_audience,
+  include_images: config => config.content?.include_images,
+  visual_style: config => config.visual_style?.image_aesthetic,
+  primary_keywords: config => config.seo?.primary_keywords || [],
+  geo_focus: config => config.seo?.geo_focus
+}
+
+/**
+ * Extract the settings buildWorkflowPlan reads from a project config
+ * @param {object} config - Project configuration from database
+ * @returns {object} Plan settings keyed like workflow.settings
+ */
+export function extractPlanSettings(config) {
+  const settings = {}
+  for (const [key, getValue] of Object.entries(PLAN_SETTING_SOURCES)) {
+    settings[key] = config ? getValue(config) : undefined
+  }
+  return settings
+}
+
+/**
+ * Compare plan settings against a new project config
+ * @param {object} settings - Current settings (workflow.settings or extractPlanSettings result)
+ * @param {object} config - New project configuration
+ * @returns {Array<{ setting: string, from: any, to: any }>} Changed settings
+ */
+export function diffPlanSettings(settings, config) {
+  const next = extractPlanSettings(config)
+  return Object.keys(PLAN_SETTING_SOURCES)
+    .filter(key => JSON.stringify(settings?.[key]) !== JSON.stringify(next[key]))
+    .map(key => ({ setting: key, from: settings?.[key], to: next[key] }))
+}
+
 /**
  * Build a workflow plan for content creation
  * @param {string} request - Content request description
@@ -60,10 +108,14 @@ export function validateProjectConfig(config) {
  * @param {string[]} publishTo - Platforms to publish to
  * @param {boolean} withImages - Whether to generate images
  * @param {object} project - Project configuration from database
+ * @param {string} [contentType] - Content type (guide, listicle, how-to, comparison, review);
+ *   shapes the outline, required elements, image plan and quality checks
  * @returns {object} Workflow plan object
+ * @throws {SuparankError} INVALID_ARGUMENTS if the content type is unknown
  */
-export function buildWorkflowPlan(request, count, publishTo, withImages, project) {
+export function buildWorkflowPlan(request, count, publishTo, withImages, project, contentType) {
   const steps = []
+  const profile = getContentTypeProfile(contentType)
   const hasGhost = hasCredential('ghost')
   const hasWordPress = hasCredential('wordpress')
   const hasImageGen = hasCredential('image')
@@ -120,6 +172,11 @@ export function buildWorkflowPlan(request, count, publishTo, withImages, project
   // Format keywords for display
   const keywordsDisplay = primaryKeywords.length > 0 ? primaryKeywords.join(', ') : 'No keywords set'
 
+  // Format content type requirements (empty when no type was requested)
+  const elementsDisplay = profile
+    ? `\n**Required ${profile.label} Elements:**\n${profile.elements.map(e => `- ${e}`).join('\n')}\n`
+    : ''
+
   // Determine publish targets
   let targets = publishTo || []
   if (targets.length === 0 || targets.includes('all')) {
@@ -192,7 +249,7 @@ ${mcpInstructions}
 1. **Search Intent Analysis** - What is the user trying to accomplish?
 2. **Competitor Gap Analysis** - What are top 3 ranking pages missing?
 3. **Content Brief:**
-   - Recommended content type (guide/listicle/how-to/comparison)
+${profile ? `   - Content type: **${profile.label}** (requested) - plan the brief around its format` : '   - Recommended content type (guide/listicle/how-to/comparison)'}
    - Unique angle to differentiate from competitors
    - Key points to cover that competitors miss
 4. **On-Page SEO Checklist:**
@@ -280,13 +337,15 @@ Note: This guides the creation of all ${count} articles in this session.`,
 1. **SEO Meta Title** (50-60 characters, include primary keyword)
 2. **SEO Meta Description** (150-160 characters, compelling, include keyword)
 3. **URL Slug** (lowercase, hyphens, keyword-rich)
-4. **Content Outline:**
+4. **Content Outline${profile ? ` (${profile.label} format)` : ''}:**
    - H1: Main title
-   - 6-8 H2 sections (to achieve ${targetWordCount} words)
-   - H3 subsections where needed
+${profile
+    ? profile.outline.map(line => `   - ${line}`).join('\n')
+    : `   - 6-8 H2 sections (to achieve ${targetWordCount} words)
+   - H3 subsections where needed`}
    - FAQ section with 4-5 questions
-
-${shouldGenerateImages ? `**Image Placeholders:** Mark where ${contentImageCount} inline images should go (1 every ~300 words)
+${elementsDisplay}
+${shouldGenerateImages ? `**Image Placeholders:** Mark where ${contentImageCount} inline images should go (${profile ? profile.images.toLowerCase() : '1 every ~300 words'})
 Use format: [IMAGE: description of what image should show]` : '**Note:** Images disabled for this project.'}`,
     store: 'outline'
   })
@@ -316,7 +375,7 @@ The article will be REJECTED if under ${targetWordCount} words.
 - Target audience: ${targetAudience || 'General readers'}
 
 **To reach ${targetWordCount} words, you MUST:**
-- Write 8-10 substantial H2 sections (each 200-400 words)
+- ${profile ? profile.sections : 'Write 8-10 substantial H2 sections (each 200-400 words)'}
 - Include detailed examples, statistics, and actionable advice
 - Add comprehensive FAQ section (5-8 questions)
 - Expand each point with thorough explanations
@@ -325,10 +384,10 @@ The article will be REJECTED if under ${targetWordCount} words.
 - Engaging hook in first 2 sentences
 - All H2/H3 sections from your outline (expand each thoroughly!)
 - Statistics, examples, and actionable tips in EVERY section
-${shouldGenerateImages ? '- Image placeholders: [IMAGE: description] where images should go' : ''}
+${shouldGenerateImages ? `- Image placeholders: [IMAGE: description] where images should go${profile ? ` (${profile.images.toLowerCase()})` : ''}` : ''}
 - FAQ section with 5-8 Q&As (detailed answers, not one-liners)
 - Strong conclusion with clear CTA
-
+${elementsDisplay}
 **MANDATORY: After writing ${targetWordCount}+ words, call 'save_content' with:**
 - title: Your SEO-optimized title
 - content: The full article (markdown)
@@ -366,7 +425,7 @@ ${count > 1 && isLastArticle ? `\n✅ This is the LAST article (${articleNum} of
 
 2. **Content Quality:**
    - Word count meets requirement (${targetWordCount}+ words)
-   - Reading level appropriate (${readingLevelDisplay})
+   - Reading level appropriate (${readingLevelDisplay}) - simplify any sections save_content flagged as above target
    - No grammar or spelling errors
    - Factual accuracy (no made-up statistics)
 
@@ -380,7 +439,10 @@ ${count > 1 && isLastArticle ? `\n✅ This is the LAST article (${articleNum} of
    - Clear value proposition
    - Actionable takeaways
    - Compelling CTA in conclusion
-
+${profile ? `
+5. **${profile.label} Format:**
+${profile.checks.map(c => `   - ${c}`).join('\n')}
+` : ''}
 **Report any issues found and suggest fixes. If major issues exist, fix them before proceeding.**`,
     store: 'quality_report'
   })
@@ -444,7 +506,7 @@ ${count > 1 && isLastArticle ? `\n✅ This is the LAST article (${articleNum} of
 **Required Images:**
 1. **Cover/Hero Image** - Main article header (16:9 aspect ratio)
 ${Array.from({length: contentImageCount}, (_, i) => `${i + 2}. **Section Image ${i + 1}** - For content section ${i + 1} (16:9 aspect ratio)`).join('\n')}
-
+${profile ? `\n**Placement (${profile.label}):** ${profile.images}. Match each image to its [IMAGE: ...] placeholder.\n` : ''}
 **For each image, call 'generate_image' tool with:**
 - prompt: Detailed description based on article content
 - style: ${visualStyle || 'professional minimalist'}
@@ -500,6 +562,7 @@ Call 'publish_content' tool - it will automatically use:
     },
     settings: {
       article_count: count,  // Track expected article count for progress
+      content_type: contentType || null,
       target_word_count: targetWordCount,
       reading_level: readingLevel,
       reading_level_display: readingLevelDisplay,
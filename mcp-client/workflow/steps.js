@@ -0,0 +1,136 @@
+/**
+ * Suparank MCP - Workflow Step Tracking
+ *
+ * Records step outputs in sessionState.stepResults under each step's store
+ * key, marks steps complete and keeps the plan's current_step pointing at
+ * the first unfinished step
+ */
+
+import { sessionState } from '../services/session-state.js'
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
+
+/**
+ * Get a step of the plan by number
+ * @param {object} plan - Workflow plan
+ * @param {number} stepNumber - 1-based step number
+ * @returns {object} Workflow step
+ * @throws {SuparankError} INVALID_ARGUMENTS if the plan has no such step
+ */
+export function getStep(plan, stepNumber) {
+  const step = plan.steps.find(s => s.step === stepNumber)
+  if (!step) {
+    throw new SuparankError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Step ${stepNumber} does not exist. The workflow has steps 1-${plan.total_steps}.`,
+      { fields: ['step'] }
+    )
+  }
+  return step
+}
+
+/**
+ * Get the first step that has not been completed
+ * @param {object} plan - Workflow plan
+ * @returns {object|null} Next step, or null when every step is done
+ */
+export function getNextStep(plan) {
+  return plan.steps.find(s => !s.completed_at) || null
+}
+
+/**
+ * Get the most recently completed step
+ * @param {object} plan - Workflow plan
+ * @returns {object|null} Last completed step, or null if none is done
+ */
+export function getLastCompletedStep(plan) {
+  return plan.steps
+    .filter(s => s.completed_at)
+    .sort((a, b) => a.completed_at.localeCompare(b.completed_at) || a.step - b.step)
+    .pop() || null
+}
+
+/**
+ * Fill in step completion for plans saved before steps were tracked
+ * Those plans were only written by save_content, so every step up to the
+ * first content_write step had been done
+ * @param {object} plan - Workflow plan (modified in place)
+ * @param {string} savedAt - When the plan was saved (used as completed_at)
+ * @returns {boolean} True if completion was inferred
+ */
+export function inferStepProgress(plan, savedAt) {
+  const firstWrite = plan.steps.find(s => s.action === 'content_write')
+  if (!firstWrite || plan.steps.some(s => s.completed_at)) {
+    return false
+  }
+
+  for (const step of plan.steps) {
+    if (step.step <= firstWrite.step) step.completed_at = savedAt
+  }
+  plan.current_step = getNextStep(plan)?.step ?? plan.total_steps + 1
+  return true
+}
+
+/**
+ * Mark a step complete and store its output
+ * Any step can be completed; current_step moves to the first unfinished one
+ * @param {object} plan - Workflow plan
+ * @param {number} stepNumber - 1-based step number
+ * @param {string} [output] - Step output, stored under the step's store key
+ * @returns {object} The completed step
+ */
+export function completeStep(plan, stepNumber, output) {
+  const step = getStep(plan, stepNumber)
+
+  if (step.store && output !== undefined) {
+    sessionState.stepResults[step.store] = output
+  }
+  step.completed_at = new Date().toISOString()
+  plan.current_step = getNextStep(plan)?.step ?? plan.total_steps + 1
+
+  return step
+}
+
+/**
+ * Complete the first unfinished step with the given action
+ * Lets save_content and publish_content tick off their steps automatically
+ * @param {object} plan - Workflow plan
+ * @param {string} action - Step action (content_write, publish...)
+ * @param {string} [output] - Step output
+ * @returns {object|null} The completed step, or null if none was pending
+ */
+export function completeNextStepOfType(plan, action, output) {
+  const step = plan.steps.find(s => s.action === action && !s.completed_at)
+  return step ? completeStep(plan, step.step, output) : null
+}
+
+/**
+ * Build a step's instruction with the outputs of earlier steps filled in
+ * @param {object} plan - Workflow plan
+ * @param {object} step - Workflow step
+ * @returns {string} Markdown instruction
+ */
+export function formatStepInstruction(plan, step) {
+  const previous = plan.steps
+    .filter(s => s.step < step.step && s.store && sessionState.stepResults[s.store])
+    .map(s => `## ${s.action} (${s.store})\n\n${sessionState.stepResults[s.store]}`)
+
+  const context = previous.length > 0
+    ? `# Results from earlier steps\n\n${previous.join('\n\n---\n\n')}\n\n---\n\n`
+    : ''
+
+  return `${context}# Step ${step.step} of ${plan.total_steps}: ${step.action.toUpperCase()}\n\n${step.instruction}`
+}
+
+/**
+ * Format a per-step progress checklist
+ * @param {object} plan - Workflow plan
+ * @returns {string} Markdown list, one line per step
+ */
+export function formatStepProgress(plan) {
+  return plan.steps.map(s => {
+    const done = Boolean(s.completed_at)
+    const stored = s.store && sessionState.stepResults[s.store] ? ` → \`${s.store}\`` : ''
+    const current = !done && s.step === plan.current_step ? ' ← current' : ''
+    return `- [${done ? 'x' : ' '}] ${s.step}. ${s.action}${stored}${current}`
+  }).join('\n')
+}
@@ -0,0 +1,339 @@
+/**
+ * Suparank MCP - Workflow Templates
+ *
+ * Custom pipelines from JSON or YAML files in ~/.suparank/workflows.
+ * The file name (without extension) is the template name passed to
+ * create_content:
+ *
+ *   description: News brief - no topical map
+ *   steps:
+ *     - action: keyword_research          # no instruction: reuse the built-in step
+ *     - action: news_angle
+ *       instruction: Find the news angle for "${request}" in a ${settings.brand_voice} voice
+ *       store: angle
+ *     - action: content_write
+ *       per_article: true                 # one step per article (${article.number} of ${article.total})
+ *     - action: content_calendar
+ *       when: count > 1
+ *     - action: publish
+ *       when: publish
+ */
+
+import * as fs from 'fs'
+import * as path from 'path'
+import { parse as parseYaml } from 'yaml'
+import { log } from '../utils/logging.js'
+import { getWorkflowsDir } from '../utils/paths.js'
+import { SuparankError, ERROR_CODES } from '../utils/errors.js'
+
+const TEMPLATE_EXTENSIONS = ['.json', '.yaml', '.yml']
+const STEP_TYPES = ['llm_execute', 'action']
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i
+
+// ${path.to.value} placeholders in instructions and store keys
+const PLACEHOLDER_PATTERN = /\$\{\s*([A-Za-z_][\w.]*)\s*\}/g
+
+// Tokens of a `when` condition: operators, names, numbers and quoted strings
+const CONDITION_TOKEN = /\s*(\|\||&&|>=|<=|==|!=|>|<|!|[A-Za-z_][\w.]*|-?\d+(?:\.\d+)?|'[^']*'|"[^"]*")/y
+
+/**
+ * Load and validate a workflow template
+ * @param {string} name - Template name (file name without extension)
+ * @returns {{ name: string, description: string|null, steps: object[] }} Validated template
+ * @throws {SuparankError} INVALID_ARGUMENTS if the template does not exist,
+ *   CONFIG_INCOMPLETE if the file cannot be parsed or has invalid steps
+ */
+export function loadWorkflowTemplate(name) {
+  const file = TEMPLATE_NAME_PATTERN.test(name) && TEMPLATE_EXTENSIONS
+    .map(ext => path.join(getWorkflowsDir(), `${name}${ext}`))
+    .find(candidate => fs.existsSync(candidate))
+
+  if (!file) {
+    const available = listTemplateNames()
+    throw new SuparankError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Unknown workflow template "${name}". ${available.length > 0 ? `Available: ${available.join(', ')}` : `No templates found in ${getWorkflowsDir()}`}`,
+      { fields: ['template'] }
+    )
+  }
+
+  let template
+  try {
+    const raw = fs.readFileSync(file, 'utf-8')
+    template = path.extname(file) === '.json' ? JSON.parse(raw) : parseYaml(raw)
+  } catch (error) {
+    throw new SuparankError(ERROR_CODES.CONFIG_INCOMPLETE, `Could not parse workflow template ${file}: ${error.message}`, { template: name })
+  }
+
+  const errors = validateTemplate(template)
+  if (errors.length > 0) {
+    throw new SuparankError(
+      ERROR_CODES.CONFIG_INCOMPLETE,
+      `Invalid workflow template ${file}:\n${errors.map(e => `- \`${e.field}\` ${e.message}`).join('\n')}`,
+      { template: name, errors }
+    )
+  }
+
+  return {
+    name,
+    description: template.description || null,
+    steps: template.steps
+  }
+}
+
+/**
+ * Build a workflow plan from a template
+ * Steps without an instruction reuse the built-in step for that action (and
+ * are left out when the built-in plan has none, e.g. publish with no CMS)
+ * @param {object} template - Template from loadWorkflowTemplate
+ * @param {object} basePlan - Built-in plan from buildWorkflowPlan (settings, project info, built-in steps)
+ * @returns {object} Workflow plan with the template's steps
+ * @throws {SuparankError} If a placeholder is unknown or no steps apply
+ */
+export function applyWorkflowTemplate(template, basePlan) {
+  const count = basePlan.settings.article_count
+  const targets = basePlan.steps.find(s => s.action === 'publish')?.targets || []
+  const context = {
+    request: basePlan.request,
+    count,
+    images: basePlan.settings.total_images > 0,
+    publish: targets.length > 0,
+    targets,
+    settings: basePlan.settings,
+    project: basePlan.project_info
+  }
+
+  const steps = []
+  template.steps.forEach((def, index) => {
+    const label = `${template.name} step ${index + 1} (${def.action})`
+    if (def.when && !evaluateCondition(def.when, context)) {
+      return
+    }
+
+    const articleNumbers = def.per_article ? Array.from({ length: count }, (_, i) => i + 1) : [null]
+    for (const articleNumber of articleNumbers) {
+      const stepContext = articleNumber ? { ...context, article: { number: articleNumber, total: count } } : context
+      const builtins = basePlan.steps.filter(s => s.action === def.action)
+      const builtin = builtins[Math.min(articleNumber || 1, builtins.length) - 1]
+
+      if (!def.instruction && !builtin) {
+        log(`Template ${label}: no built-in step applies, skipping`)
+        continue
+      }
+
+      let store = builtin?.store
+      if (def.store) {
+        store = interpolate(def.store, stepContext, label)
+        if (articleNumber && count > 1 && !def.store.includes('${')) store += `_${articleNumber}`
+      }
+
+      steps.push({
+        ...(def.instruction ? {} : builtin),
+        step: steps.length + 1,
+        type: def.type || builtin?.type || 'llm_execute',
+        action: def.action,
+        instruction: def.instruction ? interpolate(def.instruction, stepContext, label) : builtin.instruction,
+        ...(store ? { store } : {})
+      })
+    }
+  })
+
+  if (steps.length === 0) {
+    throw new SuparankError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Workflow template "${template.name}" has no steps that apply to this request (check the "when" conditions)`,
+      { fields: ['template'] }
+    )
+  }
+
+  return {
+    ...basePlan,
+    template: template.name,
+    total_steps: steps.length,
+    current_step: 1,
+    steps
+  }
+}
+
+/**
+ * Replace ${path} placeholders with values from the context
+ * Arrays are joined with commas; empty values read "Not set"
+ * @param {string} text - Template text
+ * @param {object} context - Values (request, count, settings, project, article...)
+ * @param {string} [label] - Where the text comes from, for error messages
+ * @returns {string} Interpolated text
+ * @throws {SuparankError} CONFIG_INCOMPLETE if a placeholder's top-level name is unknown
+ */
+export function interpolate(text, context, label = 'template') {
+  return text.replace(PLACEHOLDER_PATTERN, (match, valuePath) => {
+    const [root] = valuePath.split('.')
+    if (!(root in context)) {
+      throw new SuparankError(
+        ERROR_CODES.CONFIG_INCOMPLETE,
+        `Unknown placeholder ${match} in ${label}. Available: ${Object.keys(context).join(', ')}`,
+        { placeholder: valuePath }
+      )
+    }
+
+    const value = lookup(context, valuePath)
+    if (value === undefined || value === null || value === '') return 'Not set'
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'Not set'
+    return String(value)
+  })
+}
+
+/**
+ * Evaluate a `when` condition against the context
+ * Supports names (truthy check), `!name`, comparisons (> >= < <= == !=)
+ * against numbers, quoted strings or other names, joined with && and ||
+ * (&& binds tighter). Example: `count > 1 && images`
+ * @param {string} expression - Condition
+ * @param {object} context - Values
+ * @returns {boolean} Result
+ * @throws {SuparankError} CONFIG_INCOMPLETE if the expression cannot be parsed
+ */
+export function evaluateCondition(expression, context) {
+  const tokens = tokenizeCondition(expression)
+  let position = 0
+
+  const operand = () => {
+    const token = tokens[position++]
+    if (token === undefined) throw conditionError(expression, 'unexpected end')
+    if (/^-?\d/.test(token)) return Number(token)
+    if (/^['"]/.test(token)) return token.slice(1, -1)
+    if (token === 'true' || token === 'false') return token === 'true'
+    if (/^[A-Za-z_]/.test(token)) return lookup(context, token)
+    throw conditionError(expression, `unexpected "${token}"`)
+  }
+
+  const term = () => {
+    let negate = false
+    while (tokens[position] === '!') {
+      negate = !negate
+      position++
+    }
+
+    const left = operand()
+    const op = tokens[position]
+    let result
+    if (['>', '>=', '<', '<=', '==', '!='].includes(op)) {
+      position++
+      result = compare(left, op, operand())
+    } else {
+      result = Array.isArray(left) ? left.length > 0 : Boolean(left)
+    }
+    return negate ? !result : result
+  }
+
+  const and = () => {
+    let result = term()
+    while (tokens[position] === '&&') {
+      position++
+      result = term() && result
+    }
+    return result
+  }
+
+  let result = and()
+  while (tokens[position] === '||') {
+    position++
+    result = and() || result
+  }
+
+  if (position < tokens.length) {
+    throw conditionError(expression, `unexpected "${tokens[position]}"`)
+  }
+  return result
+}
+
+/**
+ * Check a parsed template for structural errors
+ * @param {any} template - Parsed JSON/YAML
+ * @returns {Array<{ field: string, message: string }>} Errors (empty if valid)
+ */
+function validateTemplate(template) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return [{ field: '(template)', message: 'must be an object with a steps array' }]
+  }
+  if (!Array.isArray(template.steps) || template.steps.length === 0) {
+    return [{ field: 'steps', message: 'must be a non-empty array' }]
+  }
+
+  const errors = []
+  template.steps.forEach((step, i) => {
+    const field = (name) => `steps[${i}]${name ? `.${name}` : ''}`
+    if (!step || typeof step !== 'object') {
+      errors.push({ field: field(), message: 'must be an object' })
+      return
+    }
+    if (typeof step.action !== 'string' || !/^[a-z0-9_]+$/i.test(step.action)) {
+      errors.push({ field: field('action'), message: 'is required (letters, digits and underscores)' })
+    }
+    for (const key of ['instruction', 'store', 'when']) {
+      if (step[key] !== undefined && typeof step[key] !== 'string') {
+        errors.push({ field: field(key), message: 'must be a string' })
+      }
+    }
+    if (step.type !== undefined && !STEP_TYPES.includes(step.type)) {
+      errors.push({ field: field('type'), message: `must be one of: ${STEP_TYPES.join(', ')}` })
+    }
+    if (step.per_article !== undefined && typeof step.per_article !== 'boolean') {
+      errors.push({ field: field('per_article'), message: 'must be a boolean' })
+    }
+    if (typeof step.when === 'string') {
+      try {
+        // Parse against an empty context - only the syntax matters here
+        evaluateCondition(step.when, {})
+      } catch (error) {
+        errors.push({ field: field('when'), message: error.message })
+      }
+    }
+  })
+
+  return errors
+}
+
+function listTemplateNames() {
+  const dir = getWorkflowsDir()
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir)
+    .filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file)))
+    .map(file => path.basename(file, path.extname(file)))
+}
+
+function tokenizeCondition(expression) {
+  const tokens = []
+  CONDITION_TOKEN.lastIndex = 0
+  while (CONDITION_TOKEN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(CONDITION_TOKEN.lastIndex))) break
+    const start = CONDITION_TOKEN.lastIndex
+    const match = CONDITION_TOKEN.exec(expression)
+    if (!match) {
+      throw conditionError(expression, `unexpected "${expression.slice(start).trim()}"`)
+    }
+    tokens.push(match[1])
+  }
+  if (tokens.length === 0) {
+    throw conditionError(expression, 'empty condition')
+  }
+  return tokens
+}
+
+function compare(left, op, right) {
+  switch (op) {
+    case '>': return left > right
+    case '>=': return left >= right
+    case '<': return left < right
+    case '<=': return left <= right
+    case '==': return left === right
+    case '!=': return left !== right
+  }
+}
+
+function lookup(context, valuePath) {
+  return valuePath.split('.').reduce((value, key) => value?.[key], context)
+}
+
+function conditionError(expression, reason) {
+  return new SuparankError(ERROR_CODES.CONFIG_INCOMPLETE, `Invalid condition "${expression}": ${reason}`, { condition: expression })
+}
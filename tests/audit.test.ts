@@ -0,0 +1,33 @@
+/**
+ * Audit Log Tests
+ *
+ * Tests for redacting tool arguments before they are written to the audit log
+ */
+
+import { describe, it, expect } from 'vitest'
+import { redactArgs } from '../mcp-client/services/audit.js'
+
+describe('redactArgs', () => {
+  it('should redact secrets at any depth', () => {
+    expect(redactArgs({
+      webhook_url: 'https://hooks.slack.com/services/T000/B000/XXX',
+      payload: { api_key: 'sk_live_123', nested: { Authorization: 'Bearer abc' } }
+    })).toEqual({
+      webhook_url: '[REDACTED]',
+      payload: { api_key: '[REDACTED]', nested: { Authorization: '[REDACTED]' } }
+    })
+  })
+
+  it('should truncate long strings', () => {
+    const content = 'word '.repeat(100)
+    const redacted = redactArgs({ content })
+
+    expect(redacted.content.startsWith(content.slice(0, 200))).toBe(true)
+    expect(redacted.content).toContain('(500 chars)')
+  })
+
+  it('should keep ordinary arguments unchanged', () => {
+    const args = { title: 'My Article', keywords: ['seo', 'ai'], status: 'draft', count: 2 }
+    expect(redactArgs(args)).toEqual(args)
+  })
+})
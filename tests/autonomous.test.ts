@@ -0,0 +1,130 @@
+/**
+ * Autonomous Workflow Tests
+ *
+ * Tests for parsing sampled articles, choosing which steps run via sampling,
+ * and running create_content autonomously without holding the session lock
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { parseArticleResponse, isSampledStep } from '../mcp-client/workflow/autonomous.js'
+import { executeOrchestratorTool } from '../mcp-client/handlers/orchestrator.js'
+import { runWithRequestContext } from '../mcp-client/services/request-context.js'
+import { sessionState, resetSession, withSessionLock } from '../mcp-client/services/session-state.js'
+import { SuparankError } from '../mcp-client/utils/errors.js'
+
+const project = {
+  config: {
+    site: { name: 'Brew', url: 'https://brew.example', niche: 'coffee' },
+    brand: { voice: 'friendly', target_audience: 'home baristas' },
+    content: { default_word_count: 300, reading_level: 8, include_images: false },
+    seo: { primary_keywords: ['burr grinder'] }
+  }
+}
+
+const article = `TITLE: The Best Burr Grinders
+META_DESCRIPTION: How to pick a burr grinder for home brewing.
+KEYWORDS: burr grinder
+---
+# The Best Burr Grinders
+
+A burr grinder crushes beans evenly, so every cup tastes the same.`
+
+// Runs create_content in autonomous mode; onSample runs while each step is being sampled
+function runAutonomous(onSample: (systemPrompt: string) => Promise<void> = async () => {}) {
+  const createMessage = async ({ systemPrompt }) => {
+    await onSample(systemPrompt)
+    return { role: 'assistant', content: { type: 'text', text: systemPrompt.includes('(content_write)') ? article : 'Step output' } }
+  }
+
+  return runWithRequestContext(
+    { clientCapabilities: { sampling: {} }, createMessage },
+    () => executeOrchestratorTool('create_content', { request: 'best burr grinders', mode: 'autonomous', with_images: false }, project)
+  )
+}
+
+describe('parseArticleResponse', () => {
+  it('should read the header block and strip it from the content', () => {
+    const article = parseArticleResponse(
+      'TITLE: Email Marketing 101\nMETA_DESCRIPTION: A beginner guide\nKEYWORDS: email, marketing , \n---\n# Email Marketing 101\n\nBody text.'
+    )
+
+    expect(article).toEqual({
+      title: 'Email Marketing 101',
+      meta_description: 'A beginner guide',
+      keywords: ['email', 'marketing'],
+      content: '# Email Marketing 101\n\nBody text.'
+    })
+  })
+
+  it('should fall back to the first H1 and default keywords', () => {
+    const article = parseArticleResponse('Intro line\n\n# Real Title\n\nBody', ['seo tools'])
+
+    expect(article.title).toBe('Real Title')
+    expect(article.keywords).toEqual(['seo tools'])
+    expect(article.meta_description).toBe('')
+    expect(article.content).toBe('Intro line\n\n# Real Title\n\nBody')
+  })
+
+  it('should not treat a horizontal rule in the article as a header separator', () => {
+    const article = parseArticleResponse('# Title\n\nPart one\n\n---\n\nPart two')
+
+    expect(article.title).toBe('Title')
+    expect(article.content).toContain('Part one')
+  })
+
+  it('should reject a response without a title', () => {
+    expect(() => parseArticleResponse('just some text')).toThrow(SuparankError)
+  })
+})
+
+describe('isSampledStep', () => {
+  it('should leave tool-calling steps to the client', () => {
+    expect(isSampledStep({ type: 'llm_execute', action: 'content_write' })).toBe(true)
+    expect(isSampledStep({ type: 'llm_execute', action: 'generate_images' })).toBe(false)
+    expect(isSampledStep({ type: 'action', action: 'publish' })).toBe(false)
+  })
+})
+
+describe('autonomous create_content', () => {
+  let home: string
+  let originalHome: string | undefined
+
+  beforeEach(() => {
+    originalHome = process.env.HOME
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'suparank-autonomous-'))
+    process.env.HOME = home
+    resetSession()
+  })
+
+  afterEach(() => {
+    resetSession()
+    process.env.HOME = originalHome
+    fs.rmSync(home, { recursive: true, force: true })
+  })
+
+  it('does not hold the session lock while a step is sampled', async () => {
+    let lockedCalls = 0
+    const result = await runAutonomous(async () => {
+      // Another tool call takes the lock while the client's model is working
+      await withSessionLock(() => { lockedCalls++ })
+    })
+
+    expect(lockedCalls).toBeGreaterThan(1)
+    expect(result.content[0].text).toContain('# Content Workflow Completed (Autonomous Mode)')
+    expect(sessionState.articles.map(a => a.title)).toEqual(['The Best Burr Grinders'])
+  })
+
+  it('stops when another call replaces the workflow during sampling', async () => {
+    const result = await runAutonomous(async () => {
+      await withSessionLock(() => resetSession())
+    })
+    const text = result.content[0].text
+
+    expect(text).toContain('# Content Workflow Partially Completed (Autonomous Mode)')
+    expect(text).toContain('failed [CONFLICT]: The workflow was replaced')
+    expect(sessionState.currentWorkflow).toBeNull()
+  })
+})
@@ -0,0 +1,203 @@
+/**
+ * Cancellation Tests
+ *
+ * Tests that an aborted request stops HTTP retries, the wiro.ai poll loop and
+ * batch publishing with a CANCELLED error, keeping what finished before the abort
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import * as http from 'http'
+import type { AddressInfo } from 'net'
+
+// Modules read the API URLs when they are imported, so they are loaded after the fake server starts
+let api, image, orchestrator, sessionModule, credentials, errors
+
+let server: http.Server
+let baseUrl: string
+let home: string
+let originalHome: string | undefined
+
+// Requests seen by the fake server, and a hook to run when one arrives
+let requests: string[]
+let onRequest: (url: string, res: http.ServerResponse) => boolean
+
+const project = {
+  config: {
+    site: { name: 'Brew', url: 'https://brew.example', niche: 'coffee' },
+    content: { default_word_count: 100, reading_level: 8 },
+    seo: { primary_keywords: ['burr grinder'] }
+  }
+}
+
+function json(res: http.ServerResponse, body: object) {
+  res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body))
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const url = req.url as string
+    requests.push(url)
+    req.resume()
+    req.on('end', () => {
+      // The hook answers the request itself, or leaves it hanging
+      if (onRequest(url, res)) return
+
+      if (url === '/fail') {
+        // Ask for a long back-off so the abort lands while fetchWithRetry waits
+        res.writeHead(500, { 'retry-after': '30' }).end('down')
+      } else if (url.startsWith('/wiro/Run/')) {
+        json(res, { result: true, taskid: 'task-1' })
+      } else if (url === '/wiro/Task/Detail') {
+        json(res, { tasklist: [{ status: 'task_queue' }] })
+      } else if (url === '/wp-json/suparank/v1/publish') {
+        const id = requests.filter(r => r === url).length
+        json(res, { success: true, post: { id, title: `Post ${id}`, status: 'publish', url: `https://wp.example/post-${id}` } })
+      } else {
+        res.writeHead(404).end()
+      }
+    })
+  })
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`
+  process.env.WIRO_API_URL = `${baseUrl}/wiro`
+  process.env.WIRO_TASK_URL = `${baseUrl}/wiro/Task/Detail`
+
+  api = await import('../mcp-client/services/api.js')
+  image = await import('../mcp-client/publishers/image.js')
+  orchestrator = await import('../mcp-client/handlers/orchestrator.js')
+  sessionModule = await import('../mcp-client/services/session-state.js')
+  credentials = await import('../mcp-client/services/credentials.js')
+  errors = await import('../mcp-client/utils/errors.js')
+})
+
+afterAll(async () => {
+  delete process.env.WIRO_API_URL
+  delete process.env.WIRO_TASK_URL
+  server.closeAllConnections()
+  await new Promise(resolve => server.close(resolve))
+})
+
+beforeEach(() => {
+  originalHome = process.env.HOME
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'suparank-cancel-'))
+  process.env.HOME = home
+  requests = []
+  onRequest = () => false
+
+  fs.mkdirSync(path.join(home, '.suparank'), { recursive: true })
+  fs.writeFileSync(path.join(home, '.suparank', 'credentials.json'), JSON.stringify({
+    image_provider: 'wiro',
+    wiro: { api_key: 'key', api_secret: 'secret' },
+    wordpress: { site_url: baseUrl, secret_key: 'wp-key' }
+  }))
+  credentials.clearCredentialsCache()
+  sessionModule.resetSession()
+})
+
+afterEach(() => {
+  sessionModule.resetSession()
+  credentials.clearCredentialsCache()
+  process.env.HOME = originalHome
+  fs.rmSync(home, { recursive: true, force: true })
+})
+
+describe('sleep', () => {
+  it('ends early with CANCELLED when the request is aborted', async () => {
+    const controller = new AbortController()
+    const started = Date.now()
+    setTimeout(() => controller.abort(), 20)
+
+    await expect(api.sleep(30000, controller.signal)).rejects.toMatchObject({ code: errors.ERROR_CODES.CANCELLED })
+    expect(Date.now() - started).toBeLessThan(1000)
+  })
+
+  it('does not wait at all once the request is aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+
+    expect(() => api.throwIfCancelled(controller.signal)).toThrow(errors.SuparankError)
+    await expect(api.sleep(30000, controller.signal)).rejects.toMatchObject({ code: errors.ERROR_CODES.CANCELLED })
+    expect(() => api.throwIfCancelled(undefined)).not.toThrow()
+  })
+})
+
+describe('fetchWithRetry', () => {
+  it('stops retrying with CANCELLED when aborted during the back-off', async () => {
+    const controller = new AbortController()
+    onRequest = (url) => {
+      if (url === '/fail') setTimeout(() => controller.abort(), 20)
+      return false
+    }
+
+    await expect(api.fetchWithRetry(`${baseUrl}/fail`, { signal: controller.signal }, 3, 5000))
+      .rejects.toMatchObject({ code: errors.ERROR_CODES.CANCELLED })
+    expect(requests).toEqual(['/fail'])
+  })
+
+  it('aborts a request in flight with CANCELLED', async () => {
+    const controller = new AbortController()
+    onRequest = (url) => {
+      controller.abort()
+      return true
+    }
+
+    await expect(api.fetchWithRetry(`${baseUrl}/hang`, { signal: controller.signal }, 3, 5000))
+      .rejects.toMatchObject({ code: errors.ERROR_CODES.CANCELLED })
+    expect(requests).toEqual(['/hang'])
+  })
+})
+
+describe('wiro.ai polling', () => {
+  it('stops polling with CANCELLED and stores no image', async () => {
+    const controller = new AbortController()
+    onRequest = (url) => {
+      if (url === '/wiro/Task/Detail') controller.abort()
+      return false
+    }
+
+    await expect(image.executeImageGeneration({ prompt: 'a burr grinder' }, { signal: controller.signal }))
+      .rejects.toMatchObject({ code: errors.ERROR_CODES.CANCELLED })
+    expect(requests.filter(r => r === '/wiro/Task/Detail')).toHaveLength(1)
+    expect(sessionModule.sessionState.imageUrl).toBeNull()
+  })
+})
+
+describe('publish_content', () => {
+  it('keeps articles published before the abort and skips the rest', async () => {
+    for (const title of ['Burr Grinders', 'Blade Grinders', 'Hand Grinders']) {
+      await orchestrator.executeOrchestratorTool('save_content', {
+        title,
+        content: `# ${title}\n\nA guide to ${title.toLowerCase()} for home baristas.`,
+        keywords: [title.toLowerCase()]
+      }, project)
+    }
+
+    // The second article's request hangs until the client cancels
+    const controller = new AbortController()
+    onRequest = (url) => {
+      if (url.endsWith('/publish') && requests.filter(r => r.endsWith('/publish')).length === 2) {
+        controller.abort()
+        return true
+      }
+      return false
+    }
+
+    const result = await orchestrator.executeOrchestratorTool('publish_content', { status: 'publish' }, project, { signal: controller.signal })
+    const text = result.content[0].text
+    const articles = sessionModule.sessionState.articles
+
+    expect(text).toContain('# Batch Publishing Results (Cancelled)')
+    expect(text).toContain(`**WordPress:** Failed [${errors.ERROR_CODES.CANCELLED}]`)
+    expect(text).toContain('Not started:\n- Hand Grinders')
+    expect(articles.map(a => a.published)).toEqual([true, false, false])
+    expect(articles[0].publishedTo).toEqual(['wordpress'])
+
+    // The published state is saved, not just held in memory
+    sessionModule.resetSession()
+    sessionModule.restoreSession()
+    expect(sessionModule.sessionState.articles.map(a => a.published)).toEqual([true, false, false])
+  })
+})
@@ -0,0 +1,78 @@
+/**
+ * Confirmation Tests
+ *
+ * Tests for asking the user (MCP elicitation) before destructive or live actions
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { confirmAction } from '../mcp-client/services/confirmations.js'
+import { runWithRequestContext } from '../mcp-client/services/request-context.js'
+import { sessionState } from '../mcp-client/services/session-state.js'
+
+const elicitingClient = { elicitation: { form: {} } }
+
+// Run confirmAction for clear_session as if a client with elicitation called it
+function confirmClear(elicitInput: (request: object, options: object) => Promise<object>, options = {}) {
+  return runWithRequestContext(
+    { clientCapabilities: elicitingClient, elicitInput },
+    () => confirmAction('clear_session', {}, options)
+  )
+}
+
+beforeEach(() => {
+  sessionState.articles = [{ id: 'a1', title: 'Burr Grinders', wordCount: 900, published: false }]
+})
+
+describe('confirmAction', () => {
+  it('confirms when the user accepts', async () => {
+    const confirmation = await confirmClear(async () => ({ action: 'accept', content: { confirm: true } }))
+    expect(confirmation).toEqual({ confirmed: true })
+  })
+
+  it('does not run when the user declines or leaves the box unchecked', async () => {
+    const declined = await confirmClear(async () => ({ action: 'decline' }))
+    expect(declined.confirmed).toBe(false)
+    expect(declined.result.content[0].text).toContain('clear_session was not run')
+    expect(declined.result.structuredContent.confirmation).toEqual({ tool: 'clear_session', action: 'decline', confirmed: false })
+
+    const unchecked = await confirmClear(async () => ({ action: 'accept', content: { confirm: false } }))
+    expect(unchecked.confirmed).toBe(false)
+  })
+
+  it('does not run when the user cancels', async () => {
+    const confirmation = await confirmClear(async () => ({ action: 'cancel' }))
+    expect(confirmation.confirmed).toBe(false)
+    expect(confirmation.result.structuredContent.confirmation.action).toBe('cancel')
+  })
+
+  it('does not run when the elicitation times out or fails', async () => {
+    const confirmation = await confirmClear(async () => {
+      throw new Error('Request timed out')
+    })
+
+    // null would mean "no confirmation needed" and let the action run
+    expect(confirmation).not.toBeNull()
+    expect(confirmation.confirmed).toBe(false)
+    expect(confirmation.result.content[0].text).toContain('Request timed out')
+    expect(confirmation.result.structuredContent.confirmation.action).toBe('error')
+  })
+
+  it('does not run when the request is cancelled while waiting', async () => {
+    const controller = new AbortController()
+    const confirmation = await confirmClear(async () => {
+      controller.abort()
+      throw new Error('This operation was aborted')
+    }, { signal: controller.signal })
+
+    expect(confirmation.confirmed).toBe(false)
+    expect(confirmation.result.content[0].text).toContain('the request was cancelled')
+  })
+
+  it('asks nothing when the client cannot elicit or nothing needs confirming', async () => {
+    const noElicitation = await runWithRequestContext({ clientCapabilities: {} }, () => confirmAction('clear_session', {}))
+    expect(noElicitation).toBeNull()
+
+    sessionState.articles = []
+    expect(await confirmClear(async () => { throw new Error('should not be asked') })).toBeNull()
+  })
+})
@@ -0,0 +1,65 @@
+/**
+ * Content Type Planning Tests
+ *
+ * Tests that buildWorkflowPlan shapes its steps for the requested content type
+ */
+
+import { describe, it, expect } from 'vitest'
+import { buildWorkflowPlan } from '../mcp-client/workflow/planner.js'
+import { CONTENT_TYPES, CONTENT_TYPE_PROFILES, getContentTypeProfile } from '../mcp-client/workflow/content-types.js'
+import { SuparankError } from '../mcp-client/utils/errors.js'
+
+const project = {
+  config: {
+    site: { name: 'Brew', url: 'https://brew.example', niche: 'coffee' },
+    brand: { voice: 'friendly', target_audience: 'home baristas' },
+    content: { default_word_count: 1500, reading_level: 8, include_images: false },
+    seo: { primary_keywords: ['coffee grinder'] }
+  }
+}
+
+function instruction(plan, action) {
+  return plan.steps.find(s => s.action === action).instruction
+}
+
+describe('content type profiles', () => {
+  it('has a profile for every content type', () => {
+    expect(Object.keys(CONTENT_TYPE_PROFILES).sort()).toEqual([...CONTENT_TYPES].sort())
+  })
+
+  it('rejects unknown content types', () => {
+    expect(getContentTypeProfile(undefined)).toBeNull()
+    expect(() => getContentTypeProfile('essay')).toThrow(SuparankError)
+  })
+})
+
+describe('buildWorkflowPlan with a content type', () => {
+  it('uses the type structure in planning, writing and quality steps', () => {
+    const plan = buildWorkflowPlan('best burr grinders', 1, [], false, project, 'comparison')
+
+    expect(plan.settings.content_type).toBe('comparison')
+    expect(instruction(plan, 'seo_strategy')).toContain('Content type: **Comparison** (requested)')
+    expect(instruction(plan, 'content_planning')).toContain('Content Outline (Comparison format)')
+    expect(instruction(plan, 'content_planning')).toContain('Comparison table (options as columns, criteria as rows)')
+    expect(instruction(plan, 'content_write')).toContain('Pros and cons list for each option')
+    expect(instruction(plan, 'content_write')).not.toContain('Write 8-10 substantial H2 sections')
+    expect(instruction(plan, 'quality_check')).toContain('5. **Comparison Format:**')
+  })
+
+  it('varies the structure between types', () => {
+    const howTo = instruction(buildWorkflowPlan('descale a grinder', 1, [], false, project, 'how-to'), 'content_write')
+    const listicle = instruction(buildWorkflowPlan('grinder tips', 1, [], false, project, 'listicle'), 'content_write')
+
+    expect(howTo).toContain('Step 1: ...')
+    expect(listicle).toContain('numbered H2 per item')
+  })
+
+  it('keeps the generic structure when no type is given', () => {
+    const plan = buildWorkflowPlan('coffee', 1, [], false, project)
+
+    expect(plan.settings.content_type).toBeNull()
+    expect(instruction(plan, 'seo_strategy')).toContain('Recommended content type')
+    expect(instruction(plan, 'content_write')).toContain('Write 8-10 substantial H2 sections')
+    expect(instruction(plan, 'quality_check')).not.toContain('Format:**')
+  })
+})
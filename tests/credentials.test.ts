@@ -0,0 +1,94 @@
+/**
+ * Credentials Reload Tests
+ *
+ * Tests for reloading credentials.json, keeping the previous credentials when
+ * an edit is invalid, and telling connected clients about the broken file
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js'
+import { LoggingMessageNotificationSchema } from '@modelcontextprotocol/sdk/types.js'
+import { reloadCredentials, getCredentials, hasCredential, clearCredentialsCache } from '../mcp-client/services/credentials.js'
+import { events, CREDENTIALS_CHANGED, CREDENTIALS_INVALID } from '../mcp-client/services/events.js'
+import { createServer } from '../mcp-client/server.js'
+
+let home: string
+let originalHome: string | undefined
+
+function writeCredentials(contents: string) {
+  fs.mkdirSync(path.join(home, '.suparank'), { recursive: true })
+  fs.writeFileSync(path.join(home, '.suparank', 'credentials.json'), contents)
+}
+
+beforeEach(() => {
+  originalHome = process.env.HOME
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'suparank-credentials-'))
+  process.env.HOME = home
+  writeCredentials(JSON.stringify({ ghost: { api_url: 'https://blog.example', admin_api_key: 'id:secret' } }))
+  clearCredentialsCache()
+})
+
+afterEach(() => {
+  process.env.HOME = originalHome
+  clearCredentialsCache()
+  fs.rmSync(home, { recursive: true, force: true })
+})
+
+describe('reloadCredentials', () => {
+  it('applies a valid edit and announces the change', () => {
+    const changed: unknown[] = []
+    const onChanged = () => changed.push(true)
+    events.on(CREDENTIALS_CHANGED, onChanged)
+
+    writeCredentials(JSON.stringify({ wordpress: { site_url: 'https://wp.example', secret_key: 'key' } }))
+    const applied = reloadCredentials()
+    events.off(CREDENTIALS_CHANGED, onChanged)
+
+    expect(applied).toBe(true)
+    expect(changed).toHaveLength(1)
+    expect(hasCredential('wordpress')).toBe(true)
+    expect(hasCredential('ghost')).toBe(false)
+  })
+
+  it('keeps the previous credentials when the file is not valid JSON', () => {
+    expect(hasCredential('ghost')).toBe(true)
+    const errors: string[] = []
+    const onInvalid = (message: string) => errors.push(message)
+    events.on(CREDENTIALS_INVALID, onInvalid)
+
+    writeCredentials('{ "ghost": { "api_url": ')
+    const applied = reloadCredentials()
+    events.off(CREDENTIALS_INVALID, onInvalid)
+
+    expect(applied).toBe(false)
+    expect(errors).toHaveLength(1)
+    expect(getCredentials().ghost.admin_api_key).toBe('id:secret')
+  })
+})
+
+describe('invalid credentials notification', () => {
+  it('sends connected clients a notifications/message error', async () => {
+    const server = createServer()
+    const client = new Client({ name: 'test', version: '1.0.0' })
+    const messages: Array<{ level: string, data: unknown }> = []
+    client.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+      messages.push(notification.params)
+    })
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair()
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)])
+
+    writeCredentials('not json')
+    reloadCredentials()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    await client.close()
+
+    expect(messages).toHaveLength(1)
+    expect(messages[0].level).toBe('error')
+    expect(messages[0].data).toContain('credentials.json is invalid, keeping the previous credentials')
+  })
+})
@@ -0,0 +1,91 @@
+/**
+ * Duplicate Detector Tests
+ *
+ * Tests for MinHash similarity and keyword cannibalization checks
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  minhashSignature,
+  estimateSimilarity,
+  compareArticles,
+  findConflicts,
+  findDuplicatePairs
+} from '../mcp-client/analysis/duplicates.js'
+
+const grinders = `# Choosing a Coffee Grinder
+
+A burr grinder crushes beans between two plates, so every particle comes out close to the same size.
+Blade grinders chop beans unevenly, which leaves fine dust next to large chunks and makes the cup bitter.
+For espresso you need fine, consistent grounds, and only a good burr grinder delivers them every morning.
+Clean the burrs once a month with a brush and some rice-free grinder tablets to keep the flavour fresh.`
+
+const reworded = grinders
+  .replace('every particle', 'each particle')
+  .replace('every morning', 'each morning')
+  .replace('# Choosing a Coffee Grinder', '# How to Choose a Coffee Grinder')
+
+const tea = `# Brewing Green Tea
+
+Heat the water to about eighty degrees, because boiling water scalds the leaves and turns the tea bitter.
+Steep the leaves for two minutes, taste, and add thirty seconds at a time until the flavour suits you.
+Loose leaves unfurl better in a wide basket than in a small ball infuser, which cramps them.`
+
+function doc(folder: string, content: string, keywords: string[] = [], published = false) {
+  return { folder, title: folder, keywords, published, minhash: minhashSignature(content) }
+}
+
+describe('minhashSignature', () => {
+  it('estimates high similarity for reworded copies and low for unrelated text', () => {
+    expect(estimateSimilarity(minhashSignature(grinders), minhashSignature(grinders))).toBe(1)
+    expect(estimateSimilarity(minhashSignature(grinders), minhashSignature(reworded))).toBeGreaterThan(0.7)
+    expect(estimateSimilarity(minhashSignature(grinders), minhashSignature(tea))).toBeLessThan(0.1)
+  })
+
+  it('ignores markdown links, images and code', () => {
+    const withMarkup = grinders.replace('burr grinder crushes', '[burr grinder](https://example.com/x) crushes') +
+      '\n\n![cup](https://example.com/cup.png)\n\n```\nnpm install grinder\n```'
+    expect(estimateSimilarity(minhashSignature(grinders), minhashSignature(withMarkup))).toBe(1)
+  })
+
+  it('returns null for text too short to shingle', () => {
+    expect(minhashSignature('Two words')).toBeNull()
+    expect(estimateSimilarity(null, minhashSignature(tea))).toBe(0)
+  })
+})
+
+describe('compareArticles', () => {
+  it('flags the same primary keyword regardless of case and plurals', () => {
+    const conflict = compareArticles(doc('a', grinders, ['Coffee Grinders', 'espresso']), doc('b', tea, ['coffee grinder']))
+    expect(conflict).toMatchObject({ nearDuplicate: false, samePrimaryKeyword: 'coffee grinder' })
+  })
+
+  it('flags mostly shared keywords but not a single secondary one', () => {
+    expect(compareArticles(doc('a', tea, ['green tea', 'tea brewing', 'sencha']), doc('b', grinders, ['matcha', 'tea brewing', 'sencha'])))
+      .toMatchObject({ samePrimaryKeyword: null, sharedKeywords: ['tea brewing', 'sencha'] })
+    expect(compareArticles(doc('a', tea, ['green tea', 'sencha']), doc('b', grinders, ['burr grinder', 'sencha']))).toBeNull()
+  })
+})
+
+describe('findConflicts', () => {
+  it('lists overlapping library articles, near-duplicates first', () => {
+    const library = [
+      doc('2026-01-01-tea', tea, ['green tea']),
+      doc('2026-01-02-keyword-twin', tea, ['coffee grinder']),
+      doc('2026-01-03-grinders', grinders, ['burr grinder'], true)
+    ]
+    const conflicts = findConflicts({ minhash: minhashSignature(reworded), keywords: ['coffee grinder'] }, library)
+
+    expect(conflicts.map(c => c.folder)).toEqual(['2026-01-03-grinders', '2026-01-02-keyword-twin'])
+    expect(conflicts[0]).toMatchObject({ nearDuplicate: true, published: true })
+  })
+})
+
+describe('findDuplicatePairs', () => {
+  it('compares every pair once and respects the threshold', () => {
+    const library = [doc('a', grinders), doc('b', reworded), doc('c', tea)]
+
+    expect(findDuplicatePairs(library).map(p => [p.a.folder, p.b.folder])).toEqual([['a', 'b']])
+    expect(findDuplicatePairs(library, { threshold: 1 })).toEqual([])
+  })
+})
@@ -0,0 +1,59 @@
+/**
+ * Error Utilities Tests
+ *
+ * Tests for error codes and conversion to MCP tool results
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  SuparankError,
+  ERROR_CODES,
+  platformError,
+  getErrorCode,
+  toErrorResult
+} from '../mcp-client/utils/errors.js'
+
+describe('platformError', () => {
+  it('should map HTTP statuses to error codes', () => {
+    expect(platformError('wordpress', 401, 'x').code).toBe(ERROR_CODES.PLATFORM_AUTH)
+    expect(platformError('wordpress', 403, 'x').code).toBe(ERROR_CODES.PLATFORM_AUTH)
+    expect(platformError('ghost', 404, 'x').code).toBe(ERROR_CODES.PLATFORM_NOT_FOUND)
+    expect(platformError('fal', 429, 'x').code).toBe(ERROR_CODES.RATE_LIMITED)
+    expect(platformError('ghost', 500, 'x').code).toBe(ERROR_CODES.PLATFORM_ERROR)
+  })
+
+  it('should record platform and status in details', () => {
+    expect(platformError('ghost', 502, 'Bad gateway').details).toEqual({ platform: 'ghost', status: 502 })
+  })
+})
+
+describe('getErrorCode', () => {
+  it('should treat plain errors as internal errors', () => {
+    expect(getErrorCode(new Error('boom'))).toBe(ERROR_CODES.INTERNAL_ERROR)
+    expect(getErrorCode(new SuparankError(ERROR_CODES.TIMEOUT, 'slow'))).toBe(ERROR_CODES.TIMEOUT)
+  })
+})
+
+describe('toErrorResult', () => {
+  it('should build an isError result with structured content', () => {
+    const result = toErrorResult(platformError('wordpress', 429, 'Too many requests'), 'publish_wordpress')
+
+    expect(result.isError).toBe(true)
+    expect(result.content[0].text).toBe('Error executing publish_wordpress [RATE_LIMITED]: Too many requests')
+    expect(result.structuredContent.error).toEqual({
+      code: 'RATE_LIMITED',
+      message: 'Too many requests',
+      tool: 'publish_wordpress',
+      retryable: true,
+      details: { platform: 'wordpress', status: 429 }
+    })
+  })
+
+  it('should omit details for plain errors', () => {
+    const result = toErrorResult(new Error('boom'), 'save_content')
+
+    expect(result.structuredContent.error.code).toBe('INTERNAL_ERROR')
+    expect(result.structuredContent.error.retryable).toBe(false)
+    expect(result.structuredContent.error).not.toHaveProperty('details')
+  })
+})
@@ -0,0 +1,162 @@
+/**
+ * Guardrails Tests
+ *
+ * Tests for per-session and daily limits on image generation and live publishing,
+ * and for overrides that need the user's confirmation
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { checkGuardrails, recordUsage, reserveUsage, releaseUsage, resetSessionUsage, getSessionUsage } from '../mcp-client/services/guardrails.js'
+import { clearCredentialsCache } from '../mcp-client/services/credentials.js'
+import { confirmToolCall } from '../mcp-client/services/confirmations.js'
+import { runWithRequestContext } from '../mcp-client/services/request-context.js'
+import { resetSession } from '../mcp-client/services/session-state.js'
+import { ERROR_CODES } from '../mcp-client/utils/errors.js'
+
+let home: string
+let originalHome: string | undefined
+
+const ok = { content: [{ type: 'text', text: 'done' }] }
+
+function writeCredentials(credentials: object) {
+  fs.mkdirSync(path.join(home, '.suparank'), { recursive: true })
+  fs.writeFileSync(path.join(home, '.suparank', 'credentials.json'), JSON.stringify(credentials))
+  clearCredentialsCache()
+}
+
+beforeEach(() => {
+  originalHome = process.env.HOME
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'suparank-guardrails-'))
+  process.env.HOME = home
+  resetSessionUsage()
+  writeCredentials({
+    ghost: { api_url: 'https://blog.example', admin_api_key: 'id:secret' },
+    limits: { images_per_session: 2, images_per_day: 3, live_publishes_per_session: 1 }
+  })
+})
+
+afterEach(() => {
+  process.env.HOME = originalHome
+  clearCredentialsCache()
+  fs.rmSync(home, { recursive: true, force: true })
+})
+
+describe('checkGuardrails', () => {
+  it('allows calls within the limits and refuses the one that would exceed them', () => {
+    expect(checkGuardrails('generate_image', {})).toBeNull()
+    recordUsage('generate_image', {}, ok)
+    recordUsage('generate_image', {}, ok)
+
+    const error = checkGuardrails('generate_image', {})
+    expect(error?.code).toBe(ERROR_CODES.LIMIT_EXCEEDED)
+    expect(error?.details.limits).toEqual([{ limit: 'images_per_session', max: 2, used: 2, requested: 1 }])
+  })
+
+  it('ignores drafts and tools without limits', () => {
+    recordUsage('publish_ghost', { status: 'published' }, { ...ok, structuredContent: { posts: [{ status: 'published' }] } })
+
+    expect(checkGuardrails('publish_ghost', { status: 'published' })?.code).toBe(ERROR_CODES.LIMIT_EXCEEDED)
+    expect(checkGuardrails('publish_ghost', { status: 'draft' })).toBeNull()
+    expect(checkGuardrails('save_content', {})).toBeNull()
+  })
+
+  it('does not let the model override a limit on its own', () => {
+    recordUsage('generate_image', {}, ok)
+    recordUsage('generate_image', {}, ok)
+
+    expect(checkGuardrails('generate_image', { override_limits: true })?.code).toBe(ERROR_CODES.LIMIT_EXCEEDED)
+    expect(checkGuardrails('generate_image', { override_limits: true }, { overrideConfirmed: true })).toBeNull()
+  })
+})
+
+describe('reserveUsage', () => {
+  it('counts calls still running against the limits until they are released', () => {
+    const first = reserveUsage('generate_image', {})
+    const second = reserveUsage('generate_image', {})
+
+    const error = checkGuardrails('generate_image', {})
+    expect(error?.details.limits).toEqual([{ limit: 'images_per_session', max: 2, used: 2, requested: 1 }])
+
+    // The first call fails and frees its share; the second completes and is recorded
+    releaseUsage(first)
+    recordUsage('generate_image', {}, ok)
+    releaseUsage(second)
+
+    expect(checkGuardrails('generate_image', {})).toBeNull()
+    expect(getSessionUsage()).toEqual({ images: 1, live_publishes: 0 })
+  })
+
+  it('reserves nothing for calls without limits', () => {
+    expect(reserveUsage('publish_ghost', { status: 'draft' })).toEqual({ images: 0, live_publishes: 0 })
+    releaseUsage(undefined)
+  })
+})
+
+describe('recordUsage', () => {
+  it('counts successful calls against session and daily usage', () => {
+    recordUsage('generate_image', {}, ok)
+    recordUsage('generate_image', {}, { ...ok, isError: true })
+    recordUsage('publish_ghost', { status: 'draft' }, { ...ok, structuredContent: { posts: [{ status: 'draft' }] } })
+
+    expect(getSessionUsage()).toEqual({ images: 1, live_publishes: 0 })
+    const daily = JSON.parse(fs.readFileSync(path.join(home, '.suparank', 'usage.json'), 'utf-8'))
+    expect(daily).toMatchObject({ images: 1, live_publishes: 0 })
+  })
+
+  it('keeps session counts when a new workflow resets the session', () => {
+    recordUsage('generate_image', {}, ok)
+    recordUsage('generate_image', {}, ok)
+    resetSession()
+
+    expect(getSessionUsage().images).toBe(2)
+    expect(checkGuardrails('generate_image', {})?.code).toBe(ERROR_CODES.LIMIT_EXCEEDED)
+  })
+
+  it('applies daily limits across server sessions', () => {
+    for (let i = 0; i < 3; i++) recordUsage('generate_image', {}, ok)
+    resetSessionUsage()
+
+    expect(checkGuardrails('generate_image', {})?.details.limits.map(l => l.limit)).toEqual(['images_per_day'])
+  })
+})
+
+describe('confirmToolCall with override_limits', () => {
+  const overImageLimit = () => {
+    recordUsage('generate_image', {}, ok)
+    recordUsage('generate_image', {}, ok)
+  }
+  const withClient = (elicitInput?: () => Promise<object>) => runWithRequestContext(
+    elicitInput ? { clientCapabilities: { elicitation: { form: {} } }, elicitInput } : { clientCapabilities: {} },
+    () => confirmToolCall('generate_image', { prompt: 'a cat', override_limits: true })
+  )
+
+  it('refuses the override when the client cannot ask the user', async () => {
+    overImageLimit()
+    const confirmation = await withClient()
+
+    expect(confirmation?.confirmed).toBe(false)
+    expect(confirmation?.result.isError).toBe(true)
+    expect(confirmation?.result.structuredContent.error.code).toBe(ERROR_CODES.LIMIT_EXCEEDED)
+  })
+
+  it('overrides only when the user approves', async () => {
+    overImageLimit()
+    let prompt = ''
+    const approved = await withClient(async (request: { message: string }) => {
+      prompt = request.message
+      return { action: 'accept', content: { confirm: true } }
+    })
+
+    expect(approved).toEqual({ confirmed: true, overrideConfirmed: true })
+    expect(prompt).toContain('images_per_session: 2 used + 1 requested > 2 allowed')
+    expect((await withClient(async () => ({ action: 'decline' })))?.confirmed).toBe(false)
+    expect((await withClient(async () => { throw new Error('Request timed out') }))?.confirmed).toBe(false)
+  })
+
+  it('asks nothing while the call is within the limits', async () => {
+    expect(await withClient(async () => { throw new Error('should not be asked') })).toBeNull()
+  })
+})
@@ -0,0 +1,108 @@
+/**
+ * HTTP Server Tests
+ *
+ * Tests for the bearer token check and mcp-session-id routing of the
+ * Streamable HTTP transport
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import type { Server as HttpServer } from 'http'
+import type { AddressInfo } from 'net'
+import { Server } from '@modelcontextprotocol/sdk/server/index.js'
+import { startHttpServer, getActiveHttpSessionIds } from '../mcp-client/http-server.js'
+
+const token = 'test-token'
+let httpServer: HttpServer
+let endpoint: string
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+}
+
+function post(body: object, headers: Record<string, string> = {}) {
+  return fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  })
+}
+
+const auth = { Authorization: `Bearer ${token}` }
+
+beforeAll(async () => {
+  httpServer = await startHttpServer(
+    () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: {} }),
+    { port: 0, host: '127.0.0.1', token }
+  )
+  endpoint = `http://127.0.0.1:${(httpServer.address() as AddressInfo).port}/mcp`
+})
+
+afterAll(async () => {
+  httpServer.closeAllConnections()
+  await new Promise(resolve => httpServer.close(resolve))
+})
+
+describe('bearer token', () => {
+  it('rejects requests without a token', async () => {
+    const res = await post(initialize)
+
+    expect(res.status).toBe(401)
+    expect(res.headers.get('www-authenticate')).toBe('Bearer')
+    expect((await res.json()).error.message).toContain('Unauthorized')
+  })
+
+  it('rejects a wrong token, including one that only shares a prefix', async () => {
+    expect((await post(initialize, { Authorization: 'Bearer wrong-token' })).status).toBe(401)
+    expect((await post(initialize, { Authorization: `Bearer ${token}-extra` })).status).toBe(401)
+    expect((await post(initialize, { Authorization: token })).status).toBe(401)
+  })
+})
+
+describe('mcp-session-id routing', () => {
+  it('rejects unknown session IDs', async () => {
+    const res = await post({ jsonrpc: '2.0', id: 2, method: 'ping' }, { ...auth, 'mcp-session-id': 'no-such-session' })
+
+    expect(res.status).toBe(404)
+    expect((await res.json()).error.message).toBe('Session not found')
+  })
+
+  it('only starts a session with an initialize request', async () => {
+    const res = await post({ jsonrpc: '2.0', id: 2, method: 'ping' }, auth)
+
+    expect(res.status).toBe(400)
+    expect((await res.json()).error.message).toContain('No valid session ID')
+  })
+
+  it('routes requests with a known session ID to its transport', async () => {
+    const init = await post(initialize, auth)
+    const sessionId = init.headers.get('mcp-session-id')
+    await init.text()
+
+    expect(init.status).toBe(200)
+    expect(sessionId).toBeTruthy()
+
+    const health = await fetch(endpoint.replace('/mcp', '/health'))
+    expect((await health.json()).sessions).toBe(1)
+
+    const ping = await post({ jsonrpc: '2.0', id: 2, method: 'ping' }, {
+      ...auth,
+      'mcp-session-id': sessionId as string,
+      'mcp-protocol-version': '2025-06-18'
+    })
+    expect(ping.status).toBe(200)
+    expect(await ping.text()).toContain('"id":2')
+    expect(getActiveHttpSessionIds()).toEqual([sessionId])
+
+    // DELETE ends the session
+    const end = await fetch(endpoint, { method: 'DELETE', headers: { ...auth, 'mcp-session-id': sessionId as string, 'mcp-protocol-version': '2025-06-18' } })
+    expect(end.status).toBe(200)
+    expect(getActiveHttpSessionIds()).toEqual([])
+  })
+})
@@ -0,0 +1,136 @@
+/**
+ * Plugin Tests
+ *
+ * Tests for loading plugins from ~/.suparank/plugins, rejecting name
+ * collisions and broken plugins, and running plugin tools
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { loadPlugins, getPluginTools } from '../mcp-client/tools/plugins.js'
+import { executePluginTool } from '../mcp-client/handlers/plugin.js'
+import { sessionState, resetSession } from '../mcp-client/services/session-state.js'
+import { getSessionFilePath } from '../mcp-client/utils/paths.js'
+import { SuparankError } from '../mcp-client/utils/errors.js'
+
+let home: string
+let originalHome: string | undefined
+
+function writePlugin(file: string, source: string) {
+  const pluginPath = path.join(home, '.suparank', 'plugins', file)
+  fs.mkdirSync(path.dirname(pluginPath), { recursive: true })
+  fs.writeFileSync(pluginPath, source)
+}
+
+const tool = (name: string) => `{ name: '${name}', inputSchema: { type: 'object', properties: {} } }`
+
+beforeEach(() => {
+  originalHome = process.env.HOME
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'suparank-plugins-'))
+  process.env.HOME = home
+  resetSession()
+})
+
+afterEach(async () => {
+  // Unload the test plugins
+  fs.rmSync(path.join(home, '.suparank', 'plugins'), { recursive: true, force: true })
+  await loadPlugins()
+
+  resetSession()
+  process.env.HOME = originalHome
+  fs.rmSync(home, { recursive: true, force: true })
+})
+
+describe('loadPlugins', () => {
+  it('loads file and folder plugins', async () => {
+    writePlugin('shout.mjs', `export default {
+  name: 'shout',
+  tools: [${tool('shout_title')}],
+  async execute(toolName, args, { sessionState }) { return sessionState.title.toUpperCase() }
+}`)
+    writePlugin('cms/index.js', `export default {
+  requiresCredential: 'internal_cms',
+  tools: [${tool('publish_internal_cms')}],
+  async execute() { return { content: [{ type: 'text', text: 'pushed' }] } }
+}`)
+    fs.writeFileSync(path.join(home, '.suparank', 'plugins', 'notes.txt'), 'not a plugin')
+
+    const tools = await loadPlugins()
+
+    expect(tools.map(t => [t.name, t.plugin, t.requiresCredential])).toEqual([
+      ['publish_internal_cms', 'cms', 'internal_cms'],
+      ['shout_title', 'shout', null]
+    ])
+    expect(tools[1].description).toBe('shout_title (plugin: shout)')
+  })
+
+  it('skips tools that collide with built-in or already loaded tools', async () => {
+    writePlugin('a.mjs', `export default { tools: [${tool('save_content')}, ${tool('word_stats')}], async execute() { return 'a' } }`)
+    writePlugin('b.mjs', `export default { tools: [${tool('word_stats')}, ${tool('link_check')}], async execute() { return 'b' } }`)
+
+    const tools = await loadPlugins()
+
+    expect(tools.map(t => [t.name, t.plugin])).toEqual([['word_stats', 'a.mjs'], ['link_check', 'b.mjs']])
+  })
+
+  it('skips plugins that fail to import or have the wrong shape', async () => {
+    writePlugin('broken.mjs', `throw new Error('missing dependency')`)
+    writePlugin('shapeless.mjs', `export default { tools: [] }`)
+    writePlugin('ok.mjs', `export default { tools: [${tool('ok_tool')}], async execute() { return 'ok' } }`)
+
+    const tools = await loadPlugins()
+
+    expect(tools.map(t => t.name)).toEqual(['ok_tool'])
+  })
+
+  it('replaces the tools of an earlier load', async () => {
+    writePlugin('ok.mjs', `export default { tools: [${tool('ok_tool')}], async execute() { return 'ok' } }`)
+    await loadPlugins()
+    await loadPlugins()
+
+    expect(getPluginTools().map(t => t.name)).toEqual(['ok_tool'])
+  })
+})
+
+describe('executePluginTool', () => {
+  it('wraps text results and saves session changes', async () => {
+    writePlugin('tagger.mjs', `export default {
+  tools: [${tool('tag_article')}],
+  async execute(toolName, args, { sessionState }) {
+    sessionState.keywords = ['burr grinder']
+    return 'tagged'
+  }
+}`)
+    await loadPlugins()
+
+    const result = await executePluginTool('tag_article', {})
+
+    expect(result).toEqual({ content: [{ type: 'text', text: 'tagged' }] })
+    expect(JSON.parse(fs.readFileSync(getSessionFilePath(), 'utf-8')).keywords).toEqual(['burr grinder'])
+  })
+
+  it('passes on errors from a plugin that throws, after saving its changes', async () => {
+    writePlugin('flaky.mjs', `export default {
+  tools: [${tool('flaky_push')}],
+  async execute(toolName, args, { sessionState }) {
+    sessionState.title = 'Half done'
+    throw new Error('CMS unavailable')
+  }
+}`)
+    await loadPlugins()
+
+    await expect(executePluginTool('flaky_push', {})).rejects.toThrow('CMS unavailable')
+    expect(sessionState.title).toBe('Half done')
+    expect(JSON.parse(fs.readFileSync(getSessionFilePath(), 'utf-8')).title).toBe('Half done')
+  })
+
+  it('rejects invalid results and unknown tools', async () => {
+    writePlugin('odd.mjs', `export default { name: 'odd', tools: [${tool('odd_tool')}], async execute() { return { text: 'no content array' } } }`)
+    await loadPlugins()
+
+    await expect(executePluginTool('odd_tool', {})).rejects.toThrow('Plugin odd returned an invalid result')
+    await expect(executePluginTool('missing_tool', {})).rejects.toBeInstanceOf(SuparankError)
+  })
+})
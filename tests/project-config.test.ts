@@ -0,0 +1,110 @@
+/**
+ * Project Config Tests
+ *
+ * Tests for caching the project config, starting from the cache when the API
+ * is unreachable, and keeping the current config when a refresh fails
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import * as http from 'http'
+import type { AddressInfo } from 'net'
+
+// Modules read the API URL when they are imported, so they are loaded after the fake API starts
+let config, project, paths, errors
+
+let api: http.Server
+let home: string
+let originalHome: string | undefined
+
+// How the fake API answers: a project with this name, or an error status
+let apiResponse: { name: string } | { status: number }
+
+beforeAll(async () => {
+  api = http.createServer((req, res) => {
+    if ('status' in apiResponse) {
+      // retry-after: 0 keeps fetchWithRetry from backing off between attempts
+      res.writeHead(apiResponse.status, { 'retry-after': '0' }).end('unavailable')
+      return
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ project: { slug: req.url?.split('/').pop(), name: apiResponse.name, config: {} } }))
+  })
+  await new Promise<void>(resolve => api.listen(0, '127.0.0.1', resolve))
+  process.env.SUPARANK_API_URL = `http://127.0.0.1:${(api.address() as AddressInfo).port}`
+
+  config = await import('../mcp-client/config.js')
+  project = await import('../mcp-client/services/project.js')
+  paths = await import('../mcp-client/utils/paths.js')
+  errors = await import('../mcp-client/utils/errors.js')
+})
+
+afterAll(async () => {
+  delete process.env.SUPARANK_API_URL
+  await new Promise(resolve => api.close(resolve))
+})
+
+beforeEach(() => {
+  originalHome = process.env.HOME
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'suparank-project-config-'))
+  process.env.HOME = home
+  apiResponse = { name: 'Brew' }
+})
+
+afterEach(() => {
+  process.env.HOME = originalHome
+  fs.rmSync(home, { recursive: true, force: true })
+})
+
+describe('loadProjectConfig', () => {
+  it('caches the config and starts from the cache when the API is down', async () => {
+    await project.loadProjectConfig()
+    const cached = JSON.parse(fs.readFileSync(paths.getProjectCachePath(config.projectSlug), 'utf-8'))
+    expect(cached.project.name).toBe('Brew')
+    expect(project.getOfflineState()).toBeNull()
+
+    apiResponse = { status: 503 }
+    const loaded = await project.loadProjectConfig()
+
+    expect(loaded).toEqual(cached.project)
+    expect(project.getOfflineState()).toMatchObject({ cachedAt: cached.cachedAt })
+    expect(project.getOfflineState().reason).toBe('Failed to fetch project: unavailable')
+  })
+
+  it('does not fall back to the cache when the API rejects the key', async () => {
+    await project.loadProjectConfig()
+
+    apiResponse = { status: 401 }
+    await expect(project.loadProjectConfig()).rejects.toMatchObject({ code: errors.ERROR_CODES.PLATFORM_AUTH })
+  })
+
+  it('throws when the API is down and nothing is cached', async () => {
+    apiResponse = { status: 503 }
+    await expect(project.loadProjectConfig()).rejects.toMatchObject({ code: errors.ERROR_CODES.PLATFORM_ERROR })
+  })
+})
+
+describe('refreshProject', () => {
+  it('replaces the config with the latest from the API', async () => {
+    const before = await project.loadProjectConfig()
+
+    apiResponse = { name: 'Brew Co' }
+    const { previous, project: refreshed } = await project.refreshProject()
+
+    expect(previous).toBe(before)
+    expect(refreshed.name).toBe('Brew Co')
+    expect(project.getProject()).toBe(refreshed)
+  })
+
+  it('keeps the current config when the refresh fails', async () => {
+    const before = await project.loadProjectConfig()
+
+    apiResponse = { status: 503 }
+    await expect(project.refreshProject()).rejects.toMatchObject({ code: errors.ERROR_CODES.PLATFORM_ERROR })
+
+    expect(project.getProject()).toBe(before)
+    expect(project.getOfflineState()).toBeNull()
+  })
+})
@@ -0,0 +1,133 @@
+/**
+ * Project Switching Tests
+ *
+ * Tests for switching the active project, rolling back a failed switch,
+ * per-project workspace paths, and refusing to switch under other HTTP clients
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import * as http from 'http'
+import type { AddressInfo } from 'net'
+
+// Modules read the API URL when they are imported, so they are loaded after the fake API starts
+let config, project, credentials, paths, orchestrator, requestContext, errors
+
+let api: http.Server
+let home: string
+let originalHome: string | undefined
+let startup: { slug: string, key: string }
+
+beforeAll(async () => {
+  // Fake Suparank API: every project loads except "broken"
+  api = http.createServer((req, res) => {
+    const slug = req.url?.split('/').pop()
+    if (slug === 'broken') {
+      res.writeHead(401).end('invalid key')
+      return
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ project: { slug, name: `Project ${slug}`, config: {} } }))
+  })
+  await new Promise<void>(resolve => api.listen(0, '127.0.0.1', resolve))
+  process.env.SUPARANK_API_URL = `http://127.0.0.1:${(api.address() as AddressInfo).port}`
+
+  config = await import('../mcp-client/config.js')
+  project = await import('../mcp-client/services/project.js')
+  credentials = await import('../mcp-client/services/credentials.js')
+  paths = await import('../mcp-client/utils/paths.js')
+  orchestrator = await import('../mcp-client/handlers/orchestrator.js')
+  requestContext = await import('../mcp-client/services/request-context.js')
+  errors = await import('../mcp-client/utils/errors.js')
+  startup = { slug: config.projectSlug, key: config.apiKey }
+})
+
+afterAll(async () => {
+  delete process.env.SUPARANK_API_URL
+  await new Promise(resolve => api.close(resolve))
+})
+
+beforeEach(() => {
+  originalHome = process.env.HOME
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'suparank-projects-'))
+  process.env.HOME = home
+
+  fs.mkdirSync(path.join(home, '.suparank'), { recursive: true })
+  fs.writeFileSync(path.join(home, '.suparank', 'config.json'), JSON.stringify({
+    api_key: 'top-level-key',
+    projects: [
+      { project_slug: 'client-a', api_key: 'key-a', credentials_profile: 'client-a' },
+      { project_slug: 'broken', api_key: 'key-b' },
+      { project_slug: 'no-key' }
+    ]
+  }))
+})
+
+afterEach(() => {
+  config.setActiveProject(startup.slug, startup.key)
+  credentials.setCredentialsProfile(null)
+  process.env.HOME = originalHome
+  fs.rmSync(home, { recursive: true, force: true })
+})
+
+describe('switchProject', () => {
+  it('switches project, credentials profile and workspace paths', async () => {
+    expect(paths.getWorkspaceDir()).toBe(path.join(home, '.suparank'))
+
+    const target = await project.switchProject('client-a')
+
+    expect(target).toMatchObject({ slug: 'client-a', credentialsProfile: 'client-a', isActive: true })
+    expect(config.projectSlug).toBe('client-a')
+    expect(config.apiKey).toBe('key-a')
+    expect(credentials.getCredentialsProfile()).toBe('client-a')
+    expect(project.getProject().name).toBe('Project client-a')
+
+    const workspace = path.join(home, '.suparank', 'workspaces', 'client-a')
+    expect(paths.getWorkspaceDir()).toBe(workspace)
+    expect(paths.getSessionFilePath()).toBe(path.join(workspace, 'session.json'))
+    expect(paths.getContentDir()).toBe(path.join(workspace, 'content'))
+    expect(project.listProjects().find(p => p.isActive).slug).toBe('client-a')
+  })
+
+  it('restores the previous project when the new one fails to load', async () => {
+    await project.switchProject('client-a')
+    const before = project.getProject()
+
+    await expect(project.switchProject('broken')).rejects.toMatchObject({ code: errors.ERROR_CODES.PLATFORM_AUTH })
+
+    expect(config.projectSlug).toBe('client-a')
+    expect(config.apiKey).toBe('key-a')
+    expect(credentials.getCredentialsProfile()).toBe('client-a')
+    expect(project.getProject()).toBe(before)
+    expect(paths.getWorkspaceDir()).toBe(path.join(home, '.suparank', 'workspaces', 'client-a'))
+  })
+
+  it('rejects unknown projects and projects without their own API key', async () => {
+    await expect(project.switchProject('nope')).rejects.toMatchObject({ code: errors.ERROR_CODES.INVALID_ARGUMENTS })
+    // The top-level api_key belongs to the startup project and is not reused
+    expect(project.listProjects().find(p => p.slug === 'no-key').apiKey).toBeNull()
+    await expect(project.switchProject('no-key')).rejects.toMatchObject({ code: errors.ERROR_CODES.CONFIG_INCOMPLETE })
+    expect(config.projectSlug).toBe(startup.slug)
+  })
+})
+
+describe('switch_project tool', () => {
+  const switchTool = (otherClients: number) => requestContext.runWithRequestContext(
+    { otherClients: () => otherClients },
+    () => orchestrator.executeOrchestratorTool('switch_project', { project_slug: 'client-a' }, null)
+  )
+
+  it('refuses to switch while other HTTP clients share the server', async () => {
+    await expect(switchTool(1)).rejects.toMatchObject({ code: errors.ERROR_CODES.CONFLICT, details: { otherClients: 1 } })
+    expect(config.projectSlug).toBe(startup.slug)
+  })
+
+  it('switches when this is the only client', async () => {
+    const result = await switchTool(0)
+
+    expect(result.content[0].text).toContain('# Switched Project')
+    expect(config.projectSlug).toBe('client-a')
+  })
+})
@@ -0,0 +1,64 @@
+/**
+ * Prompt Tests
+ *
+ * Tests for exposing each workflow phase as an MCP prompt
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { listPrompts, getPrompt } from '../mcp-client/handlers/prompts.js'
+import { sessionState, resetSession } from '../mcp-client/services/session-state.js'
+
+const project = {
+  config: {
+    site: { name: 'Brew', url: 'https://brew.example', niche: 'coffee' },
+    brand: { voice: 'friendly', target_audience: 'home baristas' },
+    content: { default_word_count: 1800, reading_level: 8 },
+    seo: { primary_keywords: ['burr grinder'] }
+  }
+}
+
+// Each phase with a line from its create_content instruction
+const PHASES = [
+  ['keyword_research', 'Research keywords for: "best burr grinders"'],
+  ['seo_strategy', 'Create SEO strategy and content brief for: "best burr grinders"'],
+  ['topical_map', 'Design content architecture for: "best burr grinders"'],
+  ['content_planning', 'Create a detailed content outline with SEO meta'],
+  ['content_write', '**MANDATORY WORD COUNT: 1800 WORDS MINIMUM**'],
+  ['quality_check', 'Perform quality check on the article you just saved.'],
+  ['geo_optimize', 'Optimize article for AI search engines']
+]
+
+beforeEach(() => {
+  resetSession()
+})
+
+describe('listPrompts', () => {
+  it('lists one prompt per workflow phase', () => {
+    expect(listPrompts().map(p => p.name)).toEqual(PHASES.map(([name]) => name))
+  })
+})
+
+describe('getPrompt', () => {
+  for (const [name, instruction] of PHASES) {
+    it(`builds the ${name} prompt from the workflow instructions`, () => {
+      const result = getPrompt(name, { request: 'best burr grinders' }, project)
+      const text = result.messages[0].content.text
+
+      expect(result.messages).toHaveLength(1)
+      expect(result.messages[0].role).toBe('user')
+      expect(text.startsWith(`# ${name.toUpperCase()}\n\n`)).toBe(true)
+      expect(text).toContain(instruction)
+    })
+  }
+
+  it('falls back to the project niche and leaves the session untouched', () => {
+    const text = getPrompt('keyword_research', {}, project).messages[0].content.text
+
+    expect(text).toContain('Research keywords for: "content about coffee"')
+    expect(sessionState.currentWorkflow).toBeNull()
+  })
+
+  it('rejects unknown prompts', () => {
+    expect(() => getPrompt('publish', {}, project)).toThrow('Unknown prompt: publish')
+  })
+})
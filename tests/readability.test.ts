@@ -0,0 +1,53 @@
+/**
+ * Readability Analyzer Tests
+ *
+ * Tests for grade scoring, passive voice, long paragraphs and section flagging
+ */
+
+import { describe, it, expect } from 'vitest'
+import { analyzeReadability, formatReadabilityReport } from '../mcp-client/analysis/readability.js'
+
+const easy = 'We like short words. They are easy to read. Kids get them fast. '.repeat(5)
+const hard = 'Comprehensive organizational transformation initiatives necessitate considerable interdepartmental collaboration, particularly when institutional stakeholders reconcile incompatible operational methodologies. '.repeat(3)
+
+describe('analyzeReadability', () => {
+  it('scores simple text below complex text', () => {
+    const simple = analyzeReadability(easy)
+    const complex = analyzeReadability(hard)
+
+    expect(simple.grade).toBeLessThan(4)
+    expect(complex.grade).toBeGreaterThan(16)
+    expect(simple.avgSentenceLength).toBeCloseTo(4.3, 1)
+  })
+
+  it('ignores markdown syntax, code blocks and image placeholders', () => {
+    const report = analyzeReadability(`## Intro\n\n**We** like [short](https://example.com) words.\n\n[IMAGE: a cat]\n\n\`\`\`js\nconst interdepartmentalCollaboration = true\n\`\`\``)
+
+    expect(report.words).toBe(4)
+    expect(report.sentences).toBe(1)
+  })
+
+  it('counts passive sentences and long paragraphs', () => {
+    const report = analyzeReadability(`The report was written by the team. We shipped it. The bug was quickly fixed.\n\n${'word '.repeat(160)}`)
+
+    expect(report.passiveRatio).toBe(50)
+    expect(report.longParagraphs).toBe(1)
+  })
+
+  it('flags sections above the target grade', () => {
+    const report = analyzeReadability(`${easy}\n\n## Easy\n\n${easy}\n\n## Hard\n\n${hard}\n\n## Short\n\n${hard.slice(0, 60)}`, { targetGrade: 8 })
+
+    expect(report.sections.map(s => s.heading)).toEqual(['Introduction', 'Easy', 'Hard', 'Short'])
+    expect(report.sections.filter(s => s.overTarget).map(s => s.heading)).toEqual(['Hard'])
+    expect(report.sections[3].grade).toBeNull()
+    expect(formatReadabilityReport(report)).toContain('### Sections Above Grade 8\n- **Hard**')
+  })
+
+  it('does not flag anything without a target', () => {
+    const report = analyzeReadability(hard)
+
+    expect(report.targetGrade).toBeNull()
+    expect(report.overTarget).toBe(false)
+    expect(report.sections.every(s => !s.overTarget)).toBe(true)
+  })
+})
@@ -0,0 +1,59 @@
+/**
+ * Request Context Tests
+ *
+ * Tests for progress notifications sent for the current request
+ */
+
+import { describe, it, expect } from 'vitest'
+import { runWithRequestContext, notifyProgress } from '../mcp-client/services/request-context.js'
+
+// Runs fn with a fake sendNotification and returns the progress values and totals sent
+async function collectProgress(fn: () => void, progressToken: string | null = 'token-1') {
+  const sent: Array<{ progress: number, total?: number, message: string }> = []
+  const sendNotification = async ({ params }) => {
+    sent.push({ progress: params.progress, total: params.total, message: params.message })
+  }
+
+  await runWithRequestContext({ progressToken, sendNotification }, async () => fn())
+  return sent
+}
+
+describe('notifyProgress', () => {
+  it('keeps progress increasing across message-only updates', async () => {
+    const sent = await collectProgress(() => {
+      notifyProgress('Starting')
+      notifyProgress('Step 1', 1, 3)
+      notifyProgress('Still on step 1')
+      notifyProgress('Retrying step 1', 1)
+      notifyProgress('Step 2', 2)
+    })
+
+    const values = sent.map(s => s.progress)
+    expect(values[0]).toBeGreaterThan(0)
+    expect(values[1]).toBe(1)
+    expect(values[4]).toBe(2)
+    for (let i = 1; i < values.length; i++) {
+      expect(values[i]).toBeGreaterThan(values[i - 1])
+    }
+    // The total is remembered for later updates
+    expect(sent.slice(1).every(s => s.total === 3)).toBe(true)
+  })
+
+  it('never goes past the total', async () => {
+    const sent = await collectProgress(() => {
+      notifyProgress('Step 2', 2, 3)
+      notifyProgress('Step 5', 5)
+      notifyProgress('Done')
+      notifyProgress('Saving')
+    })
+
+    expect(sent).toEqual([
+      { progress: 2, total: 3, message: 'Step 2' },
+      { progress: 3, total: 3, message: 'Step 5' }
+    ])
+  })
+
+  it('sends nothing when the client did not ask for progress', async () => {
+    expect(await collectProgress(() => notifyProgress('Step 1', 1, 3), null)).toEqual([])
+  })
+})
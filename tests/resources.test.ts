@@ -0,0 +1,78 @@
+/**
+ * Resource Tests
+ *
+ * Tests for reading saved content and the session as MCP resources, and for
+ * rejecting content URIs that escape the content folder or name unknown files
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { listResources, readResource, getContentResourceUri, SESSION_RESOURCE_URI } from '../mcp-client/handlers/resources.js'
+import { sessionState, resetSession } from '../mcp-client/services/session-state.js'
+
+let home: string
+let originalHome: string | undefined
+
+const folder = '2026-01-01-burr-grinders'
+
+beforeEach(() => {
+  originalHome = process.env.HOME
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'suparank-resources-'))
+  process.env.HOME = home
+  resetSession()
+
+  const folderPath = path.join(home, '.suparank', 'content', folder)
+  fs.mkdirSync(folderPath, { recursive: true })
+  fs.writeFileSync(path.join(folderPath, 'article.md'), '# Burr Grinders')
+  fs.writeFileSync(path.join(folderPath, 'metadata.json'), '{"title":"Burr Grinders"}')
+  fs.writeFileSync(path.join(folderPath, 'notes.txt'), 'not exposed')
+
+  // A file outside the content folder that traversal would reach
+  fs.mkdirSync(path.join(home, 'etc'))
+  fs.writeFileSync(path.join(home, 'etc', 'article.md'), 'secret')
+})
+
+afterEach(() => {
+  resetSession()
+  process.env.HOME = originalHome
+  fs.rmSync(home, { recursive: true, force: true })
+})
+
+describe('listResources', () => {
+  it('lists the session and the exposed files of each content folder', () => {
+    expect(listResources().map(r => r.uri)).toEqual([
+      SESSION_RESOURCE_URI,
+      `suparank://content/${folder}/article.md`,
+      `suparank://content/${folder}/metadata.json`
+    ])
+  })
+})
+
+describe('readResource', () => {
+  it('reads content files and the session', () => {
+    const article = readResource(getContentResourceUri(folder, 'article.md'))
+    expect(article.contents[0]).toMatchObject({ mimeType: 'text/markdown', text: '# Burr Grinders' })
+
+    sessionState.title = 'Burr Grinders'
+    expect(JSON.parse(readResource(SESSION_RESOURCE_URI).contents[0].text).title).toBe('Burr Grinders')
+  })
+
+  it('rejects folder names that escape the content folder', () => {
+    expect(() => readResource('suparank://content/..%2F..%2Fetc/article.md')).toThrow('Path traversal detected')
+    expect(() => readResource('suparank://content/..%2F..%2Fetc/passwd')).toThrow('Unknown resource')
+    expect(() => readResource('suparank://content/%2E%2E/article.md')).toThrow('Path traversal detected')
+  })
+
+  it('rejects unknown file names and malformed URIs', () => {
+    expect(() => readResource(`suparank://content/${folder}/notes.txt`)).toThrow('Unknown resource')
+    expect(() => readResource(`suparank://content/${folder}/sub/article.md`)).toThrow('Unknown resource')
+    expect(() => readResource(`suparank://content/${folder}`)).toThrow('Unknown resource')
+    expect(() => readResource('suparank://other/article.md')).toThrow('Unknown resource')
+  })
+
+  it('reports missing files in a valid folder', () => {
+    expect(() => readResource(getContentResourceUri(folder, 'workflow.json'))).toThrow('Resource not found')
+  })
+})
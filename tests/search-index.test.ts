@@ -0,0 +1,117 @@
+/**
+ * Content Search Index Tests
+ *
+ * Tests for tokenizing, ranking, filtering and incremental index updates
+ * over content folders in a temporary home directory
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { tokenize, updateSearchIndex, searchContent, findContentConflicts } from '../mcp-client/services/search-index.js'
+import { projectSlug, apiKey, setActiveProject } from '../mcp-client/config.js'
+import { SuparankError } from '../mcp-client/utils/errors.js'
+
+let home: string
+let originalHome: string | undefined
+
+function writeArticle(contentDir: string, folder: string, article: string, metadata: object = {}) {
+  const folderPath = path.join(home, '.suparank', contentDir, folder)
+  fs.mkdirSync(folderPath, { recursive: true })
+  fs.writeFileSync(path.join(folderPath, 'article.md'), article)
+  fs.writeFileSync(path.join(folderPath, 'metadata.json'), JSON.stringify(metadata))
+  return folderPath
+}
+
+beforeEach(() => {
+  originalHome = process.env.HOME
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'suparank-search-'))
+  process.env.HOME = home
+
+  writeArticle('content', '2026-01-05-burr-grinders', '# Burr Grinders\n\nA burr grinder crushes beans evenly for espresso.', {
+    title: 'The Best Burr Grinders', keywords: ['burr grinder'], projectSlug: 'brew', createdAt: '2026-01-05T10:00:00.000Z', published: true, publishedTo: ['ghost']
+  })
+  writeArticle('content', '2026-02-10-pour-over', '# Pour Over\n\nPour over needs a medium grind. Any grinder works for a start.', {
+    title: 'Pour Over Basics', keywords: ['pour over'], projectSlug: 'brew', createdAt: '2026-02-10T10:00:00.000Z'
+  })
+  writeArticle('workspaces/tea/content', '2026-02-12-green-tea', '# Green Tea\n\nSteep green tea at 80 degrees.', {
+    title: 'Green Tea Guide', keywords: ['green tea'], createdAt: '2026-02-12T10:00:00.000Z'
+  })
+})
+
+afterEach(() => {
+  process.env.HOME = originalHome
+  fs.rmSync(home, { recursive: true, force: true })
+})
+
+describe('tokenize', () => {
+  it('lowercases, drops stopwords and strips plurals', () => {
+    expect(tokenize('The Best Grinders for Coffees and Boxes')).toEqual(['best', 'grinder', 'coffee', 'box'])
+  })
+})
+
+describe('searchContent', () => {
+  it('ranks title and keyword matches above body matches, with snippets', () => {
+    const { total, indexed, results } = searchContent('grinders')
+
+    expect(indexed).toBe(3)
+    expect(total).toBe(2)
+    expect(results.map(r => r.folder)).toEqual(['2026-01-05-burr-grinders', '2026-02-10-pour-over'])
+    expect(results[1].snippet).toContain('Any **grinder** works')
+  })
+
+  it('filters by project, date range, keyword and published status', () => {
+    expect(searchContent('', { project: 'tea' }).results.map(r => r.title)).toEqual(['Green Tea Guide'])
+    expect(searchContent('', { since: '2026-02-01', until: '2026-02-10' }).results.map(r => r.title)).toEqual(['Pour Over Basics'])
+    expect(searchContent('grinder', { keyword: 'burr' }).results.map(r => r.title)).toEqual(['The Best Burr Grinders'])
+    expect(searchContent('grinder', { published: false }).results.map(r => r.title)).toEqual(['Pour Over Basics'])
+  })
+
+  it('lists everything newest first without a query', () => {
+    expect(searchContent().results.map(r => r.folder)).toEqual([
+      '2026-02-12-green-tea', '2026-02-10-pour-over', '2026-01-05-burr-grinders'
+    ])
+  })
+
+  it('rejects invalid dates', () => {
+    expect(() => searchContent('tea', { since: 'last week' })).toThrow(SuparankError)
+  })
+})
+
+describe('updateSearchIndex', () => {
+  it('only reindexes changed folders and drops deleted ones', () => {
+    expect(updateSearchIndex()).toMatchObject({ added: 3, updated: 0, removed: 0 })
+    expect(updateSearchIndex()).toMatchObject({ added: 0, updated: 0, removed: 0 })
+
+    writeArticle('content', '2026-02-10-pour-over', '# Pour Over\n\nUse a gooseneck kettle.', { title: 'Pour Over Basics' })
+    fs.rmSync(path.join(home, '.suparank', 'workspaces/tea/content/2026-02-12-green-tea'), { recursive: true })
+
+    expect(updateSearchIndex()).toMatchObject({ added: 0, updated: 1, removed: 1 })
+    expect(searchContent('kettle').results.map(r => r.title)).toEqual(['Pour Over Basics'])
+    expect(searchContent('tea').total).toBe(0)
+  })
+})
+
+describe('findContentConflicts', () => {
+  const grinders = '# Burr Grinders\n\nA burr grinder crushes beans evenly for espresso.'
+  const original = { slug: projectSlug, key: apiKey }
+
+  beforeEach(() => setActiveProject('brew', 'key'))
+  afterEach(() => setActiveProject(original.slug, original.key))
+
+  it('flags an earlier copy with the same title but not the article\'s own folder', () => {
+    const ownFolder = writeArticle('content', '2026-03-01-burr-grinders', grinders, {
+      title: 'The Best Burr Grinders', keywords: ['burr grinder'], projectSlug: 'brew'
+    })
+    const conflicts = findContentConflicts({ content: grinders, keywords: ['burr grinder'] }, ownFolder)
+
+    expect(conflicts.map(c => c.folder)).toEqual(['2026-01-05-burr-grinders'])
+    expect(conflicts[0]).toMatchObject({ title: 'The Best Burr Grinders', nearDuplicate: true, published: true })
+  })
+
+  it('only compares with the active project', () => {
+    setActiveProject('tea', 'key')
+    expect(findContentConflicts({ content: grinders, keywords: ['burr grinder'] })).toEqual([])
+  })
+})
@@ -0,0 +1,99 @@
+/**
+ * On-Page SEO Analyzer Tests
+ *
+ * Tests for the deterministic checks run on save_content
+ */
+
+import { describe, it, expect } from 'vitest'
+import { analyzeSeo } from '../mcp-client/analysis/seo.js'
+
+const filler = (n: number) => Array.from({ length: n }, (_, i) => `word${i}`).join(' ')
+
+const article = {
+  title: 'Coffee Grinder Guide: How to Pick the Right One Today',
+  keywords: ['coffee grinder', 'burr grinder'],
+  metaDescription: 'x'.repeat(155),
+  content: `# Coffee Grinder Guide
+
+A good coffee grinder is the best upgrade for home brewing. ${filler(60)}
+
+[IMAGE: burr grinder on a counter]
+
+## Burr or Blade
+
+${filler(80)} A burr coffee grinder gives an even grind.
+
+### Flat Burrs
+
+${filler(40)}
+
+## Frequently Asked Questions
+
+### Is a coffee grinder worth it?
+Yes.
+
+### How often should I clean it?
+Monthly.
+
+**Can I grind spices?**
+Use a separate grinder.
+`
+}
+
+function statusOf(report, id) {
+  return report.checks.find(c => c.id === id)?.status
+}
+
+describe('analyzeSeo', () => {
+  it('passes a well-structured article', () => {
+    const report = analyzeSeo(article, { expectedImages: 1 })
+
+    expect(report.keyword).toBe('coffee grinder')
+    expect(report.slug).toBe('coffee-grinder-guide-how-to-pick-the-right-one-today')
+    expect(report.checks.every(c => c.status === 'pass')).toBe(true)
+    expect(report.score).toBe(100)
+  })
+
+  it('flags keyword placement, meta lengths and missing FAQ', () => {
+    const report = analyzeSeo({
+      title: 'Brewing Tips',
+      keywords: ['coffee grinder'],
+      content: `## Intro\n\n${filler(250)} coffee grinder.\n\n## More\n\n${filler(20)}`
+    })
+
+    expect(statusOf(report, 'keyword_h1')).toBe('fail')
+    expect(statusOf(report, 'keyword_intro')).toBe('fail')
+    expect(statusOf(report, 'keyword_slug')).toBe('fail')
+    expect(statusOf(report, 'keyword_density')).toBe('warn')
+    expect(statusOf(report, 'meta_title')).toBe('fail')
+    expect(statusOf(report, 'meta_description')).toBe('fail')
+    expect(statusOf(report, 'faq')).toBe('fail')
+    expect(report.score).toBeLessThan(50)
+  })
+
+  it('flags keyword stuffing and skipped heading levels', () => {
+    const report = analyzeSeo({
+      ...article,
+      content: `# Coffee Grinder\n\n${'coffee grinder '.repeat(20)}\n\n## Section\n\n#### Too Deep\n\ntext`
+    })
+
+    expect(statusOf(report, 'keyword_density')).toBe('fail')
+    expect(statusOf(report, 'headings')).toBe('fail')
+  })
+
+  it('measures density against prose words only', () => {
+    const report = analyzeSeo({
+      ...article,
+      content: `coffee grinder ${filler(98)} - see [the guide](https://example.com/a/long/url).\n\n[IMAGE: a grinder with a long caption]\n\n| Model | Price |\n|---|---|\n| Burr | $100 |`
+    })
+
+    // 2 + 98 filler + "see the guide"; the dash, URL, placeholder and table are not words
+    expect(report.density).toBeCloseTo(100 / 103)
+  })
+
+  it('compares image placeholders with the plan', () => {
+    expect(statusOf(analyzeSeo(article, { expectedImages: 3 }), 'image_placeholders')).toBe('warn')
+    expect(statusOf(analyzeSeo(article, { expectedImages: 0 }), 'image_placeholders')).toBe('warn')
+    expect(statusOf(analyzeSeo(article), 'image_placeholders')).toBeUndefined()
+  })
+})
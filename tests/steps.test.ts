@@ -0,0 +1,127 @@
+/**
+ * Workflow Step Tracking Tests
+ *
+ * Tests for completing steps, storing outputs and formatting instructions
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  completeStep,
+  completeNextStepOfType,
+  getNextStep,
+  getLastCompletedStep,
+  inferStepProgress,
+  formatStepInstruction,
+  formatStepProgress
+} from '../mcp-client/workflow/steps.js'
+import { sessionState, resetSession } from '../mcp-client/services/session-state.js'
+import { SuparankError } from '../mcp-client/utils/errors.js'
+
+function makePlan() {
+  const steps = [
+    { step: 1, type: 'llm_execute', action: 'keyword_research', instruction: 'Find keywords', store: 'keywords' },
+    { step: 2, type: 'llm_execute', action: 'content_planning', instruction: 'Outline it', store: 'outline' },
+    { step: 3, type: 'llm_execute', action: 'content_write', instruction: 'Write it', store: 'article' },
+    { step: 4, type: 'action', action: 'publish', instruction: 'Publish it' }
+  ]
+  return { total_steps: steps.length, current_step: 1, steps }
+}
+
+describe('completeStep', () => {
+  beforeEach(() => resetSession())
+
+  it('should store the output under the step key and advance current_step', () => {
+    const plan = makePlan()
+    completeStep(plan, 1, 'email marketing')
+
+    expect(sessionState.stepResults.keywords).toBe('email marketing')
+    expect(plan.steps[0].completed_at).toBeTruthy()
+    expect(plan.current_step).toBe(2)
+  })
+
+  it('should point current_step at the first unfinished step when completed out of order', () => {
+    const plan = makePlan()
+    completeStep(plan, 2, 'outline')
+    expect(plan.current_step).toBe(1)
+
+    completeStep(plan, 1, 'keywords')
+    expect(getNextStep(plan)?.step).toBe(3)
+  })
+
+  it('should move past the last step when everything is done', () => {
+    const plan = makePlan()
+    plan.steps.forEach(s => completeStep(plan, s.step, 'done'))
+
+    expect(getNextStep(plan)).toBeNull()
+    expect(plan.current_step).toBe(5)
+  })
+
+  it('should reject unknown step numbers', () => {
+    expect(() => completeStep(makePlan(), 9, 'x')).toThrow(SuparankError)
+  })
+})
+
+describe('completeNextStepOfType', () => {
+  beforeEach(() => resetSession())
+
+  it('should complete the first pending step with that action', () => {
+    const plan = makePlan()
+    const step = completeNextStepOfType(plan, 'content_write', 'Saved as article #1')
+
+    expect(step?.step).toBe(3)
+    expect(completeNextStepOfType(plan, 'content_write', 'again')).toBeNull()
+  })
+})
+
+describe('resuming saved workflows', () => {
+  beforeEach(() => resetSession())
+
+  it('should report the most recently completed step', () => {
+    const plan = makePlan()
+    expect(getLastCompletedStep(plan)).toBeNull()
+
+    plan.steps[2].completed_at = '2026-01-01T10:00:00.000Z'
+    plan.steps[0].completed_at = '2026-01-01T11:00:00.000Z'
+    expect(getLastCompletedStep(plan)?.step).toBe(1)
+  })
+
+  it('should infer progress for plans saved before step tracking', () => {
+    const plan = makePlan()
+    expect(inferStepProgress(plan, '2026-01-01T00:00:00.000Z')).toBe(true)
+
+    expect(plan.steps.filter(s => s.completed_at).map(s => s.step)).toEqual([1, 2, 3])
+    expect(plan.current_step).toBe(4)
+  })
+
+  it('should leave tracked plans untouched', () => {
+    const plan = makePlan()
+    completeStep(plan, 1, 'x')
+
+    expect(inferStepProgress(plan, '2026-01-01T00:00:00.000Z')).toBe(false)
+    expect(plan.current_step).toBe(2)
+  })
+})
+
+describe('formatStepInstruction', () => {
+  beforeEach(() => resetSession())
+
+  it('should include outputs of earlier steps only', () => {
+    const plan = makePlan()
+    completeStep(plan, 1, 'KW-RESULT')
+    completeStep(plan, 3, 'ARTICLE-RESULT')
+
+    const text = formatStepInstruction(plan, plan.steps[1])
+    expect(text).toContain('KW-RESULT')
+    expect(text).not.toContain('ARTICLE-RESULT')
+    expect(text).toContain('# Step 2 of 4: CONTENT_PLANNING')
+  })
+
+  it('should mark done and current steps in the progress view', () => {
+    const plan = makePlan()
+    completeStep(plan, 1, 'x')
+
+    const lines = formatStepProgress(plan).split('\n')
+    expect(lines[0]).toBe('- [x] 1. keyword_research → `keywords`')
+    expect(lines[1]).toBe('- [ ] 2. content_planning ← current')
+  })
+})
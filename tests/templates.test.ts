@@ -0,0 +1,117 @@
+/**
+ * Workflow Template Tests
+ *
+ * Tests for placeholder interpolation, step conditions and building plans
+ * from templates
+ */
+
+import { describe, it, expect } from 'vitest'
+import { interpolate, evaluateCondition, applyWorkflowTemplate } from '../mcp-client/workflow/templates.js'
+import { SuparankError } from '../mcp-client/utils/errors.js'
+
+function makeBasePlan({ count = 2, images = 2, targets = ['ghost'] } = {}) {
+  const steps = [
+    { step: 1, type: 'llm_execute', action: 'keyword_research', instruction: 'Find keywords', store: 'keywords' },
+    ...Array.from({ length: count }, (_, i) => ({
+      step: i + 2, type: 'llm_execute', action: 'content_write', instruction: `Write article ${i + 1}`, store: `article_${i + 1}`
+    })),
+    ...(targets.length > 0 ? [{ step: count + 2, type: 'action', action: 'publish', instruction: 'Publish', targets }] : [])
+  ]
+  return {
+    workflow_id: 'wf_test',
+    request: 'coffee grinders',
+    settings: { article_count: count, total_images: images, brand_voice: 'friendly', primary_keywords: ['coffee', 'grinder'], geo_focus: null },
+    project_info: { name: 'Brew', url: 'https://brew.example', niche: 'coffee' },
+    total_steps: steps.length,
+    current_step: 1,
+    steps
+  }
+}
+
+const context = {
+  request: 'coffee grinders',
+  count: 3,
+  images: false,
+  settings: { brand_voice: 'friendly', primary_keywords: ['coffee', 'grinder'], geo_focus: null }
+}
+
+describe('interpolate', () => {
+  it('fills in values, joins arrays and marks empty values', () => {
+    expect(interpolate('${request} in a ${settings.brand_voice} voice', context)).toBe('coffee grinders in a friendly voice')
+    expect(interpolate('Keywords: ${ settings.primary_keywords }', context)).toBe('Keywords: coffee, grinder')
+    expect(interpolate('Geo: ${settings.geo_focus}', context)).toBe('Geo: Not set')
+  })
+
+  it('rejects unknown top-level names', () => {
+    expect(() => interpolate('${reqest}', context)).toThrow(SuparankError)
+  })
+})
+
+describe('evaluateCondition', () => {
+  it('compares numbers and strings', () => {
+    expect(evaluateCondition('count > 1', context)).toBe(true)
+    expect(evaluateCondition('count <= 1', context)).toBe(false)
+    expect(evaluateCondition("settings.brand_voice == 'friendly'", context)).toBe(true)
+  })
+
+  it('supports negation, && and ||', () => {
+    expect(evaluateCondition('!images', context)).toBe(true)
+    expect(evaluateCondition('images || count > 2', context)).toBe(true)
+    expect(evaluateCondition('images && count > 2 || count == 3', context)).toBe(true)
+    expect(evaluateCondition('count > 2 && images', context)).toBe(false)
+  })
+
+  it('rejects malformed expressions', () => {
+    expect(() => evaluateCondition('count >', context)).toThrow(SuparankError)
+    expect(() => evaluateCondition('count ; rm', context)).toThrow(SuparankError)
+    expect(() => evaluateCondition('count 1', context)).toThrow(SuparankError)
+  })
+})
+
+describe('applyWorkflowTemplate', () => {
+  it('reuses built-in steps, repeats per-article steps and renumbers', () => {
+    const plan = applyWorkflowTemplate({
+      name: 'brief',
+      steps: [
+        { action: 'keyword_research' },
+        { action: 'angle', instruction: 'Angle for ${request} (${project.name})', store: 'angle' },
+        { action: 'content_write', per_article: true },
+        { action: 'review', instruction: 'Review article ${article.number} of ${article.total}', store: 'review', per_article: true },
+        { action: 'generate_images', when: 'images' },
+        { action: 'publish', when: 'publish' }
+      ]
+    }, makeBasePlan({ images: 0 }))
+
+    expect(plan.template).toBe('brief')
+    expect(plan.steps.map(s => `${s.step}:${s.action}:${s.store ?? '-'}`)).toEqual([
+      '1:keyword_research:keywords',
+      '2:angle:angle',
+      '3:content_write:article_1',
+      '4:content_write:article_2',
+      '5:review:review_1',
+      '6:review:review_2',
+      '7:publish:-'
+    ])
+    expect(plan.total_steps).toBe(7)
+    expect(plan.steps[1].instruction).toBe('Angle for coffee grinders (Brew)')
+    expect(plan.steps[5].instruction).toBe('Review article 2 of 2')
+    expect(plan.steps[6]).toMatchObject({ type: 'action', targets: ['ghost'] })
+  })
+
+  it('skips built-in steps the plan does not have', () => {
+    const plan = applyWorkflowTemplate({
+      name: 'brief',
+      steps: [{ action: 'content_write', per_article: true }, { action: 'publish' }]
+    }, makeBasePlan({ count: 1, targets: [] }))
+
+    expect(plan.steps.map(s => s.action)).toEqual(['content_write'])
+    expect(plan.steps[0].store).toBe('article_1')
+  })
+
+  it('rejects templates with no applicable steps', () => {
+    expect(() => applyWorkflowTemplate({
+      name: 'empty',
+      steps: [{ action: 'summary', instruction: 'Sum up', when: 'count > 5' }]
+    }, makeBasePlan())).toThrow(SuparankError)
+  })
+})
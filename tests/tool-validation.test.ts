@@ -0,0 +1,99 @@
+/**
+ * Tool Argument Validation Tests
+ *
+ * Tests for validating tool call arguments against declared inputSchemas
+ */
+
+import { describe, it, expect } from 'vitest'
+import { validateToolArguments, formatValidationErrors } from '../mcp-client/tools/validation.js'
+import { ACTION_TOOLS, ORCHESTRATOR_TOOLS } from '../mcp-client/tools/definitions.js'
+
+const saveContent = ORCHESTRATOR_TOOLS.find(t => t.name === 'save_content')!
+const generateImage = ACTION_TOOLS.find(t => t.name === 'generate_image')!
+const publishContent = ORCHESTRATOR_TOOLS.find(t => t.name === 'publish_content')!
+const completeStep = ORCHESTRATOR_TOOLS.find(t => t.name === 'complete_step')!
+
+describe('Required Fields', () => {
+  it('should accept valid arguments', () => {
+    const errors = validateToolArguments(saveContent.inputSchema, {
+      title: 'My Article',
+      content: '# Hello'
+    })
+    expect(errors).toEqual([])
+  })
+
+  it('should report missing required fields', () => {
+    const errors = validateToolArguments(saveContent.inputSchema, { title: 'My Article' })
+    expect(errors).toEqual([{ field: 'content', message: 'is required' }])
+  })
+
+  it('should treat null as missing', () => {
+    const errors = validateToolArguments(saveContent.inputSchema, { title: 'T', content: null })
+    expect(errors[0].field).toBe('content')
+  })
+})
+
+describe('Types and Enums', () => {
+  it('should reject wrong types', () => {
+    const errors = validateToolArguments(saveContent.inputSchema, {
+      title: 'T',
+      content: 'C',
+      keywords: 'seo'
+    })
+    expect(errors).toHaveLength(1)
+    expect(errors[0].field).toBe('keywords')
+    expect(errors[0].message).toContain('array')
+  })
+
+  it('should reject values outside an enum', () => {
+    const errors = validateToolArguments(generateImage.inputSchema, {
+      prompt: 'a cat',
+      aspect_ratio: '21:9'
+    })
+    expect(errors).toHaveLength(1)
+    expect(errors[0].field).toBe('aspect_ratio')
+  })
+
+  it('should validate array items', () => {
+    const errors = validateToolArguments(publishContent.inputSchema, {
+      platforms: ['ghost', 'medium'],
+      article_numbers: [1, 'two']
+    })
+    expect(errors.map(e => e.field)).toEqual(['platforms[1]', 'article_numbers[1]'])
+  })
+
+  it('should accept only whole numbers for integer fields', () => {
+    const schema = { type: 'object', properties: { step: { type: 'integer' } } }
+
+    expect(validateToolArguments(schema, { step: 2 })).toEqual([])
+    expect(validateToolArguments(schema, { step: 2.5 })).toEqual([{ field: 'step', message: 'must be of type integer (got number)' }])
+    expect(validateToolArguments(schema, { step: '2' })).toEqual([{ field: 'step', message: 'must be of type integer (got string)' }])
+    expect(validateToolArguments(schema, { step: Infinity })).toHaveLength(1)
+  })
+
+  it('should reject fractional workflow step numbers', () => {
+    const errors = validateToolArguments(completeStep.inputSchema, { output: 'Keywords', step: 1.5 })
+    expect(errors).toEqual([{ field: 'step', message: 'must be of type integer (got number)' }])
+  })
+
+  it('should list every invalid field at once', () => {
+    const errors = validateToolArguments(saveContent.inputSchema, { keywords: [1] })
+    expect(errors.map(e => e.field)).toEqual(['title', 'content', 'keywords[0]'])
+  })
+
+  it('should ignore properties not declared in the schema', () => {
+    const errors = validateToolArguments(saveContent.inputSchema, { title: 'T', content: 'C', extra: 1 })
+    expect(errors).toEqual([])
+  })
+})
+
+describe('Error Formatting', () => {
+  it('should list each field on its own line', () => {
+    const text = formatValidationErrors('save_content', [
+      { field: 'title', message: 'is required' },
+      { field: 'content', message: 'is required' }
+    ])
+    expect(text).toContain('Invalid arguments for save_content')
+    expect(text.split('\n')).toHaveLength(3)
+  })
+})
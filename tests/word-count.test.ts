@@ -0,0 +1,80 @@
+/**
+ * Word Counter Tests
+ *
+ * Tests that only prose words are counted, split into body, FAQ and headings
+ */
+
+import { describe, it, expect } from 'vitest'
+import { countWords, formatWordCount, toPlainText } from '../mcp-client/analysis/word-count.js'
+
+describe('countWords', () => {
+  it('skips markdown syntax, URLs, images, placeholders, tables, code and HTML', () => {
+    const counts = countWords(`Read the [full guide](https://example.com/a/very/long-url) and **don't** skip e-mail.
+
+![A cover image](https://cdn.example.com/cover.png)
+
+[IMAGE: a burr grinder on a counter]
+
+| Grinder | Price |
+|---------|-------|
+| Burr one | $100 |
+
+\`\`\`bash
+npm install some package here
+\`\`\`
+
+<div class="note">hidden markup</div>
+
+- first item
+- second item
+
+> a quoted line`)
+
+    expect(counts).toEqual({ total: 15, body: 15, faq: 0, headings: 0 })
+  })
+
+  it('counts headings and the FAQ section separately', () => {
+    const counts = countWords(`# Coffee Grinder Guide
+
+Two words.
+
+## Frequently Asked Questions
+
+### Is it worth it?
+Yes, it is.
+
+## Final Thoughts
+
+Buy one today.`)
+
+    expect(counts).toEqual({ total: 20, body: 5, faq: 7, headings: 8 })
+  })
+
+  it('handles empty content', () => {
+    expect(countWords('')).toEqual({ total: 0, body: 0, faq: 0, headings: 0 })
+  })
+})
+
+describe('formatWordCount', () => {
+  it('shows the breakdown', () => {
+    expect(formatWordCount({ total: 1520, body: 1320, faq: 160, headings: 40 }))
+      .toBe('1,520 words (body 1,320, FAQ 160, headings 40)')
+  })
+})
+
+describe('toPlainText', () => {
+  it('keeps headings and prose text without markup, URLs, placeholders or code', () => {
+    const text = toPlainText(`# Burr **Grinders**
+
+Read the [guide](https://example.com/guide) first. [IMAGE: a grinder]
+
+\`\`\`
+npm install grinder
+\`\`\`
+
+- one
+- two`)
+
+    expect(text.replace(/\s+/g, ' ').trim()).toBe('Burr Grinders Read the guide first. one two')
+  })
+})
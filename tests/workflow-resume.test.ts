@@ -0,0 +1,116 @@
+/**
+ * Workflow Resume Tests
+ *
+ * Tests that create_content saves its workflow before the first article,
+ * so resume_workflow can restore it after the session is lost, and that
+ * abandoned workflow folders are cleaned up
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { executeOrchestratorTool } from '../mcp-client/handlers/orchestrator.js'
+import { sessionState, resetSession } from '../mcp-client/services/session-state.js'
+
+const project = {
+  config: {
+    site: { name: 'Brew', url: 'https://brew.example', niche: 'coffee' },
+    brand: { voice: 'friendly', target_audience: 'home baristas' },
+    content: { default_word_count: 1500, reading_level: 8, include_images: false },
+    seo: { primary_keywords: ['coffee grinder'] }
+  }
+}
+
+let home: string
+let originalHome: string | undefined
+
+function contentFolders() {
+  return fs.readdirSync(path.join(home, '.suparank', 'content'))
+}
+
+async function startWorkflow() {
+  await executeOrchestratorTool('create_content', { request: 'best burr grinders', with_images: false }, project)
+  await executeOrchestratorTool('complete_step', { output: 'burr grinder, conical burr' }, project)
+  await executeOrchestratorTool('complete_step', { output: 'Comparison, 1500 words' }, project)
+  return sessionState.currentWorkflow
+}
+
+beforeEach(() => {
+  originalHome = process.env.HOME
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'suparank-resume-'))
+  process.env.HOME = home
+  resetSession()
+})
+
+afterEach(() => {
+  resetSession()
+  process.env.HOME = originalHome
+  fs.rmSync(home, { recursive: true, force: true })
+})
+
+describe('resume_workflow', () => {
+  it('restores a workflow interrupted before the first save_content', async () => {
+    const workflow = await startWorkflow()
+    const stepResults = { ...sessionState.stepResults }
+    const [folder] = contentFolders()
+    expect(folder).toMatch(/^\d{4}-\d{2}-\d{2}-workflow-wf-\d+$/)
+
+    // The session expires; only the content folder is left
+    resetSession()
+    const result = await executeOrchestratorTool('resume_workflow', { folder_name: folder }, project)
+    const text = result.content[0].text
+
+    expect(sessionState.currentWorkflow.workflow_id).toBe(workflow.workflow_id)
+    expect(sessionState.stepResults).toEqual(stepResults)
+    expect(text).toContain(`**Last Completed Step:** 2. ${workflow.steps[1].action}`)
+    expect(text).toContain(`**Progress:** 2/${workflow.total_steps} steps`)
+    expect(text).toContain('**Article:** None')
+  })
+
+  it('moves the workflow next to the first saved article', async () => {
+    await startWorkflow()
+    await executeOrchestratorTool('save_content', {
+      title: 'The Best Burr Grinders',
+      content: '# The Best Burr Grinders\n\nA burr grinder crushes beans evenly.',
+      keywords: ['burr grinder']
+    }, project)
+
+    const folders = contentFolders()
+    expect(folders).toHaveLength(1)
+    expect(folders[0]).toMatch(/-the-best-burr-grinders$/)
+    expect(fs.existsSync(path.join(home, '.suparank', 'content', folders[0], 'workflow.json'))).toBe(true)
+  })
+})
+
+describe('abandoned workflow folders', () => {
+  it('removes the folder of a workflow replaced before its first article', async () => {
+    const first = await startWorkflow()
+    const second = await startWorkflow()
+
+    expect(second.workflow_id).not.toBe(first.workflow_id)
+    expect(contentFolders()).toEqual([path.basename(sessionState.contentFolder)])
+  })
+
+  it('removes it on clear_session', async () => {
+    await startWorkflow()
+    await executeOrchestratorTool('clear_session', { confirm: true }, project)
+
+    expect(contentFolders()).toEqual([])
+  })
+
+  it('keeps folders that hold an article', async () => {
+    await startWorkflow()
+    await executeOrchestratorTool('save_content', {
+      title: 'The Best Burr Grinders',
+      content: '# The Best Burr Grinders\n\nA burr grinder crushes beans evenly.',
+      keywords: ['burr grinder']
+    }, project)
+    const [articleFolder] = contentFolders()
+
+    await startWorkflow()
+    await executeOrchestratorTool('clear_session', { confirm: true }, project)
+
+    expect(contentFolders()).toEqual([articleFolder])
+  })
+})